@@ -13,6 +13,7 @@ let currentGamePlatform = null;
 let currentGameDeviceId = null;
 let metroReloadInFlight = false;
 let lastDevClientUrl = null;
+let debugEventServer = null;
 const isDev = !app.isPackaged;
 const shouldClearCache = process.argv.includes('--clear-cache');
 
@@ -83,6 +84,47 @@ function getMetroPort(projectRoot) {
   return 8081;
 }
 
+// The running game posts debug events (state() changes) here; see onDebugEvent in the generated App.js
+const GAME_DEBUG_PORT = 19010;
+
+function startDebugEventServer() {
+  if (debugEventServer) return;
+
+  debugEventServer = http.createServer((req, res) => {
+    if (req.method !== 'POST' || req.url !== '/debug-event') {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > 64 * 1024) {
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      res.writeHead(204);
+      res.end();
+      try {
+        const event = JSON.parse(body);
+        if (mainWindow) {
+          mainWindow.webContents.send('game-debug-event', event);
+        }
+      } catch (error) {
+        console.log('Ignoring malformed debug event:', error.message);
+      }
+    });
+  });
+
+  debugEventServer.on('error', (error) => {
+    console.log('Debug event server failed:', error.message);
+    debugEventServer = null;
+  });
+  debugEventServer.listen(GAME_DEBUG_PORT);
+}
+
 async function triggerMetroReloadViaHttp(projectRoot) {
   if (metroReloadInFlight) {
     return false;
@@ -597,6 +639,38 @@ ipcMain.handle('save-sprite-asset', async (event, payload) => {
   }
 });
 
+ipcMain.handle('save-sound-asset', async (event, payload) => {
+  const { projectPath, fileName, dataUrl } = payload || {};
+  if (!projectPath || !fileName || !dataUrl) {
+    return { success: false, message: 'Missing projectPath, fileName or dataUrl' };
+  }
+  const extension = path.extname(fileName).toLowerCase();
+  if (!['.wav', '.mp3', '.ogg'].includes(extension)) {
+    return { success: false, message: `Unsupported sound format: ${extension || fileName}` };
+  }
+  try {
+    const assetsDir = path.join(projectPath, 'assets', 'sounds');
+    await fs.ensureDir(assetsDir);
+    // The file name (without extension) becomes the sound's name in loadSound()
+    const safeStem = path.basename(fileName, path.extname(fileName))
+      .trim()
+      .replace(/[^a-z0-9_\-]/gi, '_')
+      .replace(/_+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .toLowerCase() || 'sound';
+    const absolutePath = path.join(assetsDir, `${safeStem}${extension}`);
+
+    const base64Match = dataUrl.match(/^data:[^;]*;base64,(.+)$/);
+    const base64Content = base64Match ? base64Match[1] : dataUrl;
+    await fs.writeFile(absolutePath, Buffer.from(base64Content, 'base64'));
+
+    const relativePath = toForwardSlashPath(path.relative(projectPath, absolutePath));
+    return { success: true, soundPath: relativePath };
+  } catch (error) {
+    return { success: false, message: error.message };
+  }
+});
+
 ipcMain.handle('create-directory', async (event, dirPath) => {
   try {
     await fs.ensureDir(dirPath);
@@ -800,6 +874,7 @@ ipcMain.handle('run-game', async (event, projectPath, platform, deviceId = null,
 
     await killPort(8081);
     await killPort(8082);
+    startDebugEventServer();
 
     console.log(`🎮 Starting ${isSoftStart ? 'Expo Dev Client (soft start)' : 'Expo Dev Build'} on ${platform} in ${projectPath}`);
     if (mainWindow) {
@@ -828,6 +903,8 @@ ipcMain.handle('run-game', async (event, projectPath, platform, deviceId = null,
         NODE_ENV: 'development',
         FORCE_COLOR: '0',  // Disable colored output that might cause issues
         // Set ANDROID_SERIAL to target specific device if provided
+        // Inlined into the bundle by Metro, so the game knows where to send debug events
+        EXPO_PUBLIC_REGAME_DEBUG_PORT: String(GAME_DEBUG_PORT),
         ...(deviceId && platform === 'android' ? { ANDROID_SERIAL: deviceId } : {}),
         ...(options.env || {})
       }
@@ -26,6 +26,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   readBinaryFile: (filePath) => ipcRenderer.invoke('read-binary-file', filePath),
   listScenes: (projectPath) => ipcRenderer.invoke('list-scenes', projectPath),
   saveSpriteAsset: (payload) => ipcRenderer.invoke('save-sprite-asset', payload),
+  saveSoundAsset: (payload) => ipcRenderer.invoke('save-sound-asset', payload),
   
   // Game running
   installDependencies: (projectPath) => ipcRenderer.invoke('install-dependencies', projectPath),
@@ -38,6 +39,7 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onGameOutput: (callback) => ipcRenderer.on('game-output', (event, output) => callback(output)),
   onGameExit: (callback) => ipcRenderer.on('game-exit', (event, code) => callback(code)),
   onMetroReady: (callback) => ipcRenderer.on('metro-ready', () => callback()),
+  onGameDebugEvent: (callback) => ipcRenderer.on('game-debug-event', (event, debugEvent) => callback(debugEvent)),
 
   // Window controls
   toggleFullscreen: () => ipcRenderer.invoke('toggle-fullscreen'),
@@ -3,10 +3,14 @@ import type {
     AreaComponent,
     BodyComponent,
     CircleComponent,
+    CollisionLayer,
+    CollisionShape,
+    LayerComponent,
     RectComponent,
-    SpriteComponent,
+    StayComponent,
     TransformComponent,
     Vec2,
+    ZComponent,
 } from '../types';
 
 /**
@@ -56,29 +60,83 @@ export function anchor(anchorValue: string): Component {
   } as Component;
 }
 
+/**
+ * Z component - draw order within the object's layer (higher is drawn on top)
+ * Children without their own z are drawn with their parent's.
+ */
+export function z(value: number): ZComponent {
+  return {
+    id: 'z',
+    value,
+  };
+}
+
+/**
+ * Layer component - puts the object on one of the layers declared with
+ * <Game layers={['bg', 'game', 'ui']}> or ctx.setLayers()
+ */
+export function layer(name: string): LayerComponent {
+  return {
+    id: 'layer',
+    name,
+  };
+}
+
+/**
+ * Stay component - the object and its children survive ctx.go()
+ * stay() keeps it in every scene; stay(['game', 'shop']) only when going to those.
+ * Usage: ctx.add([stay(), 'musicPlayer'])
+ */
+export function stay(scenes?: string[]): StayComponent {
+  return {
+    id: 'stay',
+    scenes: scenes ? [...scenes] : null,
+  };
+}
+
 /**
  * Body component - adds physics simulation
+ * World gravity (ctx.setGravity) is applied unless `gravity: false` is passed.
+ * Adds obj.isGrounded(), obj.jump(force), obj.onGround(fn) and obj.onFall(fn).
+ * Use `bullet: true` for fast movers so they can't tunnel through static bodies.
+ * `isKinematic: true` bodies are moved by scripts with obj.moveAndSlide(velocity)
+ * or obj.moveAndCollide(motion) and are never pushed by other bodies.
+ * Collisions between rotated rects and polygons spin bodies (angularVelocity in
+ * degrees per second); `fixedRotation: true` keeps e.g. players upright.
+ * Adds obj.applyTorque(torque) and obj.applyImpulseAt(impulse, point).
+ * obj.dropThrough() falls through the one-way platforms the body stands on.
  */
 export function body(options: {
   velocity?: Vec2;
   acceleration?: Vec2;
   mass?: number;
+  angularVelocity?: number;
+  inertia?: number;
+  fixedRotation?: boolean;
   isStatic?: boolean;
+  isKinematic?: boolean;
+  gravity?: boolean;
+  gravityScale?: number;
+  jumpForce?: number;
+  bullet?: boolean;
 } = {}): BodyComponent {
   return {
     id: 'body',
     velocity: options.velocity ?? { x: 0, y: 0 },
     acceleration: options.acceleration ?? { x: 0, y: 0 },
     mass: options.mass ?? 1,
+    angularVelocity: options.angularVelocity ?? 0,
+    inertia: options.inertia,
+    torque: 0,
+    fixedRotation: options.fixedRotation ?? false,
     isStatic: options.isStatic ?? false,
-    update: function(dt: number) {
-      // Static objects don't move
-      if (this.isStatic) return;
-      
-      // Simple Euler integration
-      this.velocity.x += this.acceleration.x * dt;
-      this.velocity.y += this.acceleration.y * dt;
-    },
+    isKinematic: options.isKinematic ?? false,
+    gravity: options.gravity ?? true,
+    gravityScale: options.gravityScale ?? 1,
+    jumpForce: options.jumpForce ?? 640,
+    bullet: options.bullet ?? false,
+    grounded: false,
+    falling: false,
   };
 }
 
@@ -105,38 +163,31 @@ export function circle(radius: number, color = '#000000'): CircleComponent {
   };
 }
 
-export function sprite(
-  source: number | string,
-  width: number,
-  height: number,
-  options: {
-    origin?: Vec2;
-    dataUri?: string;
-  } = {},
-): SpriteComponent {
-  return {
-    id: 'sprite',
-    source,
-    width,
-    height,
-    origin: options.origin ?? { x: width / 2, y: height / 2 },
-    dataUri: options.dataUri,
-  };
-}
-
 /**
  * Area component - adds collision detection
  * Auto-detects shape from rect/circle components if not specified
+ * Convex polygons take points relative to the object's position:
+ * area({ shape: 'polygon', points: [{ x: -50, y: 25 }, { x: 50, y: 25 }, { x: 50, y: -25 }] })
+ * Two areas only collide when each one's mask includes the other's layer:
+ * area({ layer: 'enemy', mask: ['player', 'wall'] })
+ * Sensors (pickups, checkpoints) fire collision events but never push or get pushed.
+ * One-way platforms only block bodies arriving from the side `oneWay` points to:
+ * area({ oneWay: { x: 0, y: -1 } }) can be jumped through from below.
  */
 export function area(options: {
-  shape?: 'rect' | 'circle' | 'auto';
+  shape?: CollisionShape | 'auto';
   width?: number;
   height?: number;
   radius?: number;
+  points?: Vec2[];
   offset?: Vec2;
   scale?: number | Vec2;
   cursor?: string | null;
   collisionIgnore?: string[];
+  layer?: CollisionLayer;
+  mask?: CollisionLayer[] | null;
+  sensor?: boolean;
+  oneWay?: Vec2 | null;
   restitution?: number;
   friction?: number;
 } = {}): AreaComponent {
@@ -144,11 +195,16 @@ export function area(options: {
     typeof options.scale === 'number'
       ? { x: options.scale, y: options.scale }
       : options.scale ?? { x: 1, y: 1 };
-  const normalizedShape =
+  const normalizedShape: CollisionShape | null =
     typeof options.shape === 'string' && options.shape.toLowerCase() === 'auto'
       ? null
-      : options.shape ?? null;
+      : (options.shape as CollisionShape | undefined) ?? null;
   const normalizedOffset: Vec2 = options.offset ?? { x: 0, y: 0 };
+  const oneWayLength = options.oneWay ? Math.hypot(options.oneWay.x, options.oneWay.y) : 0;
+  const normalizedOneWay: Vec2 | null =
+    options.oneWay && oneWayLength > 0
+      ? { x: options.oneWay.x / oneWayLength, y: options.oneWay.y / oneWayLength }
+      : null;
 
   return {
     id: 'area',
@@ -156,10 +212,15 @@ export function area(options: {
     width: options.width,
     height: options.height,
     radius: options.radius,
+    points: options.points?.map(point => ({ x: point.x, y: point.y })),
     offset: normalizedOffset,
     scale: normalizedScale,
     cursor: options.cursor ?? null,
     collisionIgnore: options.collisionIgnore ?? [],
+    layer: options.layer ?? 'default',
+    mask: options.mask ?? null,
+    sensor: options.sensor ?? false,
+    oneWay: normalizedOneWay,
     restitution: options.restitution,
     friction: options.friction,
   };
@@ -176,7 +237,10 @@ export function rgb(r: number, g: number, b: number): string {
   return color(r, g, b, 1);
 }
 
-// Re-export text component
+// Re-export sprite, particles, state and text components
+export { sprite } from './sprite';
+export { particles } from './particles';
+export { state } from './state';
 export { text } from './text';
 export type { TextComponent, TextComponentOptions } from './text';
 
@@ -0,0 +1,107 @@
+import { makeMutable } from 'react-native-reanimated';
+import type { SpriteAnim, SpriteComponent, Vec2 } from '../types';
+
+/**
+ * Sprite render component - width/height are the drawn size of one frame
+ * Sprite sheets are cut into sliceX columns and sliceY rows, numbered row by row:
+ * sprite(hero, 32, 32, { sliceX: 4, sliceY: 2, anims: { run: { from: 0, to: 3, speed: 12, loop: true } } })
+ * A number is a single-frame animation: anims: { idle: 4 }. `anim` plays on creation.
+ *
+ * GameObject Methods (added to the object):
+ * - obj.play("run", { loop?, speed? }) / obj.stop() / obj.curAnim()
+ * - obj.frame = 2 - Show a frame (stops the current animation)
+ * - obj.flipX = true / obj.flipY = true - Mirror the image
+ * - obj.onAnimEnd((anim) => ...) - Fires when a non-looping animation finishes
+ */
+export function sprite(
+  source: number | string,
+  width: number,
+  height: number,
+  options: {
+    origin?: Vec2;
+    dataUri?: string;
+    sliceX?: number;
+    sliceY?: number;
+    anims?: Record<string, SpriteAnim | number>;
+    anim?: string;
+    frame?: number;
+    flipX?: boolean;
+    flipY?: boolean;
+  } = {},
+): SpriteComponent {
+  const anims: Record<string, SpriteAnim> = {};
+  for (const [name, anim] of Object.entries(options.anims ?? {})) {
+    anims[name] = typeof anim === 'number' ? { from: anim, to: anim } : anim;
+  }
+
+  const component: SpriteComponent = {
+    id: 'sprite',
+    source,
+    width,
+    height,
+    origin: options.origin ?? { x: width / 2, y: height / 2 },
+    dataUri: options.dataUri,
+    sliceX: Math.max(1, Math.floor(options.sliceX ?? 1)),
+    sliceY: Math.max(1, Math.floor(options.sliceY ?? 1)),
+    anims,
+    frame: makeMutable(options.frame ?? 0),
+    flipX: makeMutable(options.flipX ?? false),
+    flipY: makeMutable(options.flipY ?? false),
+    curAnim: null,
+    animTime: 0,
+    animSpeed: 10,
+    animLoop: false,
+    update: (dt: number) => updateSpriteAnim(component, dt),
+  };
+
+  if (options.anim) {
+    playSpriteAnim(component, options.anim);
+  }
+  return component;
+}
+
+/**
+ * Start an animation from its first frame
+ */
+export function playSpriteAnim(
+  sprite: SpriteComponent,
+  name: string,
+  options: { loop?: boolean; speed?: number } = {},
+): void {
+  const anim = sprite.anims[name];
+  if (!anim) {
+    console.warn(`Sprite animation "${name}" not found! Available: ${Object.keys(sprite.anims).join(', ')}`);
+    return;
+  }
+  sprite.curAnim = name;
+  sprite.animTime = 0;
+  sprite.animSpeed = options.speed ?? anim.speed ?? 10;
+  sprite.animLoop = options.loop ?? anim.loop ?? false;
+  sprite.frame.value = anim.from;
+}
+
+function updateSpriteAnim(sprite: SpriteComponent, dt: number): void {
+  if (!sprite.curAnim) return;
+  const anim = sprite.anims[sprite.curAnim];
+  if (!anim) {
+    sprite.curAnim = null;
+    return;
+  }
+
+  sprite.animTime += dt;
+  const direction = anim.to >= anim.from ? 1 : -1;
+  const frameCount = Math.abs(anim.to - anim.from) + 1;
+  // Nudged up so accumulated float error doesn't hold a frame one tick too long
+  const elapsedFrames = Math.floor(sprite.animTime * sprite.animSpeed + 1e-6);
+
+  if (elapsedFrames < frameCount || sprite.animLoop) {
+    sprite.frame.value = anim.from + direction * (elapsedFrames % frameCount);
+    return;
+  }
+
+  // Hold the last frame and report the end
+  const finished = sprite.curAnim;
+  sprite.frame.value = anim.to;
+  sprite.curAnim = null;
+  sprite.onAnimEnd?.(finished);
+}
@@ -0,0 +1,85 @@
+import { makeMutable } from 'react-native-reanimated';
+import type { StateComponent, StateTransitions } from '../types';
+
+/**
+ * State machine component - one named state at a time, with enter/update/end handlers
+ * state('idle') - any state can go to any other
+ * state('idle', ['idle', 'chase', 'attack']) - only these states
+ * state('idle', { idle: ['chase'], chase: ['attack', 'idle'], attack: ['idle'] }) - only these transitions
+ * The initial state is entered on the first update, once handlers are registered.
+ *
+ * GameObject Methods (added to the object):
+ * - obj.state - Name of the current state
+ * - obj.enterState("chase", ...args) - Leave the current state and enter another
+ * - obj.onStateEnter("chase", (...args) => ...) - Fires on entering, with enterState's args
+ * - obj.onStateUpdate("chase", (dt) => ...) - Fires every frame while in the state
+ * - obj.onStateEnd("chase", () => ...) - Fires on leaving
+ */
+export function state(initial: string, allowed?: StateTransitions): StateComponent {
+  const component: StateComponent = {
+    id: 'state',
+    current: initial,
+    allowed: allowed ?? null,
+    entered: false,
+    label: makeMutable(initial),
+    update: (dt: number) => {
+      if (!component.entered) {
+        component.entered = true;
+        component.emit?.('stateEnter', component.current);
+      }
+      component.emit?.('stateUpdate', component.current, dt);
+    },
+  };
+
+  if (!isKnownState(component, initial)) {
+    console.warn(`Initial state "${initial}" is not one of the allowed states: ${listStates(component).join(', ')}`);
+  }
+  return component;
+}
+
+function listStates(machine: StateComponent): string[] {
+  const { allowed } = machine;
+  if (!allowed) return [];
+  if (Array.isArray(allowed)) return allowed;
+  const names = new Set(Object.keys(allowed));
+  for (const targets of Object.values(allowed)) {
+    targets.forEach(target => names.add(target));
+  }
+  return [...names];
+}
+
+function isKnownState(machine: StateComponent, name: string): boolean {
+  return !machine.allowed || listStates(machine).includes(name);
+}
+
+/**
+ * Whether the machine may go from its current state to `name`
+ */
+export function canEnterState(machine: StateComponent, name: string): boolean {
+  const { allowed } = machine;
+  if (!allowed) return true;
+  if (Array.isArray(allowed)) return allowed.includes(name);
+  return allowed[machine.current]?.includes(name) ?? false;
+}
+
+/**
+ * Leave the current state and enter another, if the transition is allowed
+ */
+export function enterState(machine: StateComponent, name: string, args: any[] = []): void {
+  if (!canEnterState(machine, name)) {
+    const targets = Array.isArray(machine.allowed) ? machine.allowed : (machine.allowed?.[machine.current] ?? []);
+    console.warn(
+      `State "${machine.current}" can't go to "${name}". Allowed: ${targets.length > 0 ? targets.join(', ') : 'none'}`,
+    );
+    return;
+  }
+
+  // Entering before the first update replaces the initial enter (and its end)
+  if (machine.entered) {
+    machine.emit?.('stateEnd', machine.current);
+  }
+  machine.entered = true;
+  machine.current = name;
+  machine.label.value = name;
+  machine.emit?.('stateEnter', name, ...args);
+}
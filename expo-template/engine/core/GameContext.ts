@@ -1,29 +1,115 @@
-import { CollisionSystem } from '../systems/CollisionSystem';
-import type { Component, GameContext as IGameContext, TransformComponent } from '../types';
+import { AudioSystem } from '../systems/AudioSystem';
+import { CameraSystem, type SuspendedCamera } from '../systems/CameraSystem';
+import { CollisionSystem, type SuspendedCollisions } from '../systems/CollisionSystem';
+import { JointSystem } from '../systems/JointSystem';
+import { TimerSystem, type ScheduledTask } from '../systems/TimerSystem';
+import { TransitionSystem, transitions } from '../systems/TransitionSystem';
+import type {
+  BodyComponent,
+  CameraFollowOptions,
+  CameraState,
+  CollisionMatrix,
+  Component,
+  DebugEvent,
+  Easing,
+  GameContext as IGameContext,
+  GoOptions,
+  Joint,
+  KinematicCollision,
+  JointOptions,
+  LayerComponent,
+  Level,
+  LevelOptions,
+  MusicOptions,
+  NumberSetter,
+  PausedSceneView,
+  PlaySoundOptions,
+  PoolFactory,
+  PoolOptions,
+  PushSceneOptions,
+  QueryOptions,
+  RaycastHit,
+  SoundHandle,
+  StateComponent,
+  StayComponent,
+  TimerController,
+  TransformComponent,
+  TransitionState,
+  TweenController,
+  Vec2,
+  Vec2Setter,
+  ZComponent,
+} from '../types';
 import { GameObject } from './GameObject';
-import type { GameKey, InputSystem } from './InputSystem';
+import type { GameKey, InputSystem, SuspendedInput } from './InputSystem';
+import { createLevel } from './Level';
+import { ObjectPool } from './Pool';
 import type { SharedValue } from 'react-native-reanimated';
 
+// A scene paused by pushScene(), with everything it needs to resume
+interface PausedScene {
+  name: string | null;
+  objects: GameObject[];
+  drawOrder: GameObject[];
+  destroyed: GameObject[]; // Destroyed while paused; their timers and joints go on resume
+  timers: ScheduledTask[];
+  joints: Joint[];
+  collisions: SuspendedCollisions;
+  camera: SuspendedCamera;
+  input: SuspendedInput | null;
+  pools: Map<string, ObjectPool>;
+  visible: boolean;
+  dim: number;
+  onPop: ((result: any) => void) | null;
+}
+
 export class GameContext implements IGameContext {
   private _objects: GameObject[] = [];
   private _toDestroy: GameObject[] = [];
   private _collisionSystem = new CollisionSystem();
+  private _jointSystem = new JointSystem();
+  private _timerSystem = new TimerSystem();
+  private _cameraSystem = new CameraSystem();
+  private _audioSystem = new AudioSystem();
+  private _transitionSystem = new TransitionSystem();
   private _inputSystem?: InputSystem;
-  private _scenes = new Map<string, (ctx: GameContext) => void>();
+  private _scenes = new Map<string, (ctx: GameContext, args?: any) => void>();
   private _currentScene: string | null = null;
+  private _sceneStack: PausedScene[] = [];
+  private _pools = new Map<string, ObjectPool>(); // Per scene, like the objects they spawn
   private _globalEventHandlers = new Map<
     string,
     Array<{ tag?: string; handler: (obj: GameObject, ...args: any[]) => void }>
   >();
   private _viewport = { width: 360, height: 640 };
+  private _gravity: Vec2 = { x: 0, y: 0 };
+  private _previousTransforms = new Map<string, { x: number; y: number; rotation: number }>();
+  private _deltaTime = 1 / 60;
+  private _layers: string[] = [];
+  private _defaultLayer: string | null = null;
+  private _drawOrder: GameObject[] | null = null; // Cached until objects, layers or z change
+  private _drawOrderListeners = new Set<() => void>();
+  private _warnedLayers = new Set<string>();
   
   // ✅ Unity/Kaboom-style input access: ctx.input.left.value
   public input!: Record<GameKey, SharedValue<boolean>>;
 
+  // Set from <Game debug>
+  public debug = false;
+  private _debugListeners = new Set<(event: DebugEvent) => void>();
+
   get objects(): GameObject[] {
     return this._objects;
   }
 
+  get joints(): Joint[] {
+    return this._jointSystem.all;
+  }
+
+  get camera(): CameraState {
+    return this._cameraSystem.state;
+  }
+
   /**
    * Set the input system (called by Game component)
    */
@@ -33,12 +119,422 @@ export class GameContext implements IGameContext {
 
   setViewport(width: number, height: number): void {
     this._viewport = { width, height };
+    this._cameraSystem.setViewport(width, height);
   }
 
   getViewport(): { width: number; height: number } {
     return this._viewport;
   }
 
+  /**
+   * Set world gravity in pixels per second squared
+   * Usage: ctx.setGravity(0, 1600)
+   */
+  setGravity(x: number, y: number): void {
+    this._gravity = { x, y };
+    this._collisionSystem.setGravity(this._gravity);
+  }
+
+  getGravity(): Vec2 {
+    return { ...this._gravity };
+  }
+
+  /**
+   * Set the collision broadphase cell size in pixels (default: 64)
+   * Roughly the size of a typical object works best
+   * Usage: ctx.setCollisionCellSize(32)
+   */
+  setCollisionCellSize(size: number): void {
+    this._collisionSystem.setCellSize(size);
+  }
+
+  getCollisionCellSize(): number {
+    return this._collisionSystem.getCellSize();
+  }
+
+  /**
+   * Set which collision layers collide with each other in this scene
+   * A pair collides only if both layers' rows allow it; layers without a row collide with all
+   * Usage: ctx.setCollisionMatrix({ player: ['enemy', 'wall'], enemy: ['player', 'wall'] })
+   */
+  setCollisionMatrix(matrix: CollisionMatrix | null): void {
+    this._collisionSystem.setCollisionMatrix(matrix);
+  }
+
+  /**
+   * Cast a ray and get the closest object with area() it hits
+   * Origins are world points - cast from a child with child.worldPos()
+   * Usage: ctx.raycast(player.worldPos(), { x: 1, y: 0 }, 200, { tags: ['wall'] })
+   */
+  raycast(
+    origin: Vec2,
+    direction: Vec2,
+    maxDistance = Infinity,
+    options: QueryOptions = {},
+  ): RaycastHit | null {
+    return this._collisionSystem.raycast(this._objects, origin, direction, maxDistance, options);
+  }
+
+  /**
+   * Get all objects whose area contains a point
+   */
+  queryPoint(point: Vec2, options: QueryOptions = {}): GameObject[] {
+    return this._collisionSystem.queryPoint(this._objects, point, options) as GameObject[];
+  }
+
+  /**
+   * Get all objects whose area overlaps a rectangle centered on `center`
+   */
+  queryRect(center: Vec2, width: number, height: number, options: QueryOptions = {}): GameObject[] {
+    return this._collisionSystem.queryRect(this._objects, center, { x: width, y: height }, options) as GameObject[];
+  }
+
+  /**
+   * Get all objects whose area overlaps a circle
+   */
+  queryCircle(center: Vec2, radius: number, options: QueryOptions = {}): GameObject[] {
+    return this._collisionSystem.queryCircle(this._objects, center, radius, options) as GameObject[];
+  }
+
+  /**
+   * Move an object until it hits a solid body (used by obj.moveAndCollide/moveAndSlide)
+   */
+  moveAndCollide(obj: GameObject, motion: Vec2): KinematicCollision | null {
+    return this._collisionSystem.moveAndCollide(obj, motion);
+  }
+
+  /**
+   * Moment of inertia of an object's body (Infinity when it can't spin)
+   */
+  getInertia(obj: GameObject): number {
+    return this._collisionSystem.getInertia(obj);
+  }
+
+  /**
+   * Let a body fall through the one-way platforms it stands on (used by obj.dropThrough)
+   */
+  dropThrough(obj: GameObject): void {
+    this._collisionSystem.dropThrough(obj);
+  }
+
+  /**
+   * Push a body at a world point (used by obj.applyImpulseAt)
+   */
+  applyImpulseAt(obj: GameObject, impulse: Vec2, point: Vec2): void {
+    this._collisionSystem.applyImpulseAt(obj, impulse, point);
+  }
+
+  /**
+   * Delta time of the step or frame currently being processed
+   */
+  getDeltaTime(): number {
+    return this._deltaTime;
+  }
+
+  /**
+   * Objects an object overlapped during the last collision update (used by obj.getCollisions)
+   */
+  getCollisions(obj: GameObject): GameObject[] {
+    return this._collisionSystem.getCollisions(obj) as GameObject[];
+  }
+
+  /**
+   * Connect two bodies (or a body and a world point) with a joint
+   * Usage: ctx.addJoint({ type: 'distance', a: bob, anchorB: { x: 180, y: 0 } })
+   */
+  addJoint(options: JointOptions): Joint {
+    return this._jointSystem.add(options);
+  }
+
+  removeJoint(joint: Joint): void {
+    this._jointSystem.remove(joint);
+  }
+
+  /**
+   * Get all joints, or only those attached to an object
+   */
+  getJoints(obj?: IGameContext['objects'][number]): Joint[] {
+    return this._jointSystem.getJoints(obj);
+  }
+
+  /**
+   * Build a tile map from strings, one character per tile (spaces are empty)
+   * Usage: ctx.addLevel(['=  @', '===='], { tileWidth: 32, tileHeight: 32, tiles: { '=': () => [rect(32, 32), area(), body({ isStatic: true }), 'ground'] } })
+   */
+  addLevel(map: string[], options: LevelOptions): Level {
+    return createLevel(this, map, options);
+  }
+
+  /**
+   * Create a pool of reusable objects for things spawned often (bullets, pickups, effects)
+   * Usage: const bullets = ctx.pool('bullet', () => [pos(0, 0), rect(4, 4, 'yellow'), area(), 'bullet'], { size: 30 })
+   *        bullets.spawn({ pos: player.worldPos(), velocity: { x: 400, y: 0 } }); ... bullet.release()
+   */
+  pool(name: string, factory: PoolFactory, options: PoolOptions = {}): ObjectPool {
+    const existing = this._pools.get(name);
+    if (existing) {
+      console.warn(`Pool "${name}" already exists in this scene; returning it.`);
+      return existing;
+    }
+    const pool = new ObjectPool(this, name, factory, options);
+    this._pools.set(name, pool);
+    return pool;
+  }
+
+  /**
+   * Declare render layers, drawn back to front; objects without layer() use the default
+   * Usage: ctx.setLayers(['bg', 'game', 'ui'], 'game')
+   */
+  setLayers(layers: string[], defaultLayer = layers[0]): void {
+    if (defaultLayer !== undefined && !layers.includes(defaultLayer)) {
+      console.warn(`Default layer "${defaultLayer}" is not one of the layers: ${layers.join(', ')}`);
+      defaultLayer = layers[0];
+    }
+    this._layers = [...layers];
+    this._defaultLayer = defaultLayer ?? null;
+    this._warnedLayers.clear();
+    this.drawOrderChanged();
+  }
+
+  getLayers(): string[] {
+    return [...this._layers];
+  }
+
+  /**
+   * Objects in the order they are drawn: by layer, then z, then creation order
+   */
+  getDrawOrder(): GameObject[] {
+    if (!this._drawOrder) {
+      const entries = this._objects.map((obj, index) => ({
+        obj,
+        index,
+        layer: this.getLayerIndex(obj),
+        z: this.getDrawZ(obj),
+      }));
+      entries.sort((a, b) => a.layer - b.layer || a.z - b.z || a.index - b.index);
+      this._drawOrder = entries.map(entry => entry.obj);
+    }
+    return this._drawOrder;
+  }
+
+  /**
+   * Called when a layer or z changes so the renderer re-sorts (used by obj.z/obj.layer)
+   */
+  drawOrderChanged(): void {
+    this._drawOrder = null;
+    for (const listener of this._drawOrderListeners) {
+      listener();
+    }
+  }
+
+  onDrawOrderChange(listener: () => void): () => void {
+    this._drawOrderListeners.add(listener);
+    return () => {
+      this._drawOrderListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Follow engine events meant for tools (used by the editor to show live states)
+   * A new listener first gets the current state of every state() object.
+   * Usage: const stop = ctx.onDebugEvent(event => console.log(event.type))
+   */
+  onDebugEvent(listener: (event: DebugEvent) => void): () => void {
+    this._debugListeners.add(listener);
+    for (const obj of this._objects) {
+      const machine = obj.get<StateComponent>('state');
+      if (machine) {
+        listener({ type: 'state', id: obj.id, tags: [...obj.tags], state: machine.current });
+      }
+    }
+    return () => {
+      this._debugListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Send an event to the onDebugEvent listeners (used by GameObject)
+   */
+  emitDebugEvent(event: DebugEvent): void {
+    for (const listener of this._debugListeners) {
+      listener(event);
+    }
+  }
+
+
+  /**
+   * Get or set the world point at the center of the screen
+   * Usage: ctx.camPos(player.worldPos())
+   */
+  camPos(): Vec2;
+  camPos(x: number, y: number): Vec2;
+  camPos(pos: Vec2): Vec2;
+  camPos(xOrPos?: number | Vec2, y?: number): Vec2 {
+    if (typeof xOrPos === 'number') {
+      this._cameraSystem.setPos(xOrPos, y ?? 0);
+    } else if (xOrPos) {
+      this._cameraSystem.setPos(xOrPos.x, xOrPos.y);
+    }
+    return this._cameraSystem.pos;
+  }
+
+  /**
+   * Get or set the camera zoom (2 = twice as close)
+   */
+  camScale(scale?: number): number {
+    if (scale !== undefined) {
+      this._cameraSystem.setScale(scale);
+    }
+    return this._cameraSystem.scale;
+  }
+
+  /**
+   * Get or set the camera rotation in degrees (the world appears turned the other way)
+   */
+  camRot(angle?: number): number {
+    if (angle !== undefined) {
+      this._cameraSystem.setRotation(angle);
+    }
+    return this._cameraSystem.rotation;
+  }
+
+  /**
+   * Keep an object in view every frame; pass null to stop following
+   * Usage: ctx.camFollow(player, { lerp: 0.1, deadzone: { width: 80, height: 120 } })
+   */
+  camFollow(obj: GameObject | null, options?: CameraFollowOptions): void {
+    this._cameraSystem.follow(obj, options);
+  }
+
+  /**
+   * Shake the screen; the shake fades out on its own
+   */
+  shake(intensity = 12): void {
+    this._cameraSystem.shake(intensity);
+  }
+
+  /**
+   * Convert between world and screen coordinates through the camera
+   */
+  toScreen(point: Vec2): Vec2 {
+    return this._cameraSystem.toScreen(point);
+  }
+
+  toWorld(point: Vec2): Vec2 {
+    return this._cameraSystem.toWorld(point);
+  }
+
+  /**
+   * Run an action once after a delay (cancelled by go())
+   * Usage: ctx.wait(2, () => ctx.go('gameOver'))
+   */
+  wait(seconds: number, action: () => void): TimerController {
+    return this._timerSystem.wait(seconds, action);
+  }
+
+  /**
+   * Run an action every `seconds` until cancelled
+   * Usage: const spawner = ctx.loop(1, spawnEnemy); spawner.cancel();
+   */
+  loop(seconds: number, action: () => void): TimerController {
+    return this._timerSystem.loop(seconds, action);
+  }
+
+  /**
+   * Animate a number or Vec2; the setter can be a function or a SharedValue/AnimatedVec2
+   * Usage: ctx.tween(0, 200, 1, player.get('transform').pos.x, 'easeOutQuad')
+   */
+  tween(from: number, to: number, duration: number, setter: NumberSetter, easing?: Easing): TweenController;
+  tween(from: Vec2, to: Vec2, duration: number, setter: Vec2Setter, easing?: Easing): TweenController;
+  tween(
+    from: number | Vec2,
+    to: number | Vec2,
+    duration: number,
+    setter: NumberSetter | Vec2Setter,
+    easing?: Easing,
+  ): TweenController {
+    return this._timerSystem.tween(from, to, duration, setter, easing);
+  }
+
+  /**
+   * Timers owned by an object (used by obj.wait/obj.loop/obj.tween)
+   */
+  waitFor(obj: GameObject, seconds: number, action: () => void): TimerController {
+    return this._timerSystem.wait(seconds, action, obj);
+  }
+
+  loopFor(obj: GameObject, seconds: number, action: () => void): TimerController {
+    return this._timerSystem.loop(seconds, action, obj);
+  }
+
+  tweenFor(
+    obj: GameObject,
+    from: number | Vec2,
+    to: number | Vec2,
+    duration: number,
+    setter: NumberSetter | Vec2Setter,
+    easing?: Easing,
+  ): TweenController {
+    return this._timerSystem.tween(from, to, duration, setter, easing, obj);
+  }
+
+  /**
+   * Play a sound registered with loadSound()
+   * Usage: ctx.play('jump', { volume: 0.5, detune: 200 })
+   */
+  play(name: string, options?: PlaySoundOptions): SoundHandle {
+    return this._audioSystem.play(name, options);
+  }
+
+  /**
+   * Play a looping track on a music channel, crossfading from the previous one
+   * Usage: ctx.playMusic('theme', { crossfade: 1.5 })
+   */
+  playMusic(name: string, options?: MusicOptions): SoundHandle {
+    return this._audioSystem.playMusic(name, options);
+  }
+
+  stopMusic(channel?: string, fadeOut?: number): void {
+    this._audioSystem.stopMusic(channel, fadeOut);
+  }
+
+  getMusic(channel?: string): SoundHandle | null {
+    return this._audioSystem.getMusic(channel);
+  }
+
+  stopAllSounds(): void {
+    this._audioSystem.stopAll();
+  }
+
+  /**
+   * Get or set the global volume (multiplies every sound's own volume)
+   */
+  volume(value?: number): number {
+    if (value !== undefined) {
+      this._audioSystem.setVolume(value);
+    }
+    return this._audioSystem.getVolume();
+  }
+
+  /**
+   * Get or set the global mute
+   */
+  mute(muted?: boolean): boolean {
+    if (muted !== undefined) {
+      this._audioSystem.setMuted(muted);
+    }
+    return this._audioSystem.isMuted();
+  }
+
+  /**
+   * Normalized gravity direction, or null when there is no gravity
+   */
+  getGravityDirection(): Vec2 | null {
+    const length = Math.sqrt(this._gravity.x * this._gravity.x + this._gravity.y * this._gravity.y);
+    if (length === 0) return null;
+    return { x: this._gravity.x / length, y: this._gravity.y / length };
+  }
+
   /**
    * Register a callback for when a key is first pressed
    */
@@ -84,6 +580,13 @@ export class GameContext implements IGameContext {
    * Usage: add([pos(100, 100), body(), rect(50, 50, 'red'), "player"])
    */
   add(components: (Component | string)[], parent?: GameObject): GameObject {
+    return this.addObject(this.createObject(components), parent);
+  }
+
+  /**
+   * Build a game object without adding it to the scene (used by pools)
+   */
+  createObject(components: (Component | string)[]): GameObject {
     const obj = new GameObject(this);
 
     // Separate components and tags
@@ -105,6 +608,8 @@ export class GameContext implements IGameContext {
       const merged: TransformComponent = {
         id: 'transform',
         pos: { x: makeMutable(0), y: makeMutable(0) },
+        renderPos: { x: makeMutable(0), y: makeMutable(0) },
+        renderRotation: makeMutable(0),
         scale: { x: 1, y: 1 },
         rotation: 0,
         visible: makeMutable(1),
@@ -114,9 +619,14 @@ export class GameContext implements IGameContext {
         if (t.pos) {
           merged.pos.x.value = t.pos.x.value;
           merged.pos.y.value = t.pos.y.value;
+          merged.renderPos!.x.value = t.pos.x.value;
+          merged.renderPos!.y.value = t.pos.y.value;
         }
         if (t.scale) merged.scale = { ...t.scale };
-        if (t.rotation !== undefined) merged.rotation = t.rotation;
+        if (t.rotation !== undefined) {
+          merged.rotation = t.rotation;
+          merged.renderRotation!.value = t.rotation;
+        }
         if (t.visible) merged.visible = t.visible;
         if (t.anchor !== undefined) merged.anchor = t.anchor;
       }
@@ -136,9 +646,18 @@ export class GameContext implements IGameContext {
       obj.addTag(tag);
     }
 
+    return obj;
+  }
+
+  /**
+   * Put a built object in the scene and fire its 'add' event
+   */
+  addObject(obj: GameObject, parent?: GameObject): GameObject {
     obj.setParent(parent ?? null);
 
     this._objects.push(obj);
+    this._drawOrder = null;
+    this._collisionSystem.track(obj);
     obj.trigger('add');
     return obj;
   }
@@ -158,58 +677,162 @@ export class GameContext implements IGameContext {
   }
 
   /**
-   * Update all game objects
+   * Advance physics by one fixed step
+   * Called by the game loop at a constant rate (see Game's fixedStep prop)
    */
-  update(dt: number): void {
-    // Update input system
-    this._inputSystem?.update();
+  fixedUpdate(dt: number): void {
+    this._deltaTime = dt;
+
+    // Bullet sweeps search the broadphase, which must include objects added since the last step
+    this._collisionSystem.refreshBroadphase(this._objects);
 
-    // Update all objects
     for (const obj of this._objects) {
-      obj.update(dt);
+      const transform = obj.get<TransformComponent>('transform');
+      if (transform) {
+        // Remember where the step started so rendering can interpolate
+        this._previousTransforms.set(obj.id, {
+          x: transform.pos.x.value,
+          y: transform.pos.y.value,
+          rotation: transform.rotation ?? 0,
+        });
+      }
+
+      obj.fixedUpdate(dt);
+
+      const body = obj.get<BodyComponent>('body');
+      if (body) {
+        this.applyAcceleration(body, dt);
+      }
 
       // Apply velocity to position (using shared values)
-      const transform = obj.get<TransformComponent>('transform');
-      const body = obj.get<any>('body');
-      
-      if (transform && body) {
-        transform.pos.x.value += body.velocity.x * dt;
-        transform.pos.y.value += body.velocity.y * dt;
+      // Kinematic bodies only move through moveAndSlide/moveAndCollide
+      if (transform && body && !body.isKinematic) {
+        this.applyGravity(body, dt);
+        const motionX = body.velocity.x * dt;
+        const motionY = body.velocity.y * dt;
+        // Bullets stop at the first static body in their path instead of tunneling
+        const travel = body.bullet && !body.isStatic
+          ? this._collisionSystem.sweep(obj, { x: motionX, y: motionY })
+          : 1;
+        // Velocity is in world space, so children are moved through their parent's transform
+        obj.moveBy(motionX * travel, motionY * travel);
+
+        // Torque is radians-based like the collision impulses; rotation is in degrees
+        const inertia = this._collisionSystem.getInertia(obj);
+        if (inertia !== Infinity) {
+          body.angularVelocity += ((body.torque ?? 0) / inertia) * dt * (180 / Math.PI);
+          transform.rotation += body.angularVelocity * dt;
+        }
+        body.torque = 0;
       }
     }
 
     // Check collisions
     this._collisionSystem.update(this._objects);
 
-    // Destroy marked objects
-    if (this._toDestroy.length > 0) {
-      const toDestroy = this._toDestroy;
-      this._toDestroy = [];
-      for (const obj of toDestroy) {
-        obj.destroy();
-        const idx = this._objects.indexOf(obj);
-        if (idx !== -1) {
-          this._objects.splice(idx, 1);
-        }
-      }
+    // Solve joints after collisions so constraints win over contact pushes
+    this._jointSystem.update(dt);
+
+    // Fire ground/fall events from this step's contacts
+    this.updateGroundState();
+
+    // Objects destroyed by collisions shouldn't take part in the next step
+    this.flushDestroyed();
+  }
+
+  /**
+   * Update all game objects once per rendered frame
+   * alpha (0-1) is how far this frame lies between the last two fixed steps
+   */
+  update(dt: number, alpha = 1): void {
+    this._deltaTime = dt;
+
+    // Update input system
+    this._inputSystem?.update();
+
+    // Update all objects
+    for (const obj of this._objects) {
+      obj.update(dt);
     }
+
+    // Timers, tweens, volume fades and scene transitions run after object updates, once per frame
+    this._timerSystem.update(dt);
+    this._audioSystem.update(dt);
+    this._transitionSystem.update(dt);
+
+    // Destroy marked objects
+    this.flushDestroyed();
+
+    this.updateRenderPositions(alpha);
+
+    // Follow the interpolated positions so the view moves as smoothly as the objects
+    this._cameraSystem.update(dt);
+  }
+
+  /**
+   * Advance one fixed step and one frame - handy for tests and manual loops
+   */
+  step(dt: number): void {
+    this.fixedUpdate(dt);
+    this.update(dt);
   }
 
   /**
    * Clear all objects
    */
   clear(): void {
+    this.resumePausedObjects();
+    this.clearScene(null);
+    this._inputSystem?.clear();
+  }
+
+  /**
+   * Destroy every object except those that stay in the next scene, and reset the
+   * systems around them
+   */
+  private clearScene(nextScene: string | null): void {
+    const staying = new Set<GameObject>();
+    if (nextScene !== null) {
+      for (const obj of this._objects) {
+        if (this.staysIn(obj, nextScene)) {
+          staying.add(obj);
+        }
+      }
+    }
+
     for (const obj of this._objects) {
-      this.queueDestroy(obj);
+      if (!staying.has(obj)) {
+        this.queueDestroy(obj);
+      }
     }
     const toDestroy = this._toDestroy;
     this._toDestroy = [];
     for (const obj of toDestroy) {
       obj.destroy();
     }
-    this._objects = [];
+    this._objects = this._objects.filter(obj => staying.has(obj));
+    this._drawOrder = null;
     this._collisionSystem.reset();
-    this._inputSystem?.clear();
+    this._jointSystem.reset(staying);
+    this._timerSystem.reset(staying);
+    this._cameraSystem.reset();
+    this._audioSystem.reset();
+    this._previousTransforms.clear();
+    // Pooled objects went with the scene; the ones that stayed are plain objects from now on
+    this._pools = new Map();
+  }
+
+  /**
+   * Whether an object survives a switch to the scene: its root object decides,
+   * so children always go wherever their parent goes
+   */
+  private staysIn(obj: GameObject, sceneName: string): boolean {
+    let root = obj;
+    while (root.parent) {
+      root = root.parent;
+    }
+    const stay = root.get<StayComponent>('stay');
+    return !!stay && (stay.scenes === null || stay.scenes.includes(sceneName));
   }
 
   on(event: string, handler: (obj: GameObject, ...args: any[]) => void): () => void;
@@ -274,27 +897,158 @@ export class GameContext implements IGameContext {
 
   /**
    * Register a scene (Kaplay-style)
-   * Usage: ctx.scene('game', (ctx) => { ... })
+   * Usage: ctx.scene('game', (ctx, args) => { ... })
    */
-  scene(name: string, sceneFunc: (ctx: GameContext) => void): void {
+  scene(name: string, sceneFunc: (ctx: GameContext, args?: any) => void): void {
     this._scenes.set(name, sceneFunc);
   }
 
   /**
-   * Switch to a scene
+   * Switch to a scene, passing args to its scene function
    * Usage: ctx.go('mainMenu')
+   *        ctx.go('game', { level: 2 }, { transition: 'fade', duration: 0.6 })
+   * With a transition the switch happens once the overlay covers the screen.
    */
-  go(sceneName: string): void {
-    // Clear current scene
-    this.clear();
-    
-    // Load new scene
+  go(sceneName: string, args?: unknown, options: GoOptions = {}): void {
+    if (!this._scenes.has(sceneName)) {
+      console.error(`Scene "${sceneName}" not found! Available scenes: ${Array.from(this._scenes.keys()).join(', ')}`);
+      return;
+    }
+
+    const transition = options.transition ?? 'none';
+    const draw = typeof transition === 'function' ? transition : transitions[transition];
+    if (!draw) {
+      console.warn(`Unknown transition "${transition}". Use ${Object.keys(transitions).join(', ')} or a function.`);
+    }
+    const duration = options.duration ?? 0.5;
+    if (!draw || transition === 'none' || !(duration > 0)) {
+      this.switchScene(sceneName, args);
+      return;
+    }
+
+    this._transitionSystem.start(draw, duration, options.color ?? '#000000', () => this.switchScene(sceneName, args));
+  }
+
+  /**
+   * Scene transition overlay, drawn above everything by the RenderSystem
+   */
+  get transition(): TransitionState {
+    return this._transitionSystem.state;
+  }
+
+  private switchScene(sceneName: string, args: unknown): void {
     const sceneFunc = this._scenes.get(sceneName);
-    if (sceneFunc) {
-      this._currentScene = sceneName;
-      sceneFunc(this);
-    } else {
+    if (!sceneFunc) return;
+    // go() ends paused scenes too; their objects can still stay
+    this.resumePausedObjects();
+    this.clearScene(sceneName);
+    this._inputSystem?.clear();
+    this._currentScene = sceneName;
+    sceneFunc(this, args);
+  }
+
+  /**
+   * Pause the current scene and run another on top of it (pause menus, inventories)
+   * The paused scene stays in memory without updates, input or collisions, and is
+   * drawn frozen and dimmed below the new one unless `visible` is false.
+   * Usage: ctx.pushScene('pause', { score }, { dim: 0.6, onPop: (choice) => { ... } })
+   */
+  pushScene(sceneName: string, args?: unknown, options: PushSceneOptions = {}): void {
+    const sceneFunc = this._scenes.get(sceneName);
+    if (!sceneFunc) {
       console.error(`Scene "${sceneName}" not found! Available scenes: ${Array.from(this._scenes.keys()).join(', ')}`);
+      return;
+    }
+
+    this.flushDestroyed();
+    this._sceneStack.push({
+      name: this._currentScene,
+      objects: this._objects,
+      drawOrder: [...this.getDrawOrder()],
+      destroyed: [],
+      timers: this._timerSystem.suspend(),
+      joints: this._jointSystem.suspend(),
+      collisions: this._collisionSystem.suspend(),
+      camera: this._cameraSystem.suspend(),
+      input: this._inputSystem?.suspend() ?? null,
+      pools: this._pools,
+      visible: options.visible ?? true,
+      dim: Math.min(Math.max(options.dim ?? 0.5, 0), 1),
+      onPop: options.onPop ?? null,
+    });
+    this._objects = [];
+    this._pools = new Map();
+    this.drawOrderChanged();
+
+    this._currentScene = sceneName;
+    sceneFunc(this, args);
+  }
+
+  /**
+   * Destroy the top scene and resume the one it paused, handing `result` to its onPop
+   * Usage: ctx.popScene('quit')
+   */
+  popScene(result?: unknown): void {
+    const paused = this._sceneStack.pop();
+    if (!paused) {
+      console.warn('popScene() called with no paused scene. Use pushScene() to pause one first.');
+      return;
+    }
+
+    this.clearScene(null);
+    this._objects = paused.objects;
+    this._pools = paused.pools;
+    this._timerSystem.resume(paused.timers);
+    this._jointSystem.resume(paused.joints);
+    this._collisionSystem.resume(paused.collisions);
+    this._collisionSystem.refreshBroadphase(this._objects);
+    this._cameraSystem.resume(paused.camera);
+    if (paused.input) {
+      this._inputSystem?.resume(paused.input);
+    } else {
+      this._inputSystem?.clear();
+    }
+    for (const obj of paused.destroyed) {
+      this._jointSystem.removeObject(obj);
+      this._timerSystem.removeObject(obj);
+      this._cameraSystem.removeObject(obj);
+      this._collisionSystem.untrack(obj);
+    }
+    this._currentScene = paused.name;
+    this.drawOrderChanged();
+    paused.onPop?.(result);
+  }
+
+  /**
+   * Paused scenes that are still drawn, bottom first
+   */
+  getPausedScenes(): PausedSceneView[] {
+    return this._sceneStack
+      .filter(paused => paused.visible)
+      .map(paused => ({
+        name: paused.name,
+        objects: paused.drawOrder,
+        camera: { pos: paused.camera.pos, scale: paused.camera.scale, rotation: paused.camera.rotation },
+        dim: paused.dim,
+      }));
+  }
+
+  /**
+   * Put the objects, timers and joints of every paused scene back in the current one,
+   * so a scene change treats them like its own
+   */
+  private resumePausedObjects(): void {
+    if (this._sceneStack.length === 0) return;
+    const stack = this._sceneStack;
+    this._sceneStack = [];
+    this._objects = [...stack.flatMap(paused => paused.objects), ...this._objects];
+    for (const paused of stack) {
+      this._timerSystem.resume(paused.timers);
+      this._jointSystem.resume(paused.joints);
+      for (const obj of paused.destroyed) {
+        this._jointSystem.removeObject(obj);
+        this._timerSystem.removeObject(obj);
+      }
     }
   }
 
@@ -305,6 +1059,163 @@ export class GameContext implements IGameContext {
     return this._currentScene;
   }
 
+  /**
+   * Position of the object's layer (own, else inherited from its parents, else the default)
+   */
+  private getLayerIndex(obj: GameObject): number {
+    if (this._layers.length === 0) return 0;
+
+    let name: string | null = null;
+    for (let current: GameObject | null = obj; current && name === null; current = current.parent) {
+      name = current.get<LayerComponent>('layer')?.name ?? null;
+    }
+    if (name !== null) {
+      const index = this._layers.indexOf(name);
+      if (index !== -1) return index;
+      if (!this._warnedLayers.has(name)) {
+        this._warnedLayers.add(name);
+        console.warn(`Layer "${name}" not found. Declared layers: ${this._layers.join(', ')}`);
+      }
+    }
+    return Math.max(0, this._layers.indexOf(this._defaultLayer ?? ''));
+  }
+
+  /**
+   * The object's z, inherited from its parents when it has none
+   */
+  private getDrawZ(obj: GameObject): number {
+    for (let current: GameObject | null = obj; current; current = current.parent) {
+      const zComp = current.get<ZComponent>('z');
+      if (zComp) return zComp.value;
+    }
+    return 0;
+  }
+
+  private applyAcceleration(body: BodyComponent, dt: number): void {
+    if (body.isStatic) return;
+    body.velocity.x += body.acceleration.x * dt;
+    body.velocity.y += body.acceleration.y * dt;
+  }
+
+  private applyGravity(body: BodyComponent, dt: number): void {
+    if (body.isStatic || body.gravity === false) return;
+    const gravityScale = body.gravityScale ?? 1;
+    body.velocity.x += this._gravity.x * gravityScale * dt;
+    body.velocity.y += this._gravity.y * gravityScale * dt;
+  }
+
+  private updateGroundState(): void {
+    const gravityDir = this.getGravityDirection();
+
+    for (const obj of this._objects) {
+      const body = obj.get<BodyComponent>('body');
+      if (!body || body.isStatic) continue;
+
+      // Kinematic bodies report their own ground contacts from moveAndSlide
+      if (!body.isKinematic) {
+        const ground = this._collisionSystem.getGround(obj);
+        const wasGrounded = body.grounded ?? false;
+        body.grounded = !!ground;
+        if (ground && !wasGrounded) {
+          obj.trigger('ground', ground);
+        }
+      }
+
+      const fallSpeed = gravityDir
+        ? body.velocity.x * gravityDir.x + body.velocity.y * gravityDir.y
+        : 0;
+      const falling = !body.grounded && fallSpeed > 0;
+      if (falling && !body.falling) {
+        obj.trigger('fall');
+      }
+      body.falling = falling;
+    }
+  }
+
+  private flushDestroyed(): void {
+    if (this._toDestroy.length === 0) return;
+
+    const toDestroy = this._toDestroy;
+    this._toDestroy = [];
+    for (const obj of toDestroy) {
+      const pool = this.getPoolOf(obj);
+      if (pool) {
+        pool.recycle(obj);
+      } else {
+        obj.destroy();
+      }
+      this._jointSystem.removeObject(obj);
+      this._timerSystem.removeObject(obj);
+      this._cameraSystem.removeObject(obj);
+      this._collisionSystem.untrack(obj);
+      this._previousTransforms.delete(obj.id);
+      const idx = this._objects.indexOf(obj);
+      if (idx !== -1) {
+        this._objects.splice(idx, 1);
+      } else {
+        this.removePausedObject(obj);
+      }
+    }
+    this._drawOrder = null;
+  }
+
+  /**
+   * The pool a spawned object came from, in this scene or a paused one
+   */
+  private getPoolOf(obj: GameObject): ObjectPool | null {
+    for (const pools of [this._pools, ...this._sceneStack.map(paused => paused.pools)]) {
+      for (const pool of pools.values()) {
+        if (pool.owns(obj)) return pool;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Objects of paused scenes can be destroyed from the scene on top
+   */
+  private removePausedObject(obj: GameObject): void {
+    for (const paused of this._sceneStack) {
+      const idx = paused.objects.indexOf(obj);
+      if (idx === -1) continue;
+      paused.objects.splice(idx, 1);
+      paused.drawOrder = paused.drawOrder.filter(other => other !== obj);
+      paused.destroyed.push(obj);
+      this.drawOrderChanged();
+      return;
+    }
+  }
+
+  /**
+   * Moving bodies are drawn between their previous and current step transforms;
+   * everything else is drawn exactly where it is
+   */
+  private updateRenderPositions(alpha: number): void {
+    for (const obj of this._objects) {
+      const transform = obj.get<TransformComponent>('transform');
+      if (!transform?.renderPos) continue;
+
+      const x = transform.pos.x.value;
+      const y = transform.pos.y.value;
+      const rotation = transform.rotation ?? 0;
+      const body = obj.get<BodyComponent>('body');
+      const previous = this._previousTransforms.get(obj.id);
+      if (previous && body && !body.isStatic && alpha < 1) {
+        transform.renderPos.x.value = previous.x + (x - previous.x) * alpha;
+        transform.renderPos.y.value = previous.y + (y - previous.y) * alpha;
+        if (transform.renderRotation) {
+          transform.renderRotation.value = previous.rotation + (rotation - previous.rotation) * alpha;
+        }
+      } else {
+        transform.renderPos.x.value = x;
+        transform.renderPos.y.value = y;
+        if (transform.renderRotation) {
+          transform.renderRotation.value = rotation;
+        }
+      }
+    }
+  }
+
   private queueDestroy(obj: GameObject): void {
     if (this._toDestroy.includes(obj)) {
       return;
@@ -1,17 +1,46 @@
+import { useCallback, useRef } from 'react';
 import { runOnJS, useFrameCallback, useSharedValue } from 'react-native-reanimated';
 
+export interface GameLoopOptions {
+  fixedStep?: number; // Seconds per fixedUpdate (default 1/60)
+  maxSteps?: number; // Max fixed steps per frame, extra time is dropped after stalls (default 5)
+  fixedUpdate?: (step: number) => void;
+}
+
 /**
  * Game loop using Reanimated's useFrameCallback
- * Runs at 60fps on the UI thread
+ * Time is accumulated on the UI thread and consumed in fixed steps, so physics
+ * runs the same on 60 Hz and 120 Hz displays. Each frame calls fixedUpdate()
+ * zero or more times, then update(dt, alpha) once, where alpha (0-1) is how
+ * far the frame lies between the last two fixed steps (for interpolation).
  */
-export function useGameLoop(update: (dt: number) => void) {
+export function useGameLoop(
+  update: (dt: number, alpha: number) => void,
+  options: GameLoopOptions = {},
+) {
+  const fixedStep = options.fixedStep ?? 1 / 60;
+  const maxSteps = options.maxSteps ?? 5;
   const lastTime = useSharedValue(0);
+  const accumulator = useSharedValue(0);
+
+  // Keep the latest callbacks without re-creating the frame callback
+  const updateRef = useRef(update);
+  const fixedUpdateRef = useRef(options.fixedUpdate);
+  updateRef.current = update;
+  fixedUpdateRef.current = options.fixedUpdate;
+
+  const runFrame = useCallback((dt: number, steps: number, step: number, alpha: number) => {
+    for (let i = 0; i < steps; i++) {
+      fixedUpdateRef.current?.(step);
+    }
+    updateRef.current(dt, alpha);
+  }, []);
 
   useFrameCallback((frameInfo) => {
     'worklet';
-    
+
     const currentTime = frameInfo.timestamp;
-    
+
     if (lastTime.value === 0) {
       lastTime.value = currentTime;
       return;
@@ -20,10 +49,21 @@ export function useGameLoop(update: (dt: number) => void) {
     const dt = (currentTime - lastTime.value) / 1000; // Convert to seconds
     lastTime.value = currentTime;
 
-    // Call the update function on the JS thread
-    runOnJS(update)(dt);
+    accumulator.value += dt;
+    let steps = 0;
+    while (accumulator.value >= fixedStep && steps < maxSteps) {
+      accumulator.value -= fixedStep;
+      steps++;
+    }
+    // Drop whatever is left after a stall instead of spiralling
+    if (accumulator.value >= fixedStep) {
+      accumulator.value = accumulator.value % fixedStep;
+    }
+    const alpha = accumulator.value / fixedStep;
+
+    // Call the update functions on the JS thread
+    runOnJS(runFrame)(dt, steps, fixedStep, alpha);
   }, true); // true = auto-start
 
   return null;
 }
-
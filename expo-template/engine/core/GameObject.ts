@@ -1,8 +1,31 @@
-import type { Component, GameObject as IGameObject } from '../types';
+import type {
+  BodyComponent,
+  CollisionCallback,
+  Component,
+  Easing,
+  GameObject as IGameObject,
+  KinematicCollision,
+  LayerComponent,
+  NumberSetter,
+  ParticlesComponent,
+  SpriteComponent,
+  StateComponent,
+  TimerController,
+  TransformComponent,
+  TweenController,
+  Vec2,
+  Vec2Setter,
+  ZComponent,
+} from '../types';
+import { playSpriteAnim } from '../components/sprite';
+import { enterState } from '../components/state';
 import type { GameContext } from './GameContext';
 
 let nextId = 0;
 
+// moveAndSlide gives up after this many consecutive surfaces in one call
+const MAX_SLIDES = 4;
+
 export class GameObject implements IGameObject {
   id: string;
   tags: string[];
@@ -12,9 +35,9 @@ export class GameObject implements IGameObject {
   children: GameObject[];
   
   // Collision event callbacks
-  private _onCollideCallbacks = new Map<string, Function[]>();
-  private _onCollideUpdateCallbacks = new Map<string, Function[]>();
-  private _onCollideEndCallbacks = new Map<string, Function[]>();
+  private _onCollideCallbacks = new Map<string, CollisionCallback[]>();
+  private _onCollideUpdateCallbacks = new Map<string, CollisionCallback[]>();
+  private _onCollideEndCallbacks = new Map<string, CollisionCallback[]>();
   private _eventHandlers = new Map<string, Set<(...args: any[]) => void>>();
 
   constructor(context: GameContext) {
@@ -36,6 +59,10 @@ export class GameObject implements IGameObject {
 
   add(component: Component): this {
     this.components.set(component.id, component);
+
+    if (component.id === 'z' || component.id === 'layer') {
+      this.context.drawOrderChanged();
+    }
     
     // Special handling for text component - add getter/setters to GameObject
     if (component.id === 'text') {
@@ -73,6 +100,233 @@ export class GameObject implements IGameObject {
         configurable: true,
       });
     }
+
+    // Special handling for sprite component - add animation helpers to GameObject
+    if (component.id === 'sprite') {
+      const spriteComp = component as SpriteComponent;
+      spriteComp.onAnimEnd = (anim: string) => this.trigger('animEnd', anim);
+
+      // play(name, options) - start an animation from its first frame
+      Object.defineProperty(this, 'play', {
+        value: (anim: string, options?: { loop?: boolean; speed?: number }) =>
+          playSpriteAnim(spriteComp, anim, options),
+        enumerable: false,
+        configurable: true,
+      });
+
+      // stop() - freeze on the current frame
+      Object.defineProperty(this, 'stop', {
+        value: () => {
+          spriteComp.curAnim = null;
+        },
+        enumerable: false,
+        configurable: true,
+      });
+
+      // curAnim() - name of the playing animation, or null
+      Object.defineProperty(this, 'curAnim', {
+        value: () => spriteComp.curAnim,
+        enumerable: false,
+        configurable: true,
+      });
+
+      // onAnimEnd(fn) - fires when a non-looping animation finishes
+      Object.defineProperty(this, 'onAnimEnd', {
+        value: (handler: (anim: string) => void) => this.on('animEnd', handler),
+        enumerable: false,
+        configurable: true,
+      });
+
+      // frame - getter/setter for the drawn frame (setting it stops the animation)
+      Object.defineProperty(this, 'frame', {
+        get: () => spriteComp.frame.value,
+        set: (value: number) => {
+          spriteComp.curAnim = null;
+          spriteComp.frame.value = value;
+        },
+        enumerable: false,
+        configurable: true,
+      });
+
+      // flipX / flipY - getter/setters for mirroring (SharedValue)
+      Object.defineProperty(this, 'flipX', {
+        get: () => spriteComp.flipX.value,
+        set: (value: boolean) => { spriteComp.flipX.value = value; },
+        enumerable: false,
+        configurable: true,
+      });
+      Object.defineProperty(this, 'flipY', {
+        get: () => spriteComp.flipY.value,
+        set: (value: boolean) => { spriteComp.flipY.value = value; },
+        enumerable: false,
+        configurable: true,
+      });
+    }
+
+    // Special handling for particles component - emit from the object's position
+    if (component.id === 'particles') {
+      const particlesComp = component as ParticlesComponent;
+      particlesComp.getOrigin = () => this.worldPos();
+
+      // burst(n) - emit n particles at once
+      Object.defineProperty(this, 'burst', {
+        value: (count: number) => particlesComp.burst(count),
+        enumerable: false,
+        configurable: true,
+      });
+    }
+
+    // Special handling for state component - add state machine helpers to GameObject
+    if (component.id === 'state') {
+      const stateComp = component as StateComponent;
+      stateComp.emit = (event, state, ...args) => {
+        if (event === 'stateEnter') {
+          this.context.emitDebugEvent({ type: 'state', id: this.id, tags: [...this.tags], state });
+        }
+        this.trigger(event, state, ...args);
+      };
+
+      // state - name of the current state
+      Object.defineProperty(this, 'state', {
+        get: () => stateComp.current,
+        enumerable: false,
+        configurable: true,
+      });
+
+      // enterState(name, ...args) - leave the current state and enter another
+      Object.defineProperty(this, 'enterState', {
+        value: (name: string, ...args: any[]) => enterState(stateComp, name, args),
+        enumerable: false,
+        configurable: true,
+      });
+
+      // onStateEnter / onStateUpdate / onStateEnd(name, fn) - handlers for one state
+      const onState = (event: string) => (name: string, handler: (...args: any[]) => void) =>
+        this.on(event, (state: string, ...args: any[]) => {
+          if (state === name) handler(...args);
+        });
+      Object.defineProperty(this, 'onStateEnter', { value: onState('stateEnter'), enumerable: false, configurable: true });
+      Object.defineProperty(this, 'onStateUpdate', { value: onState('stateUpdate'), enumerable: false, configurable: true });
+      Object.defineProperty(this, 'onStateEnd', { value: onState('stateEnd'), enumerable: false, configurable: true });
+    }
+
+    // Special handling for body component - add platformer helpers to GameObject
+    if (component.id === 'body') {
+      const bodyComp = component as BodyComponent;
+
+      // isGrounded() - true while standing on something (relative to world gravity)
+      Object.defineProperty(this, 'isGrounded', {
+        value: () => bodyComp.grounded ?? false,
+        enumerable: false,
+        configurable: true,
+      });
+
+      // jump(force) - launch against the gravity direction, keeping sideways velocity
+      Object.defineProperty(this, 'jump', {
+        value: (force?: number) => {
+          const down = this.context.getGravityDirection() ?? { x: 0, y: 1 };
+          const strength = force ?? bodyComp.jumpForce ?? 640;
+          const alongGravity = bodyComp.velocity.x * down.x + bodyComp.velocity.y * down.y;
+          bodyComp.velocity.x -= down.x * (strength + alongGravity);
+          bodyComp.velocity.y -= down.y * (strength + alongGravity);
+          bodyComp.grounded = false;
+        },
+        enumerable: false,
+        configurable: true,
+      });
+
+      // onGround(fn) - fires when the body lands on something
+      Object.defineProperty(this, 'onGround', {
+        value: (handler: (ground: IGameObject) => void) => this.on('ground', handler),
+        enumerable: false,
+        configurable: true,
+      });
+
+      // onFall(fn) - fires when the body starts moving along the gravity direction
+      Object.defineProperty(this, 'onFall', {
+        value: (handler: () => void) => this.on('fall', handler),
+        enumerable: false,
+        configurable: true,
+      });
+
+      // moveAndCollide(motion) - move until the first solid body and return the hit
+      Object.defineProperty(this, 'moveAndCollide', {
+        value: (motion: Vec2) => this.context.moveAndCollide(this, motion),
+        enumerable: false,
+        configurable: true,
+      });
+
+      // moveAndSlide(velocity) - move for the current step, sliding along walls and floors
+      Object.defineProperty(this, 'moveAndSlide', {
+        value: (velocity: Vec2) => {
+          const down = this.context.getGravityDirection() ?? { x: 0, y: 1 };
+          const dt = this.context.getDeltaTime();
+          const slidVelocity = { x: velocity.x, y: velocity.y };
+          let motion = { x: velocity.x * dt, y: velocity.y * dt };
+          const collisions: KinematicCollision[] = [];
+          let ground: IGameObject | null = null;
+
+          // Keep going after the motion is used up so overlaps left by the previous hit
+          // (e.g. the floor in a corner) are pushed out and reported too
+          for (let i = 0; i < MAX_SLIDES; i++) {
+            const hit = this.context.moveAndCollide(this, motion);
+            if (!hit) break;
+            collisions.push(hit);
+
+            const { normal, remainder } = hit;
+            // Floors face against gravity
+            if (normal.x * down.x + normal.y * down.y < -0.7) {
+              ground = hit.object;
+            }
+
+            // Drop the parts of the leftover motion and the velocity that point into the surface
+            const motionInto = Math.min(remainder.x * normal.x + remainder.y * normal.y, 0);
+            motion = { x: remainder.x - normal.x * motionInto, y: remainder.y - normal.y * motionInto };
+            const velocityInto = Math.min(slidVelocity.x * normal.x + slidVelocity.y * normal.y, 0);
+            slidVelocity.x -= normal.x * velocityInto;
+            slidVelocity.y -= normal.y * velocityInto;
+          }
+
+          bodyComp.velocity.x = slidVelocity.x;
+          bodyComp.velocity.y = slidVelocity.y;
+
+          const wasGrounded = bodyComp.grounded ?? false;
+          bodyComp.grounded = ground !== null;
+          if (ground && !wasGrounded) {
+            this.trigger('ground', ground);
+          }
+          return collisions;
+        },
+        enumerable: false,
+        configurable: true,
+      });
+
+      // applyTorque(torque) - spin the body during the next physics step
+      Object.defineProperty(this, 'applyTorque', {
+        value: (torque: number) => {
+          bodyComp.torque = (bodyComp.torque ?? 0) + torque;
+        },
+        enumerable: false,
+        configurable: true,
+      });
+
+      // applyImpulseAt(impulse, point) - instant push at a world point, spinning the body if off-center
+      Object.defineProperty(this, 'applyImpulseAt', {
+        value: (impulse: Vec2, point: Vec2) => this.context.applyImpulseAt(this, impulse, point),
+        enumerable: false,
+        configurable: true,
+      });
+
+      // dropThrough() - fall through the one-way platforms the body is standing on
+      Object.defineProperty(this, 'dropThrough', {
+        value: () => {
+          this.context.dropThrough(this);
+          bodyComp.grounded = false;
+        },
+        enumerable: false,
+        configurable: true,
+      });
+    }
     
     this.trigger('use', component);
     return this;
@@ -107,6 +361,140 @@ export class GameObject implements IGameObject {
     if (parent && !parent.children.includes(this)) {
       parent.children.push(this);
     }
+    // Children without their own layer/z are drawn with their parent
+    this.context.drawOrderChanged();
+  }
+
+  /**
+   * Draw order within the layer (adds a z component when set)
+   */
+  get z(): number {
+    return this.get<ZComponent>('z')?.value ?? 0;
+  }
+
+  set z(value: number) {
+    const zComp = this.get<ZComponent>('z');
+    if (zComp) {
+      zComp.value = value;
+    } else {
+      this.components.set('z', { id: 'z', value } as ZComponent);
+    }
+    this.context.drawOrderChanged();
+  }
+
+  /**
+   * Render layer name, or null to use the parent's (or the default) layer
+   */
+  get layer(): string | null {
+    return this.get<LayerComponent>('layer')?.name ?? null;
+  }
+
+  set layer(name: string | null) {
+    if (name === null) {
+      this.components.delete('layer');
+    } else {
+      const layerComp = this.get<LayerComponent>('layer');
+      if (layerComp) {
+        layerComp.name = name;
+      } else {
+        this.components.set('layer', { id: 'layer', name } as LayerComponent);
+      }
+    }
+    this.context.drawOrderChanged();
+  }
+
+  /**
+   * Position in world space - transform.pos is relative to the parent
+   */
+  worldPos(): Vec2 {
+    return this.toWorld({ x: 0, y: 0 });
+  }
+
+  /**
+   * Rotation in world space (degrees), summed up the parent chain
+   */
+  worldRotation(): number {
+    const rotation = this.get<TransformComponent>('transform')?.rotation ?? 0;
+    return this.parent ? this.parent.worldRotation() + rotation : rotation;
+  }
+
+  /**
+   * Scale in world space, multiplied up the parent chain
+   */
+  worldScale(): Vec2 {
+    const scale = this.get<TransformComponent>('transform')?.scale ?? { x: 1, y: 1 };
+    if (!this.parent) return { x: scale.x, y: scale.y };
+    const parentScale = this.parent.worldScale();
+    return { x: parentScale.x * scale.x, y: parentScale.y * scale.y };
+  }
+
+  /**
+   * Convert a point in this object's local space to world space
+   */
+  toWorld(point: Vec2): Vec2 {
+    const transform = this.get<TransformComponent>('transform');
+    let result = { x: point.x, y: point.y };
+
+    if (transform) {
+      const scale = transform.scale ?? { x: 1, y: 1 };
+      const angleRad = ((transform.rotation ?? 0) * Math.PI) / 180;
+      const cos = Math.cos(angleRad);
+      const sin = Math.sin(angleRad);
+      const x = point.x * scale.x;
+      const y = point.y * scale.y;
+      result = {
+        x: transform.pos.x.value + x * cos - y * sin,
+        y: transform.pos.y.value + x * sin + y * cos,
+      };
+    }
+
+    return this.parent ? this.parent.toWorld(result) : result;
+  }
+
+  /**
+   * Convert a world-space point to this object's local space
+   */
+  toLocal(point: Vec2): Vec2 {
+    const parentPoint = this.parent ? this.parent.toLocal(point) : point;
+    const transform = this.get<TransformComponent>('transform');
+    if (!transform) return { x: parentPoint.x, y: parentPoint.y };
+
+    const scale = transform.scale ?? { x: 1, y: 1 };
+    const angleRad = ((transform.rotation ?? 0) * Math.PI) / 180;
+    const cos = Math.cos(angleRad);
+    const sin = Math.sin(angleRad);
+    const dx = parentPoint.x - transform.pos.x.value;
+    const dy = parentPoint.y - transform.pos.y.value;
+    return {
+      x: (dx * cos + dy * sin) / (scale.x || 1),
+      y: (-dx * sin + dy * cos) / (scale.y || 1),
+    };
+  }
+
+  /**
+   * Place the object at a world position (stored relative to the parent)
+   */
+  setWorldPos(point: Vec2): void {
+    const transform = this.get<TransformComponent>('transform');
+    if (!transform) return;
+    const local = this.parent ? this.parent.toLocal(point) : point;
+    transform.pos.x.value = local.x;
+    transform.pos.y.value = local.y;
+  }
+
+  /**
+   * Move by a world-space offset - physics uses this so children move in world units
+   */
+  moveBy(dx: number, dy: number): void {
+    const transform = this.get<TransformComponent>('transform');
+    if (!transform) return;
+    if (!this.parent) {
+      transform.pos.x.value += dx;
+      transform.pos.y.value += dy;
+      return;
+    }
+    const world = this.worldPos();
+    this.setWorldPos({ x: world.x + dx, y: world.y + dy });
   }
 
   addTag(tag: string): this {
@@ -123,8 +511,9 @@ export class GameObject implements IGameObject {
 
   /**
    * Register a callback for when collision starts with an object having the specified tag
+   * The callback also receives the contact (normal, depth, points, relative velocity)
    */
-  onCollide(tag: string, callback: (other: IGameObject) => void): void {
+  onCollide(tag: string, callback: CollisionCallback): void {
     if (!this._onCollideCallbacks.has(tag)) {
       this._onCollideCallbacks.set(tag, []);
     }
@@ -134,7 +523,7 @@ export class GameObject implements IGameObject {
   /**
    * Register a callback for every frame while colliding with an object having the specified tag
    */
-  onCollideUpdate(tag: string, callback: (other: IGameObject) => void): void {
+  onCollideUpdate(tag: string, callback: CollisionCallback): void {
     if (!this._onCollideUpdateCallbacks.has(tag)) {
       this._onCollideUpdateCallbacks.set(tag, []);
     }
@@ -144,13 +533,60 @@ export class GameObject implements IGameObject {
   /**
    * Register a callback for when collision ends with an object having the specified tag
    */
-  onCollideEnd(tag: string, callback: (other: IGameObject) => void): void {
+  onCollideEnd(tag: string, callback: CollisionCallback): void {
     if (!this._onCollideEndCallbacks.has(tag)) {
       this._onCollideEndCallbacks.set(tag, []);
     }
     this._onCollideEndCallbacks.get(tag)!.push(callback);
   }
 
+  /**
+   * Check if currently colliding with anything, an object having the tag, or a specific object
+   */
+  isColliding(target?: string | IGameObject): boolean {
+    const collisions = this.getCollisions();
+    if (target === undefined || target === '*') return collisions.length > 0;
+    if (typeof target === 'string') return collisions.some(other => other.hasTag(target));
+    return collisions.includes(target as GameObject);
+  }
+
+  /**
+   * Get all objects this object overlapped during the last collision update
+   */
+  getCollisions(): GameObject[] {
+    return this.context.getCollisions(this);
+  }
+
+  /**
+   * Run an action once after a delay; cancelled if this object is destroyed first
+   */
+  wait(seconds: number, action: () => void): TimerController {
+    return this.context.waitFor(this, seconds, action);
+  }
+
+  /**
+   * Run an action every `seconds` while this object exists
+   */
+  loop(seconds: number, action: () => void): TimerController {
+    return this.context.loopFor(this, seconds, action);
+  }
+
+  /**
+   * Tween that stops when this object is destroyed
+   * Usage: this.tween(1, 0, 0.3, this.get('transform').visible) // fade out
+   */
+  tween(from: number, to: number, duration: number, setter: NumberSetter, easing?: Easing): TweenController;
+  tween(from: Vec2, to: Vec2, duration: number, setter: Vec2Setter, easing?: Easing): TweenController;
+  tween(
+    from: number | Vec2,
+    to: number | Vec2,
+    duration: number,
+    setter: NumberSetter | Vec2Setter,
+    easing?: Easing,
+  ): TweenController {
+    return this.context.tweenFor(this, from, to, duration, setter, easing);
+  }
+
   on(event: string, handler: (...args: any[]) => void): void {
     if (!this._eventHandlers.has(event)) {
       this._eventHandlers.set(event, new Set());
@@ -188,7 +624,20 @@ export class GameObject implements IGameObject {
     this.trigger('update', dt);
   }
 
-  destroy(): void {
+  /**
+   * Called once per fixed physics step, before velocities are applied
+   */
+  fixedUpdate(dt: number): void {
+    for (const component of this.components.values()) {
+      component.fixedUpdate?.(dt);
+    }
+    this.trigger('fixedUpdate', dt);
+  }
+
+  /**
+   * Fire 'destroy' and tear the object down; pooled objects keep their components for reuse
+   */
+  destroy(keepComponents = false): void {
     this.trigger('destroy');
 
     // Detach and destroy children
@@ -202,10 +651,12 @@ export class GameObject implements IGameObject {
     // Detach from parent
     this.setParent(null);
 
-    for (const component of this.components.values()) {
-      component.destroy?.();
+    if (!keepComponents) {
+      for (const component of this.components.values()) {
+        component.destroy?.();
+      }
+      this.components.clear();
     }
-    this.components.clear();
     
     // Clear collision callbacks
     this._onCollideCallbacks.clear();
@@ -7,6 +7,13 @@ export type GameKey = 'up' | 'down' | 'left' | 'right' | 'a' | 'b' | string;
 
 type KeyCallback = () => void;
 
+// Key callbacks of a paused scene
+export interface SuspendedInput {
+  onKeyDown: Map<GameKey, KeyCallback[]>;
+  onKeyPress: Map<GameKey, KeyCallback[]>;
+  onKeyRelease: Map<GameKey, KeyCallback[]>;
+}
+
 export class InputSystem {
   private pressedKeys = new Set<GameKey>();
   private previousKeys = new Set<GameKey>();
@@ -106,6 +113,27 @@ export class InputSystem {
     this.previousKeys = new Set(this.pressedKeys);
   }
 
+  /**
+   * Set the callbacks aside (pushScene) so only the top scene gets input; key state is kept
+   */
+  suspend(): SuspendedInput {
+    const saved = {
+      onKeyDown: this.onKeyDownCallbacks,
+      onKeyPress: this.onKeyPressCallbacks,
+      onKeyRelease: this.onKeyReleaseCallbacks,
+    };
+    this.onKeyDownCallbacks = new Map();
+    this.onKeyPressCallbacks = new Map();
+    this.onKeyReleaseCallbacks = new Map();
+    return saved;
+  }
+
+  resume(saved: SuspendedInput): void {
+    this.onKeyDownCallbacks = saved.onKeyDown;
+    this.onKeyPressCallbacks = saved.onKeyPress;
+    this.onKeyReleaseCallbacks = saved.onKeyRelease;
+  }
+
   /**
    * Clear all input state and callbacks
    */
@@ -0,0 +1,300 @@
+import { body, pos } from '../components';
+import type {
+  AreaComponent,
+  BodyComponent,
+  Component,
+  Level,
+  LevelOptions,
+  RectComponent,
+  SpriteComponent,
+  TransformComponent,
+  Vec2,
+} from '../types';
+import type { GameContext } from './GameContext';
+import type { GameObject } from './GameObject';
+
+interface MergeCell {
+  symbol: string;
+  area: AreaComponent;
+  body: BodyComponent;
+  tile: GameObject | null; // The tile drawn in this cell
+  run: MergedRun | null; // The collider covering this cell
+}
+
+// A block of cells, in tiles
+interface CellBlock {
+  row: number;
+  col: number;
+  width: number;
+  height: number;
+}
+
+// One merged collider and the cells it covers
+interface MergedRun extends CellBlock {
+  collider: GameObject;
+  removed: boolean;
+}
+
+const EPSILON = 1e-6;
+
+function toTile(xOrPos: number | Vec2, y?: number): Vec2 {
+  return typeof xOrPos === 'number' ? { x: xOrPos, y: y ?? 0 } : xOrPos;
+}
+
+/**
+ * Build a level from a text map: one tile per character, spaces stay empty
+ * The level is a game object at options.pos with every tile as a child, so moving
+ * or destroying it moves or destroys the whole level.
+ */
+export function createLevel(context: GameContext, map: string[], options: LevelOptions): Level {
+  const { tileWidth, tileHeight } = options;
+  const root = context.add([pos(options.pos?.x ?? 0, options.pos?.y ?? 0), 'level']) as unknown as Level;
+  const tilesAt = new Map<string, GameObject[]>();
+  const warnedSymbols = new Set<string>();
+  const rows = map.length;
+  const columns = map.reduce((longest, row) => Math.max(longest, row.length), 0);
+
+  // Tile positions are the cell centers, where rect(), sprite() and area() center by default
+  const tile2Pos = (xOrPos: number | Vec2, y?: number): Vec2 => {
+    const tile = toTile(xOrPos, y);
+    return { x: (tile.x + 0.5) * tileWidth, y: (tile.y + 0.5) * tileHeight };
+  };
+
+  const pos2Tile = (xOrPos: number | Vec2, y?: number): Vec2 => {
+    const point = toTile(xOrPos, y);
+    return { x: Math.floor(point.x / tileWidth), y: Math.floor(point.y / tileHeight) };
+  };
+
+  const getAt = (xOrPos: number | Vec2, y?: number): GameObject[] => {
+    const tile = toTile(xOrPos, y);
+    return [...(tilesAt.get(`${tile.x},${tile.y}`) ?? [])];
+  };
+
+  const getTileComponents = (symbol: string, tile: Vec2): (Component | string)[] | null => {
+    const factory = options.tiles[symbol];
+    const components = factory ? factory(tile) : options.wildcardTile?.(symbol, tile);
+    if (!components) {
+      if (!factory && !warnedSymbols.has(symbol)) {
+        warnedSymbols.add(symbol);
+        console.warn(`Level tile "${symbol}" has no entry in tiles. Known tiles: ${Object.keys(options.tiles).join(', ')}`);
+      }
+      return null;
+    }
+    return components;
+  };
+
+  const addTile = (components: (Component | string)[], tile: Vec2): GameObject => {
+    const center = tile2Pos(tile);
+    // The tile's own transform components (rotate, scale, anchor) still apply on top of the cell position
+    const obj = root.addChild([pos(center.x, center.y), ...components]) as GameObject;
+    const key = `${tile.x},${tile.y}`;
+    tilesAt.set(key, [...(tilesAt.get(key) ?? []), obj]);
+    obj.on('destroy', () => {
+      const remaining = (tilesAt.get(key) ?? []).filter(other => other !== obj);
+      if (remaining.length > 0) {
+        tilesAt.set(key, remaining);
+      } else {
+        tilesAt.delete(key);
+      }
+    });
+    return obj;
+  };
+
+  const spawn = (
+    symbolOrComponents: string | (Component | string)[],
+    xOrPos: number | Vec2,
+    y?: number,
+  ): GameObject | null => {
+    const tile = toTile(xOrPos, y);
+    const components = typeof symbolOrComponents === 'string'
+      ? getTileComponents(symbolOrComponents, tile)
+      : symbolOrComponents;
+    return components ? addTile(components, tile) : null;
+  };
+
+  Object.defineProperty(root, 'tileWidth', { value: tileWidth, enumerable: false, configurable: true });
+  Object.defineProperty(root, 'tileHeight', { value: tileHeight, enumerable: false, configurable: true });
+  Object.defineProperty(root, 'numRows', { value: () => rows, enumerable: false, configurable: true });
+  Object.defineProperty(root, 'numColumns', { value: () => columns, enumerable: false, configurable: true });
+  Object.defineProperty(root, 'levelWidth', { value: () => columns * tileWidth, enumerable: false, configurable: true });
+  Object.defineProperty(root, 'levelHeight', { value: () => rows * tileHeight, enumerable: false, configurable: true });
+  Object.defineProperty(root, 'tile2Pos', { value: tile2Pos, enumerable: false, configurable: true });
+  Object.defineProperty(root, 'pos2Tile', { value: pos2Tile, enumerable: false, configurable: true });
+  Object.defineProperty(root, 'getAt', { value: getAt, enumerable: false, configurable: true });
+  Object.defineProperty(root, 'spawn', { value: spawn, enumerable: false, configurable: true });
+
+  if (!(tileWidth > 0) || !(tileHeight > 0)) {
+    console.warn(`Level tile size must be positive, got ${tileWidth} x ${tileHeight}.`);
+    return root;
+  }
+
+  const mergeColliders = options.mergeColliders ?? true;
+  const cells: (MergeCell | null)[][] = [];
+
+  for (let row = 0; row < rows; row++) {
+    cells.push(new Array(columns).fill(null));
+    for (let col = 0; col < map[row].length; col++) {
+      const symbol = map[row][col];
+      if (symbol === ' ') continue;
+      const tile = { x: col, y: row };
+      const components = getTileComponents(symbol, tile);
+      if (!components) continue;
+
+      const merge = mergeColliders === true || (Array.isArray(mergeColliders) && mergeColliders.includes(symbol));
+      const cell = merge ? getMergeCell(symbol, components, tileWidth, tileHeight) : null;
+      if (cell) {
+        // The tile keeps its looks; its collider becomes part of a merged one
+        cells[row][col] = cell;
+        cell.tile = addTile(components.filter(item => item !== cell.area && item !== cell.body), tile);
+        cell.tile.on('destroy', () => removeMergedTile(row, col));
+      } else {
+        addTile(components, tile);
+      }
+    }
+  }
+
+  // Tiles and colliders go with the level; nothing is rebuilt while it is destroyed
+  let levelDestroyed = false;
+  root.on('destroy', () => {
+    levelDestroyed = true;
+  });
+
+  const addColliders = (block: CellBlock) => {
+    for (const run of meshCells(cells, block)) {
+      const cell = cells[run.row][run.col] as MergeCell;
+      const area: AreaComponent = {
+        ...cell.area,
+        width: run.width * tileWidth,
+        height: run.height * tileHeight,
+        collisionIgnore: [...(cell.area.collisionIgnore ?? [])],
+      };
+      const collider = root.addChild([
+        pos((run.col + run.width / 2) * tileWidth, (run.row + run.height / 2) * tileHeight),
+        area,
+        body({ isStatic: true }),
+      ]) as GameObject;
+      const merged: MergedRun = { collider, ...run, removed: false };
+      forEachCell(merged, (y, x) => {
+        (cells[y][x] as MergeCell).run = merged;
+      });
+      collider.on('destroy', () => removeMergedRun(merged));
+    }
+  };
+
+  // A destroyed tile takes its cell out of the merged collider; the rest of the run is merged again
+  const removeMergedTile = (row: number, col: number) => {
+    const run = cells[row][col]?.run;
+    cells[row][col] = null;
+    if (!run || run.removed || levelDestroyed) return;
+    run.removed = true;
+    context.destroy(run.collider);
+    addColliders(run);
+  };
+
+  // Destroying a merged collider directly destroys the tiles it stands for
+  const removeMergedRun = (run: MergedRun) => {
+    if (run.removed || levelDestroyed) return;
+    run.removed = true;
+    forEachCell(run, (y, x) => {
+      const tile = cells[y][x]?.tile;
+      cells[y][x] = null;
+      if (tile) context.destroy(tile);
+    });
+  };
+
+  addColliders({ row: 0, col: 0, width: columns, height: rows });
+  return root;
+}
+
+function forEachCell(block: CellBlock, action: (row: number, col: number) => void): void {
+  for (let y = block.row; y < block.row + block.height; y++) {
+    for (let x = block.col; x < block.col + block.width; x++) {
+      action(y, x);
+    }
+  }
+}
+
+/**
+ * A tile can share a collider with its neighbours when it is an untagged static,
+ * unrotated, full-tile box: everything about its collision is then decided by its
+ * symbol. Tagged tiles keep their own collider so collisions report the tile itself.
+ */
+function getMergeCell(
+  symbol: string,
+  components: (Component | string)[],
+  tileWidth: number,
+  tileHeight: number,
+): MergeCell | null {
+  if (components.some(item => typeof item === 'string')) return null;
+  const comps = components as Component[];
+  const areaComp = comps.find(comp => comp.id === 'area') as AreaComponent | undefined;
+  const bodyComp = comps.find(comp => comp.id === 'body') as BodyComponent | undefined;
+  if (!areaComp || !bodyComp?.isStatic) return null;
+
+  const rotated = comps.some(comp => comp.id === 'transform' && ((comp as TransformComponent).rotation ?? 0) !== 0);
+  const scaled = comps.some(comp => {
+    const scale = comp.id === 'transform' ? (comp as TransformComponent).scale : undefined;
+    return scale !== undefined && (scale.x !== 1 || scale.y !== 1);
+  });
+  if (rotated || scaled) return null;
+  if (areaComp.shape && areaComp.shape !== 'rect') return null;
+  if ((areaComp.offset?.x ?? 0) !== 0 || (areaComp.offset?.y ?? 0) !== 0) return null;
+  if ((areaComp.scale?.x ?? 1) !== 1 || (areaComp.scale?.y ?? 1) !== 1) return null;
+
+  // Same size rules as the CollisionSystem: explicit area size, else rect, else sprite
+  const rectComp = comps.find(comp => comp.id === 'rect') as RectComponent | undefined;
+  const spriteComp = comps.find(comp => comp.id === 'sprite') as SpriteComponent | undefined;
+  const size = areaComp.width !== undefined && areaComp.height !== undefined
+    ? { x: areaComp.width, y: areaComp.height }
+    : rectComp
+      ? { x: rectComp.width, y: rectComp.height }
+      : spriteComp
+        ? { x: spriteComp.width, y: spriteComp.height }
+        : null;
+  if (!size || Math.abs(size.x - tileWidth) > EPSILON || Math.abs(size.y - tileHeight) > EPSILON) {
+    return null;
+  }
+
+  return { symbol, area: areaComp, body: bodyComp, tile: null, run: null };
+}
+
+/**
+ * Greedy meshing inside a block of cells: grow each collider right as far as the
+ * symbol repeats, then down while the whole row below matches.
+ */
+function meshCells(cells: (MergeCell | null)[][], block: CellBlock): CellBlock[] {
+  const runs: CellBlock[] = [];
+  const used = new Set<string>();
+  const bottom = block.row + block.height;
+  const right = block.col + block.width;
+  const free = (row: number, col: number, symbol: string) =>
+    row < bottom && col < right && cells[row]?.[col]?.symbol === symbol && !used.has(`${col},${row}`);
+
+  for (let row = block.row; row < bottom; row++) {
+    for (let col = block.col; col < right; col++) {
+      const cell = cells[row][col];
+      if (!cell || !free(row, col, cell.symbol)) continue;
+
+      let width = 1;
+      while (free(row, col + width, cell.symbol)) width++;
+
+      let height = 1;
+      while (row + height < bottom) {
+        let fullRow = true;
+        for (let x = col; x < col + width; x++) {
+          if (!free(row + height, x, cell.symbol)) {
+            fullRow = false;
+            break;
+          }
+        }
+        if (!fullRow) break;
+        height++;
+      }
+
+      const run = { row, col, width, height };
+      forEachCell(run, (y, x) => used.add(`${x},${y}`));
+      runs.push(run);
+    }
+  }
+  return runs;
+}
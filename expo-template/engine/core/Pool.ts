@@ -0,0 +1,214 @@
+import type {
+  BodyComponent,
+  Component,
+  Pool,
+  PoolFactory,
+  PoolOptions,
+  PoolSpawnProps,
+  SharedValue,
+  TransformComponent,
+} from '../types';
+import type { GameContext } from './GameContext';
+import type { GameObject } from './GameObject';
+
+type SavedValue =
+  | { kind: 'shared'; shared: SharedValue<unknown>; value: unknown }
+  | { kind: 'nested'; object: Record<string, unknown>; fields: SavedFields }
+  | { kind: 'plain'; value: unknown };
+
+type SavedFields = Map<string, SavedValue>;
+
+// How a pooled object looked when it was created; every spawn starts from here
+interface InitialState {
+  components: { id: string; component: Component; fields: SavedFields }[];
+  tags: string[];
+}
+
+function isSharedValue(value: unknown): value is SharedValue<unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value) && 'value' in value;
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+// Deep copy of plain data; anything else (images, typed arrays) is kept as is
+function copyPlain(value: unknown): unknown {
+  if (Array.isArray(value)) return value.map(copyPlain);
+  if (!isPlainObject(value)) return value;
+  const copy: Record<string, unknown> = {};
+  for (const key of Object.keys(value)) {
+    copy[key] = copyPlain(value[key]);
+  }
+  return copy;
+}
+
+function saveFields(source: Record<string, unknown>): SavedFields {
+  const fields: SavedFields = new Map();
+  for (const key of Object.keys(source)) {
+    const value = source[key];
+    if (key === 'id' || typeof value === 'function') continue;
+    if (isSharedValue(value)) {
+      fields.set(key, { kind: 'shared', shared: value, value: copyPlain(value.value) });
+    } else if (isPlainObject(value) && Object.values(value).some(isSharedValue)) {
+      // e.g. transform.pos: keep the { x, y } shared values, reset what they hold
+      fields.set(key, { kind: 'nested', object: value, fields: saveFields(value) });
+    } else {
+      fields.set(key, { kind: 'plain', value: copyPlain(value) });
+    }
+  }
+  return fields;
+}
+
+// Shared values are written in place so the renderer keeps its bindings
+function restoreFields(target: Record<string, unknown>, fields: SavedFields): void {
+  for (const [key, saved] of fields) {
+    if (saved.kind === 'shared') {
+      target[key] = saved.shared;
+      // Every write reaches the UI thread; skip the ones that change nothing
+      if (typeof saved.value === 'object' || saved.shared.value !== saved.value) {
+        saved.shared.value = copyPlain(saved.value);
+      }
+    } else if (saved.kind === 'nested') {
+      target[key] = saved.object;
+      restoreFields(saved.object, saved.fields);
+    } else {
+      target[key] = copyPlain(saved.value);
+    }
+  }
+}
+
+/**
+ * Object pool
+ * Keeps released objects with their components and shared values, and hands them
+ * out again reset to how the factory built them. Spawning fires 'add', releasing
+ * fires 'destroy', like ctx.add() and ctx.destroy().
+ */
+export class ObjectPool implements Pool {
+  readonly name: string;
+  private context: GameContext;
+  private factory: PoolFactory;
+  private options: PoolOptions;
+  private free: GameObject[] = [];
+  private inUse = new Set<GameObject>();
+  private initialStates = new Map<GameObject, InitialState>();
+
+  constructor(context: GameContext, name: string, factory: PoolFactory, options: PoolOptions = {}) {
+    this.context = context;
+    this.name = name;
+    this.factory = factory;
+    this.options = options;
+
+    for (let i = 0; i < (options.size ?? 0); i++) {
+      this.free.push(this.create());
+    }
+  }
+
+  get active(): number {
+    return this.inUse.size;
+  }
+
+  get available(): number {
+    return this.free.length;
+  }
+
+  /**
+   * Take an object from the pool (or build one when it is empty) and add it to the scene
+   */
+  spawn(props: PoolSpawnProps = {}, parent?: GameObject): GameObject {
+    const obj = this.free.pop() ?? this.create();
+    this.reset(obj);
+    this.apply(obj, props);
+    this.inUse.add(obj);
+    this.options.onSpawn?.(obj, props);
+    this.context.addObject(obj, parent);
+    // Like ctx.add(), a new object needs a re-render
+    this.context.drawOrderChanged();
+    return obj;
+  }
+
+  /**
+   * Return an object to the pool at the end of the frame, like ctx.destroy()
+   */
+  release(obj: GameObject): void {
+    if (!this.inUse.has(obj)) {
+      console.warn(`Object ${obj.id} is not a spawned object of pool "${this.name}".`);
+      return;
+    }
+    this.context.destroy(obj);
+  }
+
+  owns(obj: GameObject): boolean {
+    return this.inUse.has(obj);
+  }
+
+  /**
+   * Take a released object out of the scene (called by the GameContext when it is flushed)
+   */
+  recycle(obj: GameObject): void {
+    obj.destroy(true);
+    this.inUse.delete(obj);
+    this.free.push(obj);
+  }
+
+  private create(): GameObject {
+    const obj = this.context.createObject(this.factory());
+    this.initialStates.set(obj, {
+      components: [...obj.components].map(([id, component]) => ({
+        id,
+        component,
+        fields: saveFields(component as unknown as Record<string, unknown>),
+      })),
+      tags: [...obj.tags],
+    });
+    Object.defineProperty(obj, 'release', {
+      value: () => this.release(obj),
+      enumerable: false,
+      configurable: true,
+    });
+    return obj;
+  }
+
+  private reset(obj: GameObject): void {
+    const initial = this.initialStates.get(obj)!;
+    obj.components.clear();
+    for (const { id, component, fields } of initial.components) {
+      restoreFields(component as unknown as Record<string, unknown>, fields);
+      obj.components.set(id, component);
+    }
+    obj.tags.length = 0;
+    obj.tags.push(...initial.tags);
+  }
+
+  private apply(obj: GameObject, props: PoolSpawnProps): void {
+    const transform = obj.get<TransformComponent>('transform');
+    if (transform) {
+      if (props.pos) {
+        transform.pos.x.value = props.pos.x;
+        transform.pos.y.value = props.pos.y;
+        if (transform.renderPos) {
+          transform.renderPos.x.value = props.pos.x;
+          transform.renderPos.y.value = props.pos.y;
+        }
+      }
+      if (props.rotation !== undefined) {
+        transform.rotation = props.rotation;
+        if (transform.renderRotation) {
+          transform.renderRotation.value = props.rotation;
+        }
+      }
+      if (props.scale) {
+        transform.scale = { x: props.scale.x, y: props.scale.y };
+      }
+    }
+
+    const body = obj.get<BodyComponent>('body');
+    if (body && props.velocity) {
+      body.velocity = { x: props.velocity.x, y: props.velocity.y };
+    }
+
+    for (const tag of props.tags ?? []) {
+      obj.addTag(tag);
+    }
+  }
+}
@@ -7,12 +7,58 @@ import { GameContext } from './core/GameContext';
 import { useGameLoop } from './core/GameLoop';
 import { InputSystem } from './core/InputSystem';
 import { RenderSystem } from './systems/RenderSystem';
+import type { DebugEvent } from './types';
 
 // Re-export components
 export * from './components';
 export { GamePad, inputSharedValues } from './components/GamePad';
 export type { GameContext } from './core/GameContext';
-export type { Component, GameObject, Vec2 } from './types';
+export { loadSound, setAudioBackend } from './systems/AudioSystem';
+export { easings } from './systems/easings';
+export { transitions } from './systems/TransitionSystem';
+export type {
+  AudioBackend,
+  AudioVoice,
+  CameraFollowOptions,
+  CollisionLayer,
+  CollisionMatrix,
+  Component,
+  DebugEvent,
+  Easing,
+  EasingName,
+  GameObject,
+  GoOptions,
+  Joint,
+  JointOptions,
+  JointType,
+  LayerComponent,
+  Level,
+  LevelOptions,
+  MusicOptions,
+  ParticleRange,
+  ParticlesComponent,
+  ParticlesOptions,
+  PausedSceneView,
+  PlaySoundOptions,
+  Pool,
+  PoolFactory,
+  PoolOptions,
+  PoolSpawnProps,
+  PushSceneOptions,
+  SoundHandle,
+  SoundSource,
+  StateComponent,
+  StateTransitions,
+  StayComponent,
+  TileFactory,
+  TimerController,
+  TransitionFrame,
+  TransitionFunction,
+  TransitionName,
+  TweenController,
+  Vec2,
+  ZComponent,
+} from './types';
 
 interface GameProps {
   width?: number;
@@ -21,7 +67,13 @@ interface GameProps {
   showGamePad?: boolean;
   gamePadSize?: number;
   gamePadOpacity?: number;
-  debug?: boolean; // Show collision area outlines
+  debug?: boolean; // Show collision area outlines, joints and object states
+  fixedStep?: number; // Seconds per physics step (default 1/60)
+  maxFixedSteps?: number; // Physics steps allowed per frame before time is dropped (default 5)
+  interpolate?: boolean; // Draw moving bodies between physics steps (default true)
+  layers?: string[]; // Render layers, back to front (e.g. ['bg', 'game', 'ui'])
+  defaultLayer?: string; // Layer for objects without layer() (default: the first layer)
+  onDebugEvent?: (event: DebugEvent) => void; // Receives state changes and other tool events (see ctx.onDebugEvent)
 }
 
 /**
@@ -42,6 +94,12 @@ export function Game({
   gamePadSize,
   gamePadOpacity,
   debug = false,
+  fixedStep = 1 / 60,
+  maxFixedSteps = 5,
+  interpolate = true,
+  layers,
+  defaultLayer,
+  onDebugEvent,
 }: GameProps) {
   const dimensions = useWindowDimensions();
   const width = customWidth ?? dimensions.width;
@@ -66,6 +124,9 @@ export function Game({
     // ✅ Expose SharedValue input (Unity/Kaboom style)
     contextRef.current.input = inputSharedValues;
     contextRef.current.setViewport(width, height);
+    if (layers) {
+      contextRef.current.setLayers(layers, defaultLayer);
+    }
     if (__DEV__) {
       console.log(
         '[ReGame] GameContext prototype methods:',
@@ -75,11 +136,21 @@ export function Game({
     
     // Set up a listener for when objects are added/removed
     const originalAdd = contextRef.current.add.bind(contextRef.current);
-    contextRef.current.add = (components: any) => {
-      const result = originalAdd(components);
+    contextRef.current.add = (components, parent) => {
+      const result = originalAdd(components, parent);
       tick.value += 1; // Trigger re-render only when objects added
       return result;
     };
+    // Changing a layer or z re-sorts the objects, which needs a re-render
+    contextRef.current.onDrawOrderChange(() => {
+      tick.value += 1;
+    });
+    const originalAddJoint = contextRef.current.addJoint.bind(contextRef.current);
+    contextRef.current.addJoint = (options) => {
+      const result = originalAddJoint(options);
+      tick.value += 1; // Joints are drawn in debug mode
+      return result;
+    };
     
     children(contextRef.current);
     setupRef.current = true;
@@ -89,11 +160,28 @@ export function Game({
     contextRef.current.setViewport(width, height);
   }, [width, height]);
 
+  useEffect(() => {
+    contextRef.current.debug = debug;
+  }, [debug]);
+
+  useEffect(() => {
+    if (!onDebugEvent) return;
+    return contextRef.current.onDebugEvent(onDebugEvent);
+  }, [onDebugEvent]);
+
+  // Sounds outlive the component otherwise
+  useEffect(() => () => contextRef.current.stopAllSounds(), []);
+
+  // Physics runs at a fixed rate, independent of the display refresh rate
+  const fixedUpdate = useCallback((step: number) => {
+    contextRef.current.fixedUpdate(step);
+  }, []);
+
   // Update function called every frame
-  const update = useCallback((dt: number) => {
-    contextRef.current.update(dt);
+  const update = useCallback((dt: number, alpha: number) => {
+    contextRef.current.update(dt, interpolate ? alpha : 1);
     // No tick increment - Skia uses shared values directly!
-  }, []);
+  }, [interpolate]);
 
   const openDevMenu = useCallback(() => {
     if (canShowDevMenu) {
@@ -102,16 +190,20 @@ export function Game({
   }, [canShowDevMenu, devMenu]);
 
   // Start game loop
-  useGameLoop(update);
+  useGameLoop(update, { fixedStep, maxSteps: maxFixedSteps, fixedUpdate });
 
   return (
     <GestureHandlerRootView style={styles.container}>
       <View style={styles.container}>
         <RenderSystem
-          objects={contextRef.current.objects}
+          getObjects={() => contextRef.current.getDrawOrder()}
+          joints={contextRef.current.joints}
           width={width}
           height={height}
           tick={tick}
+          camera={contextRef.current.camera}
+          transition={contextRef.current.transition}
+          getPausedScenes={() => contextRef.current.getPausedScenes()}
           debug={debug}
         />
         {showGamePad && (
@@ -147,12 +239,16 @@ export function useGame() {
   const contextRef = useRef<GameContext>(new GameContext());
   const tick = useSharedValue(0);
 
-  const update = useCallback((dt: number) => {
-    contextRef.current.update(dt);
+  const fixedUpdate = useCallback((step: number) => {
+    contextRef.current.fixedUpdate(step);
+  }, []);
+
+  const update = useCallback((dt: number, alpha: number) => {
+    contextRef.current.update(dt, alpha);
     tick.value += 1;
   }, [tick]);
 
-  useGameLoop(update);
+  useGameLoop(update, { fixedUpdate });
 
   return {
     context: contextRef.current,
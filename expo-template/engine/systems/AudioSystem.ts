@@ -0,0 +1,422 @@
+import type {
+  AudioBackend,
+  AudioVoice,
+  MusicOptions,
+  PlaySoundOptions,
+  SoundHandle,
+  SoundSource,
+} from '../types';
+
+// Sounds registered with loadSound(), shared by every game
+const sounds = new Map<string, SoundSource>();
+let backend: AudioBackend | null = null;
+
+/**
+ * Register a sound so it can be played by name
+ * Usage: loadSound('jump', require('../assets/sounds/jump.wav'))
+ */
+export function loadSound(name: string, source: SoundSource): void {
+  sounds.set(name, source);
+}
+
+/**
+ * Replace the audio backend (e.g. with an in-memory stub in tests)
+ * Pass null to go back to the default expo-audio backend.
+ */
+export function setAudioBackend(next: AudioBackend | null): void {
+  backend = next;
+}
+
+function getBackend(): AudioBackend {
+  if (!backend) {
+    backend = createExpoAudioBackend();
+  }
+  return backend;
+}
+
+const silentVoice: AudioVoice = {
+  play: () => {},
+  pause: () => {},
+  seek: () => {},
+  setVolume: () => {},
+  setRate: () => {},
+  setLoop: () => {},
+  getTime: () => 0,
+  getDuration: () => 0,
+  release: () => {},
+};
+
+const silentBackend: AudioBackend = {
+  createVoice: () => silentVoice,
+};
+
+/**
+ * Default backend: one expo-audio player per playing sound
+ * expo-audio is required lazily so the engine still loads where it isn't installed.
+ */
+function createExpoAudioBackend(): AudioBackend {
+  let createAudioPlayer: ((source: SoundSource) => any) | undefined;
+  try {
+    ({ createAudioPlayer } = require('expo-audio'));
+  } catch (error) {
+    console.warn('expo-audio is not available, sounds will be silent.', error);
+  }
+  if (!createAudioPlayer) return silentBackend;
+  const createPlayer = createAudioPlayer;
+
+  return {
+    createVoice: (source, onEnd) => {
+      const player = createPlayer(source);
+      // Speed and detune change the pitch, like a tape played faster
+      player.shouldCorrectPitch = false;
+      const subscription = player.addListener(
+        'playbackStatusUpdate',
+        (status: { didJustFinish?: boolean }) => {
+          if (status.didJustFinish && !player.loop) {
+            onEnd();
+          }
+        },
+      );
+
+      return {
+        play: () => player.play(),
+        pause: () => player.pause(),
+        seek: seconds => {
+          void player.seekTo(seconds);
+        },
+        setVolume: volume => {
+          player.volume = volume;
+        },
+        setRate: rate => player.setPlaybackRate(rate),
+        setLoop: loop => {
+          player.loop = loop;
+        },
+        getTime: () => player.currentTime,
+        getDuration: () => player.duration,
+        release: () => {
+          subscription.remove();
+          player.remove();
+        },
+      };
+    },
+  };
+}
+
+/**
+ * A playing sound; wraps a backend voice and applies the master volume to it
+ */
+class Sound implements SoundHandle {
+  private _volume: number;
+  private _speed: number;
+  private _detune: number;
+  private _loop: boolean;
+  private _paused: boolean;
+  private _stopped = false;
+  private endHandlers: (() => void)[] = [];
+
+  constructor(
+    readonly name: string,
+    private voice: AudioVoice,
+    private system: AudioSystem,
+    options: PlaySoundOptions,
+  ) {
+    this._volume = Math.max(0, options.volume ?? 1);
+    this._speed = options.speed ?? 1;
+    this._detune = options.detune ?? 0;
+    this._loop = options.loop ?? false;
+    this._paused = options.paused ?? false;
+
+    this.applyVolume();
+    this.applyRate();
+    this.voice.setLoop(this._loop);
+    if (!this._paused) {
+      this.voice.play();
+    }
+  }
+
+  get volume(): number {
+    return this._volume;
+  }
+
+  set volume(value: number) {
+    this._volume = Math.max(0, value);
+    this.applyVolume();
+  }
+
+  get speed(): number {
+    return this._speed;
+  }
+
+  set speed(value: number) {
+    this._speed = value;
+    this.applyRate();
+  }
+
+  get detune(): number {
+    return this._detune;
+  }
+
+  set detune(value: number) {
+    this._detune = value;
+    this.applyRate();
+  }
+
+  get loop(): boolean {
+    return this._loop;
+  }
+
+  set loop(value: boolean) {
+    this._loop = value;
+    this.voice.setLoop(value);
+  }
+
+  get paused(): boolean {
+    return this._paused;
+  }
+
+  get stopped(): boolean {
+    return this._stopped;
+  }
+
+  play(): void {
+    if (this._stopped || !this._paused) return;
+    this._paused = false;
+    this.voice.play();
+  }
+
+  pause(): void {
+    if (this._stopped || this._paused) return;
+    this._paused = true;
+    this.voice.pause();
+  }
+
+  stop(): void {
+    if (this._stopped) return;
+    this._stopped = true;
+    this.voice.release();
+    this.system.removeSound(this);
+  }
+
+  seek(seconds: number): void {
+    if (this._stopped) return;
+    this.voice.seek(seconds);
+  }
+
+  time(): number {
+    return this._stopped ? 0 : this.voice.getTime();
+  }
+
+  duration(): number {
+    return this.voice.getDuration();
+  }
+
+  fadeTo(volume: number, seconds: number): SoundHandle {
+    this.system.fade(this, volume, seconds);
+    return this;
+  }
+
+  onEnd(handler: () => void): SoundHandle {
+    this.endHandlers.push(handler);
+    return this;
+  }
+
+  /**
+   * Called by the backend when a non-looping sound reaches its end
+   */
+  finish(): void {
+    if (this._stopped) return;
+    this.stop();
+    for (const handler of this.endHandlers) {
+      handler();
+    }
+  }
+
+  applyVolume(): void {
+    this.voice.setVolume(this._volume * this.system.gain);
+  }
+
+  private applyRate(): void {
+    // Detune is in cents: 1200 cents = one octave = double speed
+    this.voice.setRate(this._speed * Math.pow(2, this._detune / 1200));
+  }
+}
+
+interface VolumeFade {
+  sound: Sound;
+  from: number;
+  to: number;
+  duration: number;
+  elapsed: number;
+  then?: () => void;
+}
+
+/**
+ * Audio system
+ * Plays registered sounds through the audio backend, crossfades music channels
+ * and applies the global volume and mute to everything that is playing.
+ */
+export class AudioSystem {
+  private sounds = new Set<Sound>();
+  private channels = new Map<string, Sound>();
+  private fades: VolumeFade[] = [];
+  private masterVolume = 1;
+  private muted = false;
+
+  /**
+   * Volume multiplier applied to every sound
+   */
+  get gain(): number {
+    return this.muted ? 0 : this.masterVolume;
+  }
+
+  play(name: string, options: PlaySoundOptions = {}): SoundHandle {
+    const source = sounds.get(name);
+    if (source === undefined) {
+      console.warn(`Sound "${name}" not found. Register it first with loadSound("${name}", require(...)).`);
+      const sound = new Sound(name, silentVoice, this, { ...options, paused: true });
+      sound.stop();
+      return sound;
+    }
+
+    let sound: Sound | null = null;
+    const voice = getBackend().createVoice(source, () => sound?.finish());
+    sound = new Sound(name, voice, this, options);
+    this.sounds.add(sound);
+    return sound;
+  }
+
+  /**
+   * Play a looping track on a channel, fading out whatever the channel played before
+   * Playing the track that is already on the channel keeps it going.
+   */
+  playMusic(name: string, options: MusicOptions = {}): SoundHandle {
+    const { channel = 'music', crossfade = 0, volume = 1, loop = true, ...rest } = options;
+    const current = this.channels.get(channel);
+    if (current && current.name === name) {
+      return current;
+    }
+    if (current) {
+      this.fadeOut(current, crossfade);
+    }
+
+    const music = this.play(name, { ...rest, loop, volume: crossfade > 0 ? 0 : volume }) as Sound;
+    if (crossfade > 0) {
+      this.fade(music, volume, crossfade);
+    }
+    if (!music.stopped) {
+      this.channels.set(channel, music);
+    } else {
+      this.channels.delete(channel);
+    }
+    return music;
+  }
+
+  stopMusic(channel = 'music', fadeOut = 0): void {
+    const current = this.channels.get(channel);
+    if (!current) return;
+    this.channels.delete(channel);
+    this.fadeOut(current, fadeOut);
+  }
+
+  getMusic(channel = 'music'): SoundHandle | null {
+    return this.channels.get(channel) ?? null;
+  }
+
+  getVolume(): number {
+    return this.masterVolume;
+  }
+
+  setVolume(volume: number): void {
+    if (!(volume >= 0)) {
+      console.warn(`Volume must be 0 or more, got ${volume}.`);
+      return;
+    }
+    this.masterVolume = volume;
+    this.applyVolumes();
+  }
+
+  isMuted(): boolean {
+    return this.muted;
+  }
+
+  setMuted(muted: boolean): void {
+    this.muted = muted;
+    this.applyVolumes();
+  }
+
+  /**
+   * Ramp a sound's volume; a new fade replaces the sound's previous one
+   */
+  fade(sound: Sound, to: number, seconds: number, then?: () => void): void {
+    this.fades = this.fades.filter(fade => fade.sound !== sound);
+    if (!(seconds > 0)) {
+      sound.volume = to;
+      then?.();
+      return;
+    }
+    this.fades.push({ sound, from: sound.volume, to, duration: seconds, elapsed: 0, then });
+  }
+
+  /**
+   * Advance volume fades (once per rendered frame)
+   */
+  update(dt: number): void {
+    if (this.fades.length === 0) return;
+
+    for (const fade of [...this.fades]) {
+      if (fade.sound.stopped) continue;
+      fade.elapsed += dt;
+      const t = Math.min(fade.elapsed / fade.duration, 1);
+      fade.sound.volume = fade.from + (fade.to - fade.from) * t;
+      if (t >= 1) {
+        this.fades = this.fades.filter(other => other !== fade);
+        fade.then?.();
+      }
+    }
+    this.fades = this.fades.filter(fade => !fade.sound.stopped);
+  }
+
+  /**
+   * Forget a sound once it has stopped
+   */
+  removeSound(sound: Sound): void {
+    this.sounds.delete(sound);
+    this.fades = this.fades.filter(fade => fade.sound !== sound);
+    for (const [channel, music] of this.channels) {
+      if (music === sound) {
+        this.channels.delete(channel);
+      }
+    }
+  }
+
+  stopAll(): void {
+    for (const sound of [...this.sounds]) {
+      sound.stop();
+    }
+    this.channels.clear();
+    this.fades = [];
+  }
+
+  /**
+   * Stop looping sound effects on scene change; they belong to the old scene.
+   * Music channels and one-shot sounds play on.
+   */
+  reset(): void {
+    const music = new Set(this.channels.values());
+    for (const sound of [...this.sounds]) {
+      if (sound.loop && !music.has(sound)) {
+        sound.stop();
+      }
+    }
+  }
+
+  private fadeOut(sound: Sound, seconds: number): void {
+    this.fade(sound, 0, seconds, () => sound.stop());
+  }
+
+  private applyVolumes(): void {
+    for (const sound of this.sounds) {
+      sound.applyVolume();
+    }
+  }
+}
@@ -0,0 +1,254 @@
+import { makeMutable } from 'react-native-reanimated';
+import type {
+  CameraFollowOptions,
+  CameraState,
+  GameObject,
+  TransformComponent,
+  Vec2,
+} from '../types';
+
+// Camera of a paused scene; shake is dropped
+export interface SuspendedCamera {
+  pos: Vec2;
+  scale: number;
+  rotation: number;
+  centered: boolean;
+  target: GameObject | null;
+  followOptions: CameraFollowOptions;
+}
+
+// Shake fades out exponentially at this rate (per second)
+const SHAKE_DECAY = 5;
+
+/**
+ * Camera system
+ * Holds the camera transform as shared values so the RenderSystem can apply it on
+ * the UI thread. Each frame it follows its target and fades out screen shake.
+ */
+export class CameraSystem {
+  readonly state: CameraState = {
+    pos: { x: makeMutable(180), y: makeMutable(320) },
+    scale: makeMutable(1),
+    rotation: makeMutable(0),
+    shake: { x: makeMutable(0), y: makeMutable(0) },
+  };
+  private viewport = { width: 360, height: 640 };
+  // Until the camera is moved it stays on the viewport center, so the default view is unchanged
+  private centered = true;
+  private target: GameObject | null = null;
+  private followOptions: CameraFollowOptions = {};
+  private shakeAmount = 0;
+
+  setViewport(width: number, height: number): void {
+    this.viewport = { width, height };
+    if (this.centered) {
+      this.state.pos.x.value = width / 2;
+      this.state.pos.y.value = height / 2;
+    }
+  }
+
+  get pos(): Vec2 {
+    return { x: this.state.pos.x.value, y: this.state.pos.y.value };
+  }
+
+  setPos(x: number, y: number): void {
+    this.centered = false;
+    this.state.pos.x.value = x;
+    this.state.pos.y.value = y;
+  }
+
+  get scale(): number {
+    return this.state.scale.value;
+  }
+
+  setScale(scale: number): void {
+    if (!(scale > 0)) {
+      console.warn(`Camera scale must be positive, got ${scale}.`);
+      return;
+    }
+    this.state.scale.value = scale;
+  }
+
+  get rotation(): number {
+    return this.state.rotation.value;
+  }
+
+  setRotation(angle: number): void {
+    this.state.rotation.value = angle;
+  }
+
+  follow(obj: GameObject | null, options: CameraFollowOptions = {}): void {
+    this.target = obj;
+    this.followOptions = options;
+    if (obj) {
+      this.centered = false;
+    }
+  }
+
+  /**
+   * Add screen shake; it fades out over roughly a second
+   */
+  shake(intensity: number): void {
+    this.shakeAmount += intensity;
+  }
+
+  /**
+   * Follow the target and advance the shake (once per rendered frame, after interpolation)
+   */
+  update(dt: number): void {
+    if (this.target) {
+      this.updateFollow(dt);
+    }
+
+    if (this.shakeAmount > 0.01) {
+      this.shakeAmount *= Math.exp(-SHAKE_DECAY * dt);
+      this.state.shake.x.value = (Math.random() * 2 - 1) * this.shakeAmount;
+      this.state.shake.y.value = (Math.random() * 2 - 1) * this.shakeAmount;
+    } else if (this.shakeAmount !== 0) {
+      this.shakeAmount = 0;
+      this.state.shake.x.value = 0;
+      this.state.shake.y.value = 0;
+    }
+  }
+
+  /**
+   * Screen position of a world point
+   */
+  toScreen(point: Vec2): Vec2 {
+    const { cos, sin, scale } = this.getRotationScale();
+    const dx = point.x - this.state.pos.x.value;
+    const dy = point.y - this.state.pos.y.value;
+    return {
+      x: this.viewport.width / 2 + this.state.shake.x.value + (dx * cos + dy * sin) * scale,
+      y: this.viewport.height / 2 + this.state.shake.y.value + (-dx * sin + dy * cos) * scale,
+    };
+  }
+
+  /**
+   * World position under a screen point
+   */
+  toWorld(point: Vec2): Vec2 {
+    const { cos, sin, scale } = this.getRotationScale();
+    const sx = (point.x - this.viewport.width / 2 - this.state.shake.x.value) / scale;
+    const sy = (point.y - this.viewport.height / 2 - this.state.shake.y.value) / scale;
+    return {
+      x: this.state.pos.x.value + sx * cos - sy * sin,
+      y: this.state.pos.y.value + sx * sin + sy * cos,
+    };
+  }
+
+  /**
+   * Stop following when the target is destroyed
+   */
+  removeObject(obj: GameObject): void {
+    if (this.target === obj) {
+      this.target = null;
+    }
+  }
+
+  /**
+   * Save the camera (pushScene) and go back to the default view
+   */
+  suspend(): SuspendedCamera {
+    const saved = {
+      pos: this.pos,
+      scale: this.scale,
+      rotation: this.rotation,
+      centered: this.centered,
+      target: this.target,
+      followOptions: this.followOptions,
+    };
+    this.reset();
+    return saved;
+  }
+
+  resume(saved: SuspendedCamera): void {
+    this.reset();
+    this.centered = saved.centered;
+    this.target = saved.target;
+    this.followOptions = saved.followOptions;
+    if (!saved.centered) {
+      this.state.pos.x.value = saved.pos.x;
+      this.state.pos.y.value = saved.pos.y;
+    }
+    this.state.scale.value = saved.scale;
+    this.state.rotation.value = saved.rotation;
+  }
+
+  /**
+   * Back to the default view (called on scene change)
+   */
+  reset(): void {
+    this.target = null;
+    this.followOptions = {};
+    this.shakeAmount = 0;
+    this.centered = true;
+    this.state.pos.x.value = this.viewport.width / 2;
+    this.state.pos.y.value = this.viewport.height / 2;
+    this.state.scale.value = 1;
+    this.state.rotation.value = 0;
+    this.state.shake.x.value = 0;
+    this.state.shake.y.value = 0;
+  }
+
+  private updateFollow(dt: number): void {
+    const { lerp = 1, deadzone, bounds } = this.followOptions;
+    const targetPos = this.getTargetPos(this.target!);
+    let x = this.state.pos.x.value;
+    let y = this.state.pos.y.value;
+
+    // Only move far enough to bring the target back to the deadzone edge
+    if (deadzone) {
+      const halfWidth = deadzone.width / 2;
+      const halfHeight = deadzone.height / 2;
+      const desiredX = Math.min(Math.max(x, targetPos.x - halfWidth), targetPos.x + halfWidth);
+      const desiredY = Math.min(Math.max(y, targetPos.y - halfHeight), targetPos.y + halfHeight);
+      x = this.approach(x, desiredX, lerp, dt);
+      y = this.approach(y, desiredY, lerp, dt);
+    } else {
+      x = this.approach(x, targetPos.x, lerp, dt);
+      y = this.approach(y, targetPos.y, lerp, dt);
+    }
+
+    // Keep the visible area inside the bounds (centered when the bounds are smaller than the view)
+    if (bounds) {
+      const halfViewWidth = this.viewport.width / 2 / this.state.scale.value;
+      const halfViewHeight = this.viewport.height / 2 / this.state.scale.value;
+      x = bounds.width <= halfViewWidth * 2
+        ? bounds.x + bounds.width / 2
+        : Math.min(Math.max(x, bounds.x + halfViewWidth), bounds.x + bounds.width - halfViewWidth);
+      y = bounds.height <= halfViewHeight * 2
+        ? bounds.y + bounds.height / 2
+        : Math.min(Math.max(y, bounds.y + halfViewHeight), bounds.y + bounds.height - halfViewHeight);
+    }
+
+    this.state.pos.x.value = x;
+    this.state.pos.y.value = y;
+  }
+
+  /**
+   * Frame-rate independent lerp: `lerp` is the share covered per 1/60 s
+   */
+  private approach(current: number, target: number, lerp: number, dt: number): number {
+    if (lerp >= 1) return target;
+    if (lerp <= 0) return current;
+    const t = 1 - Math.pow(1 - lerp, dt * 60);
+    return current + (target - current) * t;
+  }
+
+  /**
+   * Follow the drawn (interpolated) position so the camera doesn't jitter between physics steps
+   */
+  private getTargetPos(obj: GameObject): Vec2 {
+    const transform = obj.get<TransformComponent>('transform');
+    if (!obj.parent && transform?.renderPos) {
+      return { x: transform.renderPos.x.value, y: transform.renderPos.y.value };
+    }
+    return obj.worldPos();
+  }
+
+  private getRotationScale(): { cos: number; sin: number; scale: number } {
+    const angleRad = (this.state.rotation.value * Math.PI) / 180;
+    return { cos: Math.cos(angleRad), sin: Math.sin(angleRad), scale: this.state.scale.value };
+  }
+}
@@ -2,74 +2,734 @@ import type {
   AreaComponent,
   BodyComponent,
   CircleComponent,
+  CollisionContact,
+  CollisionLayer,
+  CollisionMatrix,
+  CollisionShape,
   GameObject,
+  KinematicCollision,
+  QueryOptions,
+  RaycastHit,
   RectComponent,
   SpriteComponent,
   TransformComponent,
   Vec2,
 } from '../types';
+import { SpatialHash, type AABB } from './SpatialHash';
+
+// Kinematic moves are split into at most this many sub-steps
+const MAX_MOVE_SUBSTEPS = 64;
+// Contacts shallower than this count as touching, not blocking
+const CONTACT_SLOP = 0.01;
+// Corners this close to the deepest one count as part of the touching face
+const CONTACT_FACE_TOLERANCE = 1;
+// Passes over a pair's contact points when solving impulses
+const CONTACT_ITERATIONS = 16;
+// A one-way area blocks contacts whose normal is at most ~45 degrees off its direction
+const ONE_WAY_THRESHOLD = 0.7;
+// Angular velocity is stored in degrees per second, impulse math works in radians
+const RAD_TO_DEG = 180 / Math.PI;
 
 interface CollisionPair {
   a: GameObject;
   b: GameObject;
 }
 
+/**
+ * A collision area resolved to world coordinates
+ */
+type WorldShape =
+  | { type: 'circle'; center: Vec2; radius: number }
+  | { type: 'rect'; center: Vec2; size: Vec2; rotation: number }
+  | { type: 'polygon'; center: Vec2; points: Vec2[] };
+
+// Named layers and numeric layers (0-31) each have their own 32 bits
+interface LayerBits {
+  named: number;
+  numeric: number;
+}
+
+const ALL_LAYERS: LayerBits = { named: ~0, numeric: ~0 };
+
+// Pair state of a paused scene, so resuming it doesn't re-fire onCollide for touching pairs
+export interface SuspendedCollisions {
+  previousCollisions: Set<string>;
+  passThrough: Set<string>;
+  dropping: Set<string>;
+  lastContacts: Map<string, { owner: GameObject; contact: CollisionContact }>;
+  collisionMatrix: Map<string, LayerBits>;
+}
+
 /**
  * Collision detection system
  * Checks for collisions between objects with area() components
  */
 export class CollisionSystem {
   private previousCollisions = new Set<string>();
+  private gravityDirection: Vec2 | null = null;
+  private groundContacts = new Map<string, GameObject>();
+  private broadphase = new SpatialHash<GameObject>();
+  private contacts = new Map<string, GameObject[]>();
+  private layerIndices = new Map<string, number>([['default', 0]]);
+  // Rows of the collision matrix by layer name; layers without a row collide with all
+  private collisionMatrix = new Map<string, LayerBits>();
+  // One-way pairs that started overlapping from a blocked side, ignored until they separate
+  private passThrough = new Set<string>();
+  // Bodies that asked to drop through the one-way platforms they touch next
+  private dropping = new Set<string>();
+  // Latest contact of every overlapping pair, seen from `owner` (handed to onCollideEnd)
+  private lastContacts = new Map<string, { owner: GameObject; contact: CollisionContact }>();
+  // Objects added since the broadphase was last filled, indexed before the next kinematic move
+  private unindexed = new Set<GameObject>();
+
+  /**
+   * Set the broadphase grid cell size (roughly the size of a typical object)
+   */
+  setCellSize(size: number): void {
+    this.broadphase.setCellSize(size);
+  }
+
+  getCellSize(): number {
+    return this.broadphase.cellSize;
+  }
+
+  /**
+   * Set which layers collide with which, for the whole scene
+   * Each row lists the layers a named layer collides with; a pair must be allowed
+   * by both layers' rows. null clears the matrix so every layer collides again.
+   */
+  setCollisionMatrix(matrix: CollisionMatrix | null): void {
+    this.collisionMatrix = new Map();
+    for (const [layer, others] of Object.entries(matrix ?? {})) {
+      this.collisionMatrix.set(layer, this.getMaskBits(others));
+    }
+  }
+
+  /**
+   * Set world gravity - used to tell ground contacts apart from walls and ceilings
+   */
+  setGravity(gravity: Vec2): void {
+    const length = Math.sqrt(gravity.x * gravity.x + gravity.y * gravity.y);
+    this.gravityDirection = length > 0 ? { x: gravity.x / length, y: gravity.y / length } : null;
+  }
+
+  /**
+   * Get the object a body is standing on this frame (if any)
+   */
+  getGround(obj: GameObject): GameObject | undefined {
+    return this.groundContacts.get(obj.id);
+  }
+
+  /**
+   * Continuous collision detection for bullet bodies
+   * Sweeps the object's area along `motion` against static bodies and returns
+   * the fraction of the motion (0-1) it can travel. On impact the fraction
+   * includes a small skin so the regular narrowphase still resolves the hit
+   * and fires onCollide.
+   */
+  sweep(obj: GameObject, motion: Vec2): number {
+    const distance = Math.sqrt(motion.x * motion.x + motion.y * motion.y);
+    if (distance === 0) return 1;
+
+    const area = obj.get<AreaComponent>('area');
+    const start = this.getBounds(obj);
+    if (!area || !start || area.sensor) return 1;
+
+    const sweptBounds: AABB = {
+      minX: Math.min(start.minX, start.minX + motion.x),
+      minY: Math.min(start.minY, start.minY + motion.y),
+      maxX: Math.max(start.maxX, start.maxX + motion.x),
+      maxY: Math.max(start.maxY, start.maxY + motion.y),
+    };
+    const isCircle = this.getShape(obj, area) === 'circle';
+    const radius = isCircle ? this.getRadius(obj, area) : 0;
+    const center: Vec2 = {
+      x: (start.minX + start.maxX) / 2,
+      y: (start.minY + start.maxY) / 2,
+    };
+
+    let earliest = Infinity;
+    for (const other of this.broadphase.query(sweptBounds)) {
+      if (other === obj || !other.get<BodyComponent>('body')?.isStatic || this.isSensor(other)) continue;
+      if (this.shouldSkip(obj, other)) continue;
+
+      const otherArea = other.get<AreaComponent>('area');
+      const target = this.getBounds(other);
+      if (!otherArea || !target) continue;
+      // One-way platforms only stop bullets moving against their direction
+      if (otherArea.oneWay && motion.x * otherArea.oneWay.x + motion.y * otherArea.oneWay.y >= 0) continue;
+
+      const toi = isCircle && this.getShape(other, otherArea) === 'circle'
+        ? this.sweepCircleVsCircle(
+            center,
+            radius,
+            motion,
+            { x: (target.minX + target.maxX) / 2, y: (target.minY + target.maxY) / 2 },
+            this.getRadius(other, otherArea),
+          )
+        : this.sweepAABB(start, motion, target);
+
+      if (toi !== null && toi < earliest) {
+        earliest = toi;
+      }
+    }
+
+    if (earliest === Infinity) return 1;
+
+    // Step just past the surface so the narrowphase sees the contact
+    const skin = 0.5;
+    return Math.min(1, earliest + skin / distance);
+  }
+
+  /**
+   * Move an object by `motion`, stopping at the first solid body it runs into
+   * The motion is split into sub-steps of at most half the object's smallest
+   * extent so thin walls can't be skipped. On a hit the object is pushed back
+   * out along the contact normal. Returns null if the full motion was made.
+   * A zero motion just pushes the object out of whatever it overlaps.
+   */
+  moveAndCollide(obj: GameObject, motion: Vec2): KinematicCollision | null {
+    const transform = obj.get<TransformComponent>('transform');
+    if (!transform) return null;
+
+    const distance = Math.sqrt(motion.x * motion.x + motion.y * motion.y);
+    const bounds = this.getBounds(obj);
+    const area = obj.get<AreaComponent>('area');
+    if (!bounds || !area || area.sensor) {
+      // Nothing to collide with - just move
+      obj.moveBy(motion.x, motion.y);
+      return null;
+    }
+
+    // Scripts move kinematic bodies between steps, possibly next to colliders added this frame
+    this.indexNewObjects();
+
+    const minExtent = Math.min(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+    const stepLength = Math.max(minExtent / 2, 1);
+    const steps = Math.max(1, Math.min(Math.ceil(distance / stepLength), MAX_MOVE_SUBSTEPS));
+    const stepX = motion.x / steps;
+    const stepY = motion.y / steps;
+
+    for (let i = 1; i <= steps; i++) {
+      obj.moveBy(stepX, stepY);
+
+      const contact = this.findDeepestContact(obj, { x: stepX, y: stepY });
+      if (!contact) continue;
+
+      // Contact normal points from obj to the other body; push back the opposite way
+      obj.moveBy(-contact.normal.x * contact.overlap, -contact.normal.y * contact.overlap);
+      this.reindex(obj);
+
+      const travel: Vec2 = {
+        x: stepX * i - contact.normal.x * contact.overlap,
+        y: stepY * i - contact.normal.y * contact.overlap,
+      };
+      return {
+        object: contact.object,
+        normal: { x: -contact.normal.x, y: -contact.normal.y },
+        depth: contact.overlap,
+        travel,
+        remainder: { x: motion.x - travel.x, y: motion.y - travel.y },
+      };
+    }
+
+    this.reindex(obj);
+    return null;
+  }
+
+  /**
+   * Moment of inertia around the object's collision center, from its area shape and mass
+   * Returns Infinity for bodies that can't spin (static, kinematic, fixedRotation or no area)
+   */
+  getInertia(obj: GameObject): number {
+    const body = obj.get<BodyComponent>('body');
+    if (!body || this.isImmovable(body) || body.fixedRotation) return Infinity;
+    if (body.inertia !== undefined) return body.inertia > 0 ? body.inertia : Infinity;
+
+    const area = obj.get<AreaComponent>('area');
+    if (!area) return Infinity;
+
+    const mass = body.mass ?? 1;
+    const shape = this.getShape(obj, area);
+    let inertia: number;
+    if (shape === 'circle') {
+      const radius = this.getRadius(obj, area);
+      inertia = 0.5 * mass * radius * radius;
+    } else if (shape === 'polygon') {
+      inertia = this.getPolygonInertia(obj, area, mass);
+    } else {
+      const size = this.getSize(obj, area);
+      inertia = (mass * (size.x * size.x + size.y * size.y)) / 12;
+    }
+    return inertia > 0 ? inertia : Infinity;
+  }
+
+  /**
+   * Apply an instant impulse at a world point; off-center hits also change angular velocity
+   */
+  applyImpulseAt(obj: GameObject, impulse: Vec2, point: Vec2): void {
+    const body = obj.get<BodyComponent>('body');
+    if (!body || this.isImmovable(body)) return;
+
+    const center = this.getWorldShape(obj)?.center ?? obj.worldPos();
+    const offset = { x: point.x - center.x, y: point.y - center.y };
+    this.applyBodyImpulse(body, 1 / (body.mass ?? 1), 1 / this.getInertia(obj), offset, impulse.x, impulse.y);
+  }
+
+  /**
+   * Get the objects an object overlapped during the last collision update
+   */
+  getCollisions(obj: GameObject): GameObject[] {
+    return [...(this.contacts.get(obj.id) ?? [])];
+  }
+
+  /**
+   * Cast a ray and return the closest area it hits within maxDistance
+   * Shapes that contain the origin are ignored
+   */
+  raycast(
+    objects: GameObject[],
+    origin: Vec2,
+    direction: Vec2,
+    maxDistance = Infinity,
+    options: QueryOptions = {},
+  ): RaycastHit | null {
+    const length = Math.sqrt(direction.x * direction.x + direction.y * direction.y);
+    if (length === 0) return null;
+    const dir: Vec2 = { x: direction.x / length, y: direction.y / length };
+
+    let closest: RaycastHit | null = null;
+    for (const obj of objects) {
+      if (!this.matchesQuery(obj, options)) continue;
+      const shape = this.getWorldShape(obj);
+      if (!shape) continue;
+
+      const hit = shape.type === 'circle'
+        ? this.rayVsCircle(origin, dir, shape.center, shape.radius)
+        : shape.type === 'polygon'
+          ? this.rayVsPolygon(origin, dir, shape.points, shape.center)
+          : this.rayVsRect(origin, dir, shape.center, shape.size, shape.rotation);
+      if (!hit || hit.distance > maxDistance) continue;
+      if (closest && hit.distance >= closest.distance) continue;
+
+      closest = {
+        object: obj,
+        point: { x: origin.x + dir.x * hit.distance, y: origin.y + dir.y * hit.distance },
+        normal: hit.normal,
+        distance: hit.distance,
+      };
+    }
+    return closest;
+  }
+
+  /**
+   * Get all objects whose area contains a point
+   */
+  queryPoint(objects: GameObject[], point: Vec2, options: QueryOptions = {}): GameObject[] {
+    return this.queryShape(objects, { type: 'circle', center: point, radius: 0 }, options);
+  }
+
+  /**
+   * Get all objects whose area overlaps an axis-aligned rectangle centered on `center`
+   */
+  queryRect(objects: GameObject[], center: Vec2, size: Vec2, options: QueryOptions = {}): GameObject[] {
+    return this.queryShape(objects, { type: 'rect', center, size, rotation: 0 }, options);
+  }
+
+  /**
+   * Get all objects whose area overlaps a circle
+   */
+  queryCircle(objects: GameObject[], center: Vec2, radius: number, options: QueryOptions = {}): GameObject[] {
+    return this.queryShape(objects, { type: 'circle', center, radius }, options);
+  }
 
   /**
    * Update collision detection for all objects
    */
   update(objects: GameObject[]): void {
     const currentCollisions = new Set<string>();
+    this.groundContacts.clear();
+    this.contacts.clear();
     const objectsWithArea = objects.filter(obj => obj.has('area'));
 
-    // Check all pairs of objects
-    for (let i = 0; i < objectsWithArea.length; i++) {
-      for (let j = i + 1; j < objectsWithArea.length; j++) {
-        const objA = objectsWithArea[i];
-        const objB = objectsWithArea[j];
+    // Broadphase: only pairs sharing a grid cell reach the narrowphase
+    for (const { a: objA, b: objB } of this.getCandidatePairs(objectsWithArea)) {
+      if (this.shouldSkip(objA, objB)) {
+        continue;
+      }
 
-        if (this.shouldSkip(objA, objB)) {
-          continue;
-        }
+      if (this.checkCollision(objA, objB)) {
+        const key = this.getCollisionKey(objA, objB);
+        currentCollisions.add(key);
+        this.addContact(objA, objB);
+        this.addContact(objB, objA);
 
-        if (this.checkCollision(objA, objB)) {
-          const key = this.getCollisionKey(objA, objB);
-          currentCollisions.add(key);
+        // Measured before resolution so callbacks see the impact velocity
+        const contact = this.getCollisionContact(objA, objB);
+        this.lastContacts.set(key, { owner: objA, contact });
 
-          // Resolve physics collision
+        // Resolve physics collision (sensors only report overlaps)
+        if (!this.isSensor(objA) && !this.isSensor(objB) && this.oneWayAllows(objA, objB)) {
           this.resolveCollision(objA, objB);
+        }
 
-          // Check if this is a new collision
-          if (!this.previousCollisions.has(key)) {
-            // onCollide - collision started
-            this.triggerCollisionStart(objA, objB);
-          } else {
-            // onCollideUpdate - collision continuing
-            this.triggerCollisionUpdate(objA, objB);
-          }
+        // Check if this is a new collision
+        if (!this.previousCollisions.has(key)) {
+          // onCollide - collision started
+          this.triggerCollisionStart(objA, objB, contact);
+        } else {
+          // onCollideUpdate - collision continuing
+          this.triggerCollisionUpdate(objA, objB, contact);
         }
       }
     }
 
     // Check for collisions that ended
+    const objectsById = new Map(objects.map(obj => [obj.id, obj]));
     for (const key of this.previousCollisions) {
       if (!currentCollisions.has(key)) {
         const [idA, idB] = key.split(':');
-        const objA = objects.find(o => o.id === idA);
-        const objB = objects.find(o => o.id === idB);
-        if (objA && objB) {
-          this.triggerCollisionEnd(objA, objB);
+        const objA = objectsById.get(idA);
+        const objB = objectsById.get(idB);
+        const last = this.lastContacts.get(key);
+        this.lastContacts.delete(key);
+        if (objA && objB && last) {
+          const contact = last.owner === objA ? last.contact : this.flipContact(last.contact);
+          this.triggerCollisionEnd(objA, objB, contact);
         }
       }
     }
 
     this.previousCollisions = currentCollisions;
+    for (const key of this.passThrough) {
+      if (!currentCollisions.has(key)) {
+        this.passThrough.delete(key);
+      }
+    }
+    this.dropping.clear();
+  }
+
+  /**
+   * Put every area object into the broadphase at its current bounds
+   * The collision update does this itself; sweeps run before it in a step, so the
+   * step refreshes first and colliders added since the last step can't be missed.
+   */
+  refreshBroadphase(objects: GameObject[]): void {
+    const indexed = new Set<string>();
+    for (const obj of objects) {
+      const bounds = obj.has('area') ? this.getBounds(obj) : null;
+      if (bounds) {
+        this.broadphase.update(obj, bounds);
+        indexed.add(obj.id);
+      }
+    }
+    this.broadphase.retain(indexed);
+    this.unindexed.clear();
+  }
+
+  /**
+   * Note an object added to the scene, so kinematic moves before the next step see it
+   */
+  track(obj: GameObject): void {
+    this.unindexed.add(obj);
+  }
+
+  /**
+   * Forget a destroyed or recycled object: drop it from the broadphase and clear its
+   * pair state, so a pooled object spawned again under the same id fires onCollide anew
+   */
+  untrack(obj: GameObject): void {
+    this.unindexed.delete(obj);
+    this.broadphase.remove(obj);
+    const involves = (key: string) => key.split(':').includes(obj.id);
+    for (const key of this.previousCollisions) {
+      if (involves(key)) this.previousCollisions.delete(key);
+    }
+    for (const key of this.passThrough) {
+      if (involves(key)) this.passThrough.delete(key);
+    }
+    for (const key of this.lastContacts.keys()) {
+      if (involves(key)) this.lastContacts.delete(key);
+    }
+    this.dropping.delete(obj.id);
+  }
+
+  /**
+   * Let a body fall through the one-way platforms it touches during the next step
+   */
+  dropThrough(obj: GameObject): void {
+    this.dropping.add(obj.id);
+  }
+
+  /**
+   * Update the spatial hash and collect pairs that share at least one cell
+   * Pairs keep the objects' scene order so event order stays deterministic
+   */
+  private getCandidatePairs(objects: GameObject[]): CollisionPair[] {
+    const order = new Map<string, number>();
+    objects.forEach((obj, index) => order.set(obj.id, index));
+    this.refreshBroadphase(objects);
+
+    const pairs: CollisionPair[] = [];
+    for (const objA of objects) {
+      const indexA = order.get(objA.id)!;
+      this.broadphase.forEachNeighbor(objA, objB => {
+        if (order.get(objB.id)! > indexA) {
+          pairs.push({ a: objA, b: objB });
+        }
+      });
+    }
+    return pairs;
+  }
+
+  /**
+   * World-space bounding box of an object's collision area
+   */
+  private getBounds(obj: GameObject): AABB | null {
+    const shape = this.getWorldShape(obj);
+    return shape ? this.getShapeBounds(shape) : null;
+  }
+
+  private getShapeBounds(shape: WorldShape): AABB {
+    if (shape.type === 'polygon') {
+      const xs = shape.points.map(point => point.x);
+      const ys = shape.points.map(point => point.y);
+      return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+    }
+
+    let halfWidth: number;
+    let halfHeight: number;
+    if (shape.type === 'circle') {
+      halfWidth = halfHeight = shape.radius;
+    } else {
+      const angle = (shape.rotation * Math.PI) / 180;
+      const cos = Math.abs(Math.cos(angle));
+      const sin = Math.abs(Math.sin(angle));
+      halfWidth = (shape.size.x * cos + shape.size.y * sin) / 2;
+      halfHeight = (shape.size.x * sin + shape.size.y * cos) / 2;
+    }
+
+    return {
+      minX: shape.center.x - halfWidth,
+      minY: shape.center.y - halfHeight,
+      maxX: shape.center.x + halfWidth,
+      maxY: shape.center.y + halfHeight,
+    };
+  }
+
+  private queryShape(objects: GameObject[], shape: WorldShape, options: QueryOptions): GameObject[] {
+    const bounds = this.getShapeBounds(shape);
+    const result: GameObject[] = [];
+    for (const obj of objects) {
+      if (!this.matchesQuery(obj, options)) continue;
+      const objShape = this.getWorldShape(obj);
+      if (!objShape) continue;
+
+      // Cheap bounds rejection before the exact shape test
+      const objBounds = this.getShapeBounds(objShape);
+      if (
+        objBounds.maxX < bounds.minX ||
+        objBounds.minX > bounds.maxX ||
+        objBounds.maxY < bounds.minY ||
+        objBounds.minY > bounds.maxY
+      ) {
+        continue;
+      }
+
+      if (this.shapesOverlap(shape, objShape)) {
+        result.push(obj);
+      }
+    }
+    return result;
+  }
+
+  private matchesQuery(obj: GameObject, options: QueryOptions): boolean {
+    if (!obj.has('area')) return false;
+    if (options.tags && options.tags.length > 0 && !options.tags.some(tag => obj.hasTag(tag))) {
+      return false;
+    }
+    if (options.ignore) {
+      for (const ignored of options.ignore) {
+        if (typeof ignored === 'string' ? obj.hasTag(ignored) : ignored === obj) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  // Index objects added since the last refresh at their current bounds
+  private indexNewObjects(): void {
+    for (const obj of this.unindexed) {
+      this.reindex(obj);
+    }
+    this.unindexed.clear();
+  }
+
+  // Keep a moved object's broadphase cells current for the next mover's query
+  private reindex(obj: GameObject): void {
+    const bounds = this.getBounds(obj);
+    if (bounds) {
+      this.broadphase.update(obj, bounds);
+    }
+  }
+
+  /**
+   * Deepest overlap between obj and any solid body (ignoring mere touching)
+   */
+  private findDeepestContact(obj: GameObject, motion: Vec2): { object: GameObject; normal: Vec2; overlap: number } | null {
+    const shape = this.getWorldShape(obj);
+    if (!shape) return null;
+
+    let deepest: { object: GameObject; normal: Vec2; overlap: number } | null = null;
+    for (const other of this.broadphase.query(this.getShapeBounds(shape))) {
+      if (other === obj || !other.has('body') || this.isSensor(other)) continue;
+      if (this.shouldSkip(obj, other)) continue;
+
+      const otherShape = this.getWorldShape(other);
+      if (!otherShape) continue;
+      const contact = this.getContact(shape, otherShape);
+      if (!contact || contact.overlap <= CONTACT_SLOP) continue;
+      if (!this.oneWayAllows(obj, other, motion)) continue;
+      if (!deepest || contact.overlap > deepest.overlap) {
+        deepest = { object: other, ...contact };
+      }
+    }
+    return deepest;
+  }
+
+  /**
+   * Penetration normal (pointing from A to B) and depth for any pair of shapes
+   */
+  private getContact(a: WorldShape, b: WorldShape): { normal: Vec2; overlap: number } | null {
+    if (a.type === 'circle' && b.type === 'circle') {
+      const dx = b.center.x - a.center.x;
+      const dy = b.center.y - a.center.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      const overlap = a.radius + b.radius - distance;
+      if (overlap < 0) return null;
+      const normal = distance === 0 ? { x: 0, y: 1 } : { x: dx / distance, y: dy / distance };
+      return { normal, overlap };
+    }
+    // Rects become their corners and circles are projected per axis
+    return this.polygonSAT(a, b);
+  }
+
+  /**
+   * One-way areas only block bodies arriving from the side their `oneWay` direction
+   * points to. A pair that first overlaps from any other side (or while the body is
+   * dropping through) passes through until the two separate, so bodies jumping up
+   * through a platform aren't snapped on top halfway. `motionA` replaces A's body
+   * velocity for kinematic moves.
+   */
+  private oneWayAllows(objA: GameObject, objB: GameObject, motionA?: Vec2): boolean {
+    const areaA = objA.get<AreaComponent>('area');
+    const areaB = objB.get<AreaComponent>('area');
+    const platform = areaA?.oneWay ? objA : areaB?.oneWay ? objB : null;
+    if (!platform) return true;
+
+    const key = this.getCollisionKey(objA, objB);
+    if (this.passThrough.has(key)) return false;
+
+    const other = platform === objA ? objB : objA;
+    const direction = (platform === objA ? areaA : areaB)!.oneWay!;
+    const platformShape = this.getWorldShape(platform);
+    const otherShape = this.getWorldShape(other);
+    const contact = platformShape && otherShape ? this.getContact(platformShape, otherShape) : null;
+    if (!contact) return false; // Only touching
+
+    const getVelocity = (obj: GameObject): Vec2 =>
+      obj === objA && motionA ? motionA : obj.get<BodyComponent>('body')?.velocity ?? { x: 0, y: 0 };
+    const otherVelocity = getVelocity(other);
+    const platformVelocity = getVelocity(platform);
+    // Positive when the body moves away from the blocking side
+    const separatingSpeed =
+      (otherVelocity.x - platformVelocity.x) * direction.x + (otherVelocity.y - platformVelocity.y) * direction.y;
+
+    const fromAllowedSide =
+      contact.normal.x * direction.x + contact.normal.y * direction.y >= ONE_WAY_THRESHOLD;
+    if (fromAllowedSide && separatingSpeed <= 0 && !this.dropping.has(other.id)) return true;
+
+    this.passThrough.add(key);
+    return false;
+  }
+
+  /**
+   * Static and kinematic bodies are never moved by collision resolution
+   */
+  private isImmovable(body: BodyComponent | undefined): boolean {
+    return !!body && (body.isStatic === true || body.isKinematic === true);
+  }
+
+  private isSensor(obj: GameObject): boolean {
+    return obj.get<AreaComponent>('area')?.sensor === true;
+  }
+
+  /**
+   * Masks and matrix rows are checked both ways: each area's mask and its layer's
+   * row must accept the other area's layer
+   */
+  private layersCollide(areaA: AreaComponent, areaB: AreaComponent): boolean {
+    const layerA = this.getLayerBit(areaA.layer);
+    const layerB = this.getLayerBit(areaB.layer);
+    return this.accepts(areaA, layerB) && this.accepts(areaB, layerA);
+  }
+
+  private accepts(area: AreaComponent, layer: LayerBits): boolean {
+    const row = typeof area.layer === 'number' ? undefined : this.collisionMatrix.get(area.layer ?? 'default');
+    return this.hasLayer(this.getMaskBits(area.mask), layer) && (!row || this.hasLayer(row, layer));
+  }
+
+  private hasLayer(bits: LayerBits, layer: LayerBits): boolean {
+    return (bits.named & layer.named) !== 0 || (bits.numeric & layer.numeric) !== 0;
+  }
+
+  /**
+   * Resolve a layer name or index to its bit
+   * Names are assigned the next free bit the first time they are seen; numbers use
+   * their own bits, so layer 1 and the second name never share one
+   */
+  private getLayerBit(layer: CollisionLayer | undefined): LayerBits {
+    const defaultLayer: LayerBits = { named: 1, numeric: 0 };
+    if (layer === undefined) return defaultLayer;
+    if (typeof layer === 'number') {
+      if (!Number.isInteger(layer) || layer < 0 || layer > 31) {
+        console.warn(`Collision layer index must be between 0 and 31, got ${layer}.`);
+        return defaultLayer;
+      }
+      return { named: 0, numeric: 1 << layer };
+    }
+
+    let index = this.layerIndices.get(layer);
+    if (index === undefined) {
+      index = this.layerIndices.size;
+      if (index > 31) {
+        console.warn(`Too many named collision layers (max 32) - "${layer}" falls back to "default".`);
+        return defaultLayer;
+      }
+      this.layerIndices.set(layer, index);
+    }
+    return { named: 1 << index, numeric: 0 };
+  }
+
+  private getMaskBits(mask: CollisionLayer[] | null | undefined): LayerBits {
+    if (!mask) return ALL_LAYERS; // No mask = collide with every layer
+    const bits: LayerBits = { named: 0, numeric: 0 };
+    for (const layer of mask) {
+      const bit = this.getLayerBit(layer);
+      bits.named |= bit.named;
+      bits.numeric |= bit.numeric;
+    }
+    return bits;
+  }
+
+  private addContact(obj: GameObject, other: GameObject): void {
+    const list = this.contacts.get(obj.id);
+    if (list) {
+      list.push(other);
+    } else {
+      this.contacts.set(obj.id, [other]);
+    }
   }
 
   private shouldSkip(objA: GameObject, objB: GameObject): boolean {
@@ -77,6 +737,9 @@ export class CollisionSystem {
     const areaB = objB.get<AreaComponent>('area');
     if (!areaA || !areaB) return true;
 
+    // Layer/mask filtering is a couple of bit operations, so it runs first
+    if (!this.layersCollide(areaA, areaB)) return true;
+
     const ignoreA = areaA.collisionIgnore ?? [];
     const ignoreB = areaB.collisionIgnore ?? [];
 
@@ -86,49 +749,256 @@ export class CollisionSystem {
   }
 
   private checkCollision(objA: GameObject, objB: GameObject): boolean {
-    const transformA = objA.get<TransformComponent>('transform');
-    const transformB = objB.get<TransformComponent>('transform');
-    const areaA = objA.get<AreaComponent>('area');
-    const areaB = objB.get<AreaComponent>('area');
+    const shapeA = this.getWorldShape(objA);
+    const shapeB = this.getWorldShape(objB);
+    if (!shapeA || !shapeB) return false;
+    return this.shapesOverlap(shapeA, shapeB);
+  }
 
-    if (!transformA || !transformB || !areaA || !areaB) return false;
+  /**
+   * Resolve an object's area (auto-detected from rect/circle components) to world space
+   */
+  private getWorldShape(obj: GameObject): WorldShape | null {
+    const transform = obj.get<TransformComponent>('transform');
+    const area = obj.get<AreaComponent>('area');
+    if (!transform || !area) return null;
+
+    // The offset is in the object's own space, so it turns and scales with the object
+    // (and its parents) the way the renderer draws the area
+    const offset = area.offset ?? { x: 0, y: 0 };
+    const center = obj.toWorld(offset);
+    const rotation = obj.worldRotation();
+
+    const shape = this.getShape(obj, area);
+    if (shape === 'circle') {
+      return { type: 'circle', center, radius: this.getRadius(obj, area) };
+    }
+    if (shape === 'polygon') {
+      return this.getWorldPolygon(obj, area, offset);
+    }
+    return { type: 'rect', center, size: this.getSize(obj, area), rotation };
+  }
 
-    // Auto-detect shape from rect/circle components
-    const shapeA = this.getShape(objA, areaA);
-    const shapeB = this.getShape(objB, areaB);
+  /**
+   * Move polygon points (relative to the object's position) into world space
+   * through the object's transform and its parents'
+   */
+  private getWorldPolygon(obj: GameObject, area: AreaComponent, offset: Vec2): WorldShape {
+    const scale = area.scale ?? { x: 1, y: 1 };
+    const points = (area.points ?? []).map(point =>
+      obj.toWorld({ x: offset.x + point.x * scale.x, y: offset.y + point.y * scale.y }),
+    );
+    // The area centroid is the center of mass, so contact offsets and inertia share it
+    return { type: 'polygon', center: this.getPolygonCentroid(points), points };
+  }
 
-    const posA: Vec2 = {
-      x: transformA.pos.x.value + (areaA.offset?.x ?? 0),
-      y: transformA.pos.y.value + (areaA.offset?.y ?? 0),
+  private shapesOverlap(a: WorldShape, b: WorldShape): boolean {
+    if (a.type === 'polygon' || b.type === 'polygon') {
+      return this.polygonSAT(a, b) !== null;
+    }
+    if (a.type === 'circle' && b.type === 'circle') {
+      return this.circleVsCircle(a.center, a.radius, b.center, b.radius);
+    } else if (a.type === 'rect' && b.type === 'rect') {
+      // Check if either object is rotated
+      if (a.rotation !== 0 || b.rotation !== 0) {
+        return this.rotatedRectVsRotatedRect(a.center, a.size, a.rotation, b.center, b.size, b.rotation) !== null;
+      }
+      return this.rectVsRect(a.center, a.size, b.center, b.size);
+    } else {
+      // Circle vs Rect
+      const [circle, rect] = a.type === 'circle' ? [a, b] : [b, a];
+      if (circle.type !== 'circle' || rect.type !== 'rect') return false;
+      return this.circleVsRect(circle.center, circle.radius, rect.center, rect.size, rect.rotation);
+    }
+  }
+
+  /**
+   * Swept AABB: ray from the moving box's center against the target expanded
+   * by the moving box's half extents. Returns time of impact (0-1) or null.
+   */
+  private sweepAABB(start: AABB, motion: Vec2, target: AABB): number | null {
+    const halfWidth = (start.maxX - start.minX) / 2;
+    const halfHeight = (start.maxY - start.minY) / 2;
+    const origin: Vec2 = { x: start.minX + halfWidth, y: start.minY + halfHeight };
+    const min: Vec2 = { x: target.minX - halfWidth, y: target.minY - halfHeight };
+    const max: Vec2 = { x: target.maxX + halfWidth, y: target.maxY + halfHeight };
+
+    let tEnter = -Infinity;
+    let tExit = Infinity;
+    for (const axis of ['x', 'y'] as const) {
+      if (motion[axis] === 0) {
+        // Parallel to this slab - must already be inside it
+        if (origin[axis] <= min[axis] || origin[axis] >= max[axis]) return null;
+        continue;
+      }
+      const t1 = (min[axis] - origin[axis]) / motion[axis];
+      const t2 = (max[axis] - origin[axis]) / motion[axis];
+      tEnter = Math.max(tEnter, Math.min(t1, t2));
+      tExit = Math.min(tExit, Math.max(t1, t2));
+    }
+
+    // Already overlapping (tEnter < 0) is left to the narrowphase
+    if (tEnter > tExit || tEnter < 0 || tEnter > 1) return null;
+    return tEnter;
+  }
+
+  /**
+   * Swept circle vs static circle. Returns time of impact (0-1) or null.
+   */
+  private sweepCircleVsCircle(
+    center: Vec2,
+    radius: number,
+    motion: Vec2,
+    targetCenter: Vec2,
+    targetRadius: number,
+  ): number | null {
+    const fx = center.x - targetCenter.x;
+    const fy = center.y - targetCenter.y;
+    const radiusSum = radius + targetRadius;
+
+    const a = motion.x * motion.x + motion.y * motion.y;
+    const b = 2 * (fx * motion.x + fy * motion.y);
+    const c = fx * fx + fy * fy - radiusSum * radiusSum;
+    if (c <= 0) return null; // Already overlapping
+
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return null;
+
+    const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+    return t >= 0 && t <= 1 ? t : null;
+  }
+
+  /**
+   * Ray (normalized direction) vs circle. Returns hit distance and surface normal.
+   */
+  private rayVsCircle(
+    origin: Vec2,
+    dir: Vec2,
+    center: Vec2,
+    radius: number,
+  ): { distance: number; normal: Vec2 } | null {
+    const fx = origin.x - center.x;
+    const fy = origin.y - center.y;
+    const b = fx * dir.x + fy * dir.y;
+    const c = fx * fx + fy * fy - radius * radius;
+    if (c <= 0) return null; // Origin inside the circle
+    if (b > 0) return null; // Pointing away
+
+    const discriminant = b * b - c;
+    if (discriminant < 0) return null;
+
+    const distance = -b - Math.sqrt(discriminant);
+    const hitX = origin.x + dir.x * distance;
+    const hitY = origin.y + dir.y * distance;
+    return {
+      distance,
+      normal: { x: (hitX - center.x) / radius, y: (hitY - center.y) / radius },
     };
-    const posB: Vec2 = {
-      x: transformB.pos.x.value + (areaB.offset?.x ?? 0),
-      y: transformB.pos.y.value + (areaB.offset?.y ?? 0),
+  }
+
+  /**
+   * Ray (normalized direction) vs rotated rectangle, tested in the rect's local space
+   */
+  private rayVsRect(
+    origin: Vec2,
+    dir: Vec2,
+    center: Vec2,
+    size: Vec2,
+    rotation: number,
+  ): { distance: number; normal: Vec2 } | null {
+    const angleRad = (rotation * Math.PI) / 180;
+    const cos = Math.cos(-angleRad);
+    const sin = Math.sin(-angleRad);
+
+    const dx = origin.x - center.x;
+    const dy = origin.y - center.y;
+    const local = { x: dx * cos - dy * sin, y: dx * sin + dy * cos };
+    const localDir = { x: dir.x * cos - dir.y * sin, y: dir.x * sin + dir.y * cos };
+    const half = { x: size.x / 2, y: size.y / 2 };
+
+    let tEnter = -Infinity;
+    let tExit = Infinity;
+    let localNormal: Vec2 = { x: 0, y: 0 };
+    for (const axis of ['x', 'y'] as const) {
+      if (localDir[axis] === 0) {
+        if (local[axis] < -half[axis] || local[axis] > half[axis]) return null;
+        continue;
+      }
+      const t1 = (-half[axis] - local[axis]) / localDir[axis];
+      const t2 = (half[axis] - local[axis]) / localDir[axis];
+      const near = Math.min(t1, t2);
+      if (near > tEnter) {
+        tEnter = near;
+        localNormal = axis === 'x'
+          ? { x: localDir.x > 0 ? -1 : 1, y: 0 }
+          : { x: 0, y: localDir.y > 0 ? -1 : 1 };
+      }
+      tExit = Math.min(tExit, Math.max(t1, t2));
+    }
+
+    // Origin inside the rect (tEnter < 0) doesn't count as a hit
+    if (tEnter > tExit || tEnter < 0) return null;
+
+    // Rotate the normal back to world space
+    const worldCos = Math.cos(angleRad);
+    const worldSin = Math.sin(angleRad);
+    return {
+      distance: tEnter,
+      normal: {
+        x: localNormal.x * worldCos - localNormal.y * worldSin,
+        y: localNormal.x * worldSin + localNormal.y * worldCos,
+      },
     };
+  }
 
-    const rotationA = transformA.rotation ?? 0;
-    const rotationB = transformB.rotation ?? 0;
+  /**
+   * Ray (normalized direction) vs convex polygon, clipped against each edge (Cyrus-Beck)
+   */
+  private rayVsPolygon(
+    origin: Vec2,
+    dir: Vec2,
+    points: Vec2[],
+    centroid: Vec2,
+  ): { distance: number; normal: Vec2 } | null {
+    let tEnter = -Infinity;
+    let tExit = Infinity;
+    let enterNormal: Vec2 = { x: 0, y: 0 };
+
+    for (let i = 0; i < points.length; i++) {
+      const planePoint = points[i];
+      const next = points[(i + 1) % points.length];
+      const edgeX = next.x - planePoint.x;
+      const edgeY = next.y - planePoint.y;
+      const length = Math.sqrt(edgeX * edgeX + edgeY * edgeY);
+      if (length === 0) continue;
+
+      // Orient the edge normal away from the centroid
+      let normal: Vec2 = { x: -edgeY / length, y: edgeX / length };
+      if ((planePoint.x - centroid.x) * normal.x + (planePoint.y - centroid.y) * normal.y < 0) {
+        normal = { x: -normal.x, y: -normal.y };
+      }
 
-    if (shapeA === 'circle' && shapeB === 'circle') {
-      return this.circleVsCircle(posA, this.getRadius(objA, areaA), posB, this.getRadius(objB, areaB));
-    } else if (shapeA === 'rect' && shapeB === 'rect') {
-      // Check if either object is rotated
-      if (rotationA !== 0 || rotationB !== 0) {
-        const result = this.rotatedRectVsRotatedRect(posA, this.getSize(objA, areaA), rotationA, posB, this.getSize(objB, areaB), rotationB);
-        return result !== null;
+      // Inside the half-plane when dot(normal, p - planePoint) <= 0
+      const distance = (planePoint.x - origin.x) * normal.x + (planePoint.y - origin.y) * normal.y;
+      const denom = dir.x * normal.x + dir.y * normal.y;
+      if (denom === 0) {
+        if (distance < 0) return null;
+        continue;
+      }
+      const t = distance / denom;
+      if (denom < 0) {
+        if (t > tEnter) {
+          tEnter = t;
+          enterNormal = normal;
+        }
       } else {
-        return this.rectVsRect(posA, this.getSize(objA, areaA), posB, this.getSize(objB, areaB));
+        tExit = Math.min(tExit, t);
       }
-    } else {
-      // Circle vs Rect
-      const [circle, circlePos, rect, rectPos, rectTransform] = shapeA === 'circle'
-        ? [objA, posA, objB, posB, transformB]
-        : [objB, posB, objA, posA, transformA];
-      const circleArea = circle.get<AreaComponent>('area')!;
-      const rectArea = rect.get<AreaComponent>('area')!;
-      const rectRotation = rectTransform.rotation ?? 0;
-      return this.circleVsRect(circlePos, this.getRadius(circle, circleArea), rectPos, this.getSize(rect, rectArea), rectRotation);
     }
+
+    // Origin inside the polygon (tEnter < 0) doesn't count as a hit
+    if (tEnter > tExit || tEnter < 0) return null;
+    return { distance: tEnter, normal: enterNormal };
   }
 
   private circleVsCircle(posA: Vec2, radiusA: number, posB: Vec2, radiusB: number): boolean {
@@ -247,6 +1117,193 @@ export class CollisionSystem {
     return { normal: collisionNormal, overlap: minOverlap };
   }
 
+  /**
+   * Generalized SAT for convex polygons against any shape
+   * Rects are converted to their corners; circles add the axis towards the
+   * nearest polygon vertex and are projected as center ± radius.
+   * Returns the normal (pointing from A to B) and overlap, or null if separated.
+   */
+  private polygonSAT(a: WorldShape, b: WorldShape): { normal: Vec2; overlap: number } | null {
+    const pointsA = this.getShapePoints(a);
+    const pointsB = this.getShapePoints(b);
+
+    const axes = [...this.getEdgeNormals(pointsA), ...this.getEdgeNormals(pointsB)];
+    const circle = a.type === 'circle' ? a : b.type === 'circle' ? b : null;
+    const polygonPoints = a.type === 'circle' ? pointsB : pointsA;
+    if (circle && polygonPoints.length > 0) {
+      let closest = polygonPoints[0];
+      let closestDistSq = Infinity;
+      for (const point of polygonPoints) {
+        const distSq = (point.x - circle.center.x) ** 2 + (point.y - circle.center.y) ** 2;
+        if (distSq < closestDistSq) {
+          closest = point;
+          closestDistSq = distSq;
+        }
+      }
+      const length = Math.sqrt(closestDistSq);
+      if (length > 0) {
+        axes.push({ x: (closest.x - circle.center.x) / length, y: (closest.y - circle.center.y) / length });
+      }
+    }
+
+    let minOverlap = Infinity;
+    let collisionNormal: Vec2 = { x: 0, y: 0 };
+    for (const axis of axes) {
+      const result = this.overlapOnAxisWithDistance(
+        a.type === 'circle' ? this.getCircleExtents(a, axis) : pointsA,
+        b.type === 'circle' ? this.getCircleExtents(b, axis) : pointsB,
+        axis,
+      );
+      if (!result.overlaps) return null;
+      if (result.overlap < minOverlap) {
+        minOverlap = result.overlap;
+        collisionNormal = { x: axis.x, y: axis.y };
+      }
+    }
+
+    // Ensure normal points from A to B
+    const dx = b.center.x - a.center.x;
+    const dy = b.center.y - a.center.y;
+    if (collisionNormal.x * dx + collisionNormal.y * dy < 0) {
+      collisionNormal.x = -collisionNormal.x;
+      collisionNormal.y = -collisionNormal.y;
+    }
+
+    return { normal: collisionNormal, overlap: minOverlap };
+  }
+
+  /**
+   * Approximate contact points of two overlapping shapes (SAT only gives normal and depth)
+   * A corner pressing into a face gives one point; two faces touching give both
+   * ends of their shared span, so resting boxes settle flat instead of rocking.
+   * Circles touch at their deepest point along the normal.
+   */
+  private getContactPoints(a: WorldShape, b: WorldShape, normal: Vec2): Vec2[] {
+    if (a.type === 'circle') {
+      return [{ x: a.center.x + normal.x * a.radius, y: a.center.y + normal.y * a.radius }];
+    }
+    if (b.type === 'circle') {
+      return [{ x: b.center.x - normal.x * b.radius, y: b.center.y - normal.y * b.radius }];
+    }
+
+    // The normal points from A to B, so A's support is its furthest corner along it
+    const supportA = this.getSupportPoints(this.getShapePoints(a), normal);
+    const supportB = this.getSupportPoints(this.getShapePoints(b), { x: -normal.x, y: -normal.y });
+    if (supportA.length === 1) return supportA;
+    if (supportB.length === 1) return supportB;
+
+    // Face against face - both ends of the overlapping span, halfway between the faces
+    const tangent = { x: -normal.y, y: normal.x };
+    const spanA = this.projectOnAxis(supportA, tangent);
+    const spanB = this.projectOnAxis(supportB, tangent);
+    const depth = (this.projectOnAxis(supportA, normal).max + this.projectOnAxis(supportB, normal).min) / 2;
+    return [Math.max(spanA.min, spanB.min), Math.min(spanA.max, spanB.max)].map(along => ({
+      x: normal.x * depth + tangent.x * along,
+      y: normal.y * depth + tangent.y * along,
+    }));
+  }
+
+  /**
+   * Corners within CONTACT_FACE_TOLERANCE of the furthest one along the direction
+   */
+  private getSupportPoints(points: Vec2[], direction: Vec2): Vec2[] {
+    let max = -Infinity;
+    for (const point of points) {
+      max = Math.max(max, point.x * direction.x + point.y * direction.y);
+    }
+    return points.filter(point => point.x * direction.x + point.y * direction.y >= max - CONTACT_FACE_TOLERANCE);
+  }
+
+  private projectOnAxis(points: Vec2[], axis: Vec2): { min: number; max: number } {
+    let min = Infinity;
+    let max = -Infinity;
+    for (const point of points) {
+      const projection = point.x * axis.x + point.y * axis.y;
+      min = Math.min(min, projection);
+      max = Math.max(max, projection);
+    }
+    return { min, max };
+  }
+
+  /**
+   * Area centroid of a polygon (the vertex mean for degenerate ones)
+   */
+  private getPolygonCentroid(points: Vec2[]): Vec2 {
+    let area = 0;
+    let cx = 0;
+    let cy = 0;
+    for (let i = 0; i < points.length; i++) {
+      const current = points[i];
+      const next = points[(i + 1) % points.length];
+      const cross = current.x * next.y - next.x * current.y;
+      area += cross;
+      cx += (current.x + next.x) * cross;
+      cy += (current.y + next.y) * cross;
+    }
+    if (Math.abs(area) < 1e-9) {
+      return {
+        x: points.reduce((sum, point) => sum + point.x, 0) / points.length,
+        y: points.reduce((sum, point) => sum + point.y, 0) / points.length,
+      };
+    }
+    return { x: cx / (3 * area), y: cy / (3 * area) };
+  }
+
+  /**
+   * Moment of inertia about the polygon's centroid, where getWorldPolygon puts its center
+   */
+  private getPolygonInertia(obj: GameObject, area: AreaComponent, mass: number): number {
+    const scale = this.getAreaScale(obj, area);
+    const scaled = (area.points ?? []).map(point => ({ x: point.x * scale.x, y: point.y * scale.y }));
+    const centroid = this.getPolygonCentroid(scaled);
+    const points = scaled.map(point => ({ x: point.x - centroid.x, y: point.y - centroid.y }));
+    let numerator = 0;
+    let denominator = 0;
+    for (let i = 0; i < points.length; i++) {
+      const current = points[i];
+      const next = points[(i + 1) % points.length];
+      const cross = Math.abs(current.x * next.y - next.x * current.y);
+      numerator += cross * (current.x * current.x + current.y * current.y + current.x * next.x + current.y * next.y + next.x * next.x + next.y * next.y);
+      denominator += cross;
+    }
+    return denominator > 0 ? (mass * numerator) / (6 * denominator) : 0;
+  }
+
+  private getShapePoints(shape: WorldShape): Vec2[] {
+    if (shape.type === 'polygon') return shape.points;
+    if (shape.type === 'rect') {
+      return this.getRectCorners(shape.center, shape.size, (shape.rotation * Math.PI) / 180);
+    }
+    return [];
+  }
+
+  /**
+   * Unit normals of every polygon edge, used as SAT axes
+   */
+  private getEdgeNormals(points: Vec2[]): Vec2[] {
+    const normals: Vec2[] = [];
+    for (let i = 0; i < points.length; i++) {
+      const current = points[i];
+      const next = points[(i + 1) % points.length];
+      const edgeX = next.x - current.x;
+      const edgeY = next.y - current.y;
+      const length = Math.sqrt(edgeX * edgeX + edgeY * edgeY);
+      if (length === 0) continue;
+      normals.push({ x: -edgeY / length, y: edgeX / length });
+    }
+    return normals;
+  }
+
+  /**
+   * Two points whose projection onto the axis spans the circle
+   */
+  private getCircleExtents(circle: { center: Vec2; radius: number }, axis: Vec2): Vec2[] {
+    return [
+      { x: circle.center.x - axis.x * circle.radius, y: circle.center.y - axis.y * circle.radius },
+      { x: circle.center.x + axis.x * circle.radius, y: circle.center.y + axis.y * circle.radius },
+    ];
+  }
+
   private getRectCorners(pos: Vec2, size: Vec2, angleRad: number): Vec2[] {
     const halfWidth = size.x / 2;
     const halfHeight = size.y / 2;
@@ -304,14 +1361,25 @@ export class CollisionSystem {
     return { overlaps: true, overlap: Math.abs(overlap) };
   }
 
-  private getShape(obj: GameObject, area: AreaComponent): 'rect' | 'circle' {
+  private getShape(obj: GameObject, area: AreaComponent): CollisionShape {
+    // A polygon needs at least a triangle, otherwise fall back to auto-detection
+    if (area.shape === 'polygon' && (area.points?.length ?? 0) < 3) {
+      return obj.has('circle') ? 'circle' : 'rect';
+    }
     if (area.shape) return area.shape;
     if (obj.has('circle')) return 'circle';
     return 'rect';
   }
 
+  // The area's own scale times the object's world scale, as the renderer composes them
+  private getAreaScale(obj: GameObject, area: AreaComponent): Vec2 {
+    const areaScale = area.scale ?? { x: 1, y: 1 };
+    const worldScale = obj.worldScale();
+    return { x: areaScale.x * Math.abs(worldScale.x), y: areaScale.y * Math.abs(worldScale.y) };
+  }
+
   private getRadius(obj: GameObject, area: AreaComponent): number {
-    const scale = area.scale ?? { x: 1, y: 1 };
+    const scale = this.getAreaScale(obj, area);
     const scaleFactor = Math.max(scale.x, scale.y);
     if (area.radius !== undefined) return area.radius * scaleFactor;
     const circle = obj.get<CircleComponent>('circle');
@@ -319,7 +1387,7 @@ export class CollisionSystem {
   }
 
   private getSize(obj: GameObject, area: AreaComponent): Vec2 {
-    const scale = area.scale ?? { x: 1, y: 1 };
+    const scale = this.getAreaScale(obj, area);
     // If area has explicit dimensions, use those
     if (area.width !== undefined && area.height !== undefined) {
       return { x: area.width * scale.x, y: area.height * scale.y };
@@ -346,28 +1414,31 @@ export class CollisionSystem {
     return `${id1}:${id2}`;
   }
 
-  private triggerCollisionStart(objA: GameObject, objB: GameObject): void {
-    this.triggerCallbacks(objA, objB, 'onCollide');
-    this.triggerCallbacks(objB, objA, 'onCollide');
-    (objA as any).trigger?.('collide', objB);
-    (objB as any).trigger?.('collide', objA);
+  private triggerCollisionStart(objA: GameObject, objB: GameObject, contact: CollisionContact): void {
+    const contactB = this.flipContact(contact);
+    this.triggerCallbacks(objA, objB, 'onCollide', contact);
+    this.triggerCallbacks(objB, objA, 'onCollide', contactB);
+    (objA as any).trigger?.('collide', objB, contact);
+    (objB as any).trigger?.('collide', objA, contactB);
   }
 
-  private triggerCollisionUpdate(objA: GameObject, objB: GameObject): void {
-    this.triggerCallbacks(objA, objB, 'onCollideUpdate');
-    this.triggerCallbacks(objB, objA, 'onCollideUpdate');
-    (objA as any).trigger?.('collideUpdate', objB);
-    (objB as any).trigger?.('collideUpdate', objA);
+  private triggerCollisionUpdate(objA: GameObject, objB: GameObject, contact: CollisionContact): void {
+    const contactB = this.flipContact(contact);
+    this.triggerCallbacks(objA, objB, 'onCollideUpdate', contact);
+    this.triggerCallbacks(objB, objA, 'onCollideUpdate', contactB);
+    (objA as any).trigger?.('collideUpdate', objB, contact);
+    (objB as any).trigger?.('collideUpdate', objA, contactB);
   }
 
-  private triggerCollisionEnd(objA: GameObject, objB: GameObject): void {
-    this.triggerCallbacks(objA, objB, 'onCollideEnd');
-    this.triggerCallbacks(objB, objA, 'onCollideEnd');
-    (objA as any).trigger?.('collideEnd', objB);
-    (objB as any).trigger?.('collideEnd', objA);
+  private triggerCollisionEnd(objA: GameObject, objB: GameObject, contact: CollisionContact): void {
+    const contactB = this.flipContact(contact);
+    this.triggerCallbacks(objA, objB, 'onCollideEnd', contact);
+    this.triggerCallbacks(objB, objA, 'onCollideEnd', contactB);
+    (objA as any).trigger?.('collideEnd', objB, contact);
+    (objB as any).trigger?.('collideEnd', objA, contactB);
   }
 
-  private triggerCallbacks(obj: GameObject, other: GameObject, eventType: string): void {
+  private triggerCallbacks(obj: GameObject, other: GameObject, eventType: string, contact: CollisionContact): void {
     const callbacks = (obj as any)[`_${eventType}Callbacks`] as Map<string, Function[]> | undefined;
     if (!callbacks) return;
 
@@ -376,7 +1447,7 @@ export class CollisionSystem {
       const tagCallbacks = callbacks.get(tag);
       if (tagCallbacks) {
         for (const callback of tagCallbacks) {
-          callback(other);
+          callback(other, contact);
         }
       }
     }
@@ -385,11 +1456,42 @@ export class CollisionSystem {
     const wildcardCallbacks = callbacks.get('*');
     if (wildcardCallbacks) {
       for (const callback of wildcardCallbacks) {
-        callback(other);
+        callback(other, contact);
       }
     }
   }
 
+  /**
+   * Contact between two overlapping objects as seen from A
+   * (normal pointing away from B, velocity of A relative to B)
+   */
+  private getCollisionContact(objA: GameObject, objB: GameObject): CollisionContact {
+    const shapeA = this.getWorldShape(objA);
+    const shapeB = this.getWorldShape(objB);
+    const overlap = shapeA && shapeB ? this.getContact(shapeA, shapeB) : null;
+    const velocityA = objA.get<BodyComponent>('body')?.velocity ?? { x: 0, y: 0 };
+    const velocityB = objB.get<BodyComponent>('body')?.velocity ?? { x: 0, y: 0 };
+
+    return {
+      normal: overlap ? { x: -overlap.normal.x, y: -overlap.normal.y } : { x: 0, y: 0 },
+      depth: overlap?.overlap ?? 0,
+      points: overlap && shapeA && shapeB ? this.getContactPoints(shapeA, shapeB, overlap.normal) : [],
+      relativeVelocity: { x: velocityA.x - velocityB.x, y: velocityA.y - velocityB.y },
+    };
+  }
+
+  /**
+   * The same contact seen from the other object
+   */
+  private flipContact(contact: CollisionContact): CollisionContact {
+    return {
+      normal: { x: -contact.normal.x, y: -contact.normal.y },
+      depth: contact.depth,
+      points: contact.points,
+      relativeVelocity: { x: -contact.relativeVelocity.x, y: -contact.relativeVelocity.y },
+    };
+  }
+
   /**
    * Resolve collision physics (separate objects and adjust velocities)
    */
@@ -400,11 +1502,8 @@ export class CollisionSystem {
     // Only resolve physics if both objects have bodies
     if (!bodyA || !bodyB) return;
     
-    // Don't resolve if both are static
-    if (bodyA.isStatic && bodyB.isStatic) return;
-    
-    // Skip if neither has physics enabled (both static with no velocity)
-    if (bodyA.isStatic && bodyB.isStatic) return;
+    // Don't resolve if both are static (kinematic bodies count as static here)
+    if (this.isImmovable(bodyA) && this.isImmovable(bodyB)) return;
 
     const transformA = objA.get<TransformComponent>('transform');
     const transformB = objB.get<TransformComponent>('transform');
@@ -416,15 +1515,9 @@ export class CollisionSystem {
     const areaB = objB.get<AreaComponent>('area');
     
     // Calculate collision normal and separation
-    // IMPORTANT: Use the same offset logic as checkCollision!
-    const posA = {
-      x: transformA.pos.x.value + (areaA?.offset?.x ?? 0),
-      y: transformA.pos.y.value + (areaA?.offset?.y ?? 0),
-    };
-    const posB = {
-      x: transformB.pos.x.value + (areaB?.offset?.x ?? 0),
-      y: transformB.pos.y.value + (areaB?.offset?.y ?? 0),
-    };
+    // IMPORTANT: Use the same offset logic as getWorldShape!
+    const posA = objA.toWorld(areaA?.offset ?? { x: 0, y: 0 });
+    const posB = objB.toWorld(areaB?.offset ?? { x: 0, y: 0 });
 
     // Calculate collision normal
     const dx = posB.x - posA.x;
@@ -433,16 +1526,26 @@ export class CollisionSystem {
     
     let nx: number;
     let ny: number;
-    const rotationA = transformA.rotation ?? 0;
-    const rotationB = transformB.rotation ?? 0;
+    const rotationA = objA.worldRotation();
+    const rotationB = objB.worldRotation();
     const shapeA = this.getShape(objA, areaA);
     const shapeB = this.getShape(objB, areaB);
     
     // Store SAT result for later use
     let satCollisionInfo: { normal: Vec2; overlap: number } | null = null;
+    const hasPolygon = shapeA === 'polygon' || shapeB === 'polygon';
     
-    // For rotated rectangles, use SAT to get the proper collision normal
-    if (shapeA === 'rect' && shapeB === 'rect' && (rotationA !== 0 || rotationB !== 0)) {
+    if (hasPolygon) {
+      // Polygons (against any shape) use generalized SAT for normal and overlap
+      const worldA = this.getWorldShape(objA);
+      const worldB = this.getWorldShape(objB);
+      satCollisionInfo = worldA && worldB ? this.polygonSAT(worldA, worldB) : null;
+      if (!satCollisionInfo) return; // No collision
+
+      nx = satCollisionInfo.normal.x;
+      ny = satCollisionInfo.normal.y;
+    } else if (shapeA === 'rect' && shapeB === 'rect' && (rotationA !== 0 || rotationB !== 0)) {
+      // For rotated rectangles, use SAT to get the proper collision normal
       satCollisionInfo = this.rotatedRectVsRotatedRect(
         posA,
         this.getSize(objA, areaA),
@@ -458,8 +1561,21 @@ export class CollisionSystem {
       } else {
         return; // No collision
       }
+    } else if (shapeA === 'rect' && shapeB === 'rect') {
+      // For axis-aligned rectangles, push out along the axis of least penetration
+      const sizeA = this.getSize(objA, areaA!);
+      const sizeB = this.getSize(objB, areaB!);
+      const overlapX = (sizeA.x + sizeB.x) / 2 - Math.abs(dx);
+      const overlapY = (sizeA.y + sizeB.y) / 2 - Math.abs(dy);
+      if (overlapX < overlapY) {
+        nx = dx < 0 ? -1 : 1;
+        ny = 0;
+      } else {
+        nx = 0;
+        ny = dy < 0 ? -1 : 1;
+      }
     } else {
-      // For axis-aligned or circle collisions, use center-to-center normal
+      // For circle collisions, use center-to-center normal
       if (distance === 0) return; // Objects are at exact same position
 
       nx = dx / distance;
@@ -470,8 +1586,19 @@ export class CollisionSystem {
     const massA = bodyA?.mass ?? (bodyA?.isStatic ? Infinity : 1);
     const massB = bodyB?.mass ?? (bodyB?.isStatic ? Infinity : 1);
 
-    const isStaticA = bodyA?.isStatic ?? false;
-    const isStaticB = bodyB?.isStatic ?? false;
+    // Kinematic bodies are moved by scripts only, so the solver treats them as static
+    const isStaticA = this.isImmovable(bodyA);
+    const isStaticB = this.isImmovable(bodyB);
+
+    // Record ground contacts (the other object lies in the gravity direction)
+    const groundedA = !isStaticA && this.isGroundNormal(nx, ny);
+    const groundedB = !isStaticB && this.isGroundNormal(-nx, -ny);
+    if (groundedA) this.groundContacts.set(objA.id, objB);
+    if (groundedB) this.groundContacts.set(objB.id, objA);
+
+    // Bodies resting on the ground under gravity shouldn't bounce or hover
+    const restingA = groundedA && this.usesGravity(bodyA);
+    const restingB = groundedB && this.usesGravity(bodyB);
 
     // Calculate overlap and separate objects
     // Note: areaA and areaB are already declared above for offset calculation
@@ -479,12 +1606,14 @@ export class CollisionSystem {
       const shapeA = this.getShape(objA, areaA);
       const shapeB = this.getShape(objB, areaB);
       
-      const rotationA = transformA.rotation ?? 0;
-      const rotationB = transformB.rotation ?? 0;
+      const rotationA = objA.worldRotation();
+      const rotationB = objB.worldRotation();
       
       let overlap = 0;
       
-      if (shapeA === 'circle' && shapeB === 'circle') {
+      if (hasPolygon) {
+        overlap = satCollisionInfo?.overlap ?? 0;
+      } else if (shapeA === 'circle' && shapeB === 'circle') {
         const radiusA = this.getRadius(objA, areaA);
         const radiusB = this.getRadius(objB, areaB);
         overlap = (radiusA + radiusB) - distance;
@@ -518,9 +1647,10 @@ export class CollisionSystem {
 
       if (overlap > 0) {
         // For rotated objects using SAT, we have accurate overlap so need less extra separation
-        const rotationA = transformA.rotation ?? 0;
-        const rotationB = transformB.rotation ?? 0;
-        const isRotated = rotationA !== 0 || rotationB !== 0;
+        const rotationA = objA.worldRotation();
+        const rotationB = objB.worldRotation();
+        // Polygon contacts come from SAT as well, so they are just as accurate
+        const isRotated = rotationA !== 0 || rotationB !== 0 || hasPolygon;
         const extraSeparation = isRotated ? 0.5 : 1; // Less push for rotated objects since SAT is accurate
         
         if (!isStaticA && !isStaticB) {
@@ -530,22 +1660,32 @@ export class CollisionSystem {
           const ratioA = massB / totalMass;
           const ratioB = massA / totalMass;
 
-          transformA.pos.x.value -= nx * separation * ratioA;
-          transformA.pos.y.value -= ny * separation * ratioA;
-          transformB.pos.x.value += nx * separation * ratioB;
-          transformB.pos.y.value += ny * separation * ratioB;
+          objA.moveBy(-nx * separation * ratioA, -ny * separation * ratioA);
+          objB.moveBy(nx * separation * ratioB, ny * separation * ratioB);
         } else if (!isStaticA) {
           // Dynamic vs Static - push out completely
-          transformA.pos.x.value -= nx * (overlap + extraSeparation);
-          transformA.pos.y.value -= ny * (overlap + extraSeparation);
+          const separation = overlap + (restingA ? 0 : extraSeparation);
+          objA.moveBy(-nx * separation, -ny * separation);
         } else if (!isStaticB) {
           // Dynamic vs Static - push out completely
-          transformB.pos.x.value += nx * (overlap + extraSeparation);
-          transformB.pos.y.value += ny * (overlap + extraSeparation);
+          const separation = overlap + (restingB ? 0 : extraSeparation);
+          objB.moveBy(nx * separation, ny * separation);
         }
       }
     }
 
+    // SAT contacts (rotated rects and polygons) are accurate enough to hit at the
+    // contact point, which also spins bodies that are free to rotate
+    if (satCollisionInfo && (this.canRotate(bodyA) || this.canRotate(bodyB))) {
+      const worldA = this.getWorldShape(objA);
+      const worldB = this.getWorldShape(objB);
+      if (worldA && worldB) {
+        const restitution = this.getRestitution(areaA, areaB, isStaticA || isStaticB ? 0 : 0.3);
+        this.applyContactImpulse(objA, objB, worldA, worldB, { x: nx, y: ny }, restitution, this.getFriction(areaA, areaB));
+        return;
+      }
+    }
+
     // Apply velocity response (elastic collision)
     if (bodyA && bodyB && !isStaticA && !isStaticB) {
       const vRelativeX = bodyA.velocity.x - bodyB.velocity.x;
@@ -554,7 +1694,7 @@ export class CollisionSystem {
       const velocityAlongNormal = vRelativeX * nx + vRelativeY * ny;
       
       // Only apply impulse if objects are moving towards each other
-      if (velocityAlongNormal >= 0) return; // Objects moving apart or stationary
+      if (velocityAlongNormal <= 0) return; // Objects moving apart or stationary
       
       // Low restitution for smooth collisions between dynamic objects
       const restitution = this.getRestitution(areaA, areaB, 0.3);
@@ -572,11 +1712,11 @@ export class CollisionSystem {
       const vRelativeY = bodyA.velocity.y;
       const velocityAlongNormal = vRelativeX * nx + vRelativeY * ny;
       
-      if (velocityAlongNormal < 0) {
-        // Check if either object is rotated
-        const rotationA = transformA.rotation ?? 0;
-        const rotationB = transformB.rotation ?? 0;
-        const isRotated = rotationA !== 0 || rotationB !== 0;
+      if (velocityAlongNormal > 0) {
+        // Check if either object is rotated (polygons are treated the same way)
+        const rotationA = objA.worldRotation();
+        const rotationB = objB.worldRotation();
+        const isRotated = rotationA !== 0 || rotationB !== 0 || hasPolygon;
         
         if (isRotated) {
           // For rotated objects: just stop the velocity component along the collision normal
@@ -586,7 +1726,7 @@ export class CollisionSystem {
           this.applySingleBodyFriction(bodyA, nx, ny, areaA, areaB);
         } else {
           // For axis-aligned objects: allow bouncing
-          const restitution = this.getRestitution(areaA, areaB, 0.8);
+          const restitution = this.getRestitution(areaA, areaB, restingA ? 0 : 0.8);
           bodyA.velocity.x -= (1 + restitution) * velocityAlongNormal * nx;
           bodyA.velocity.y -= (1 + restitution) * velocityAlongNormal * ny;
           this.applySingleBodyFriction(bodyA, nx, ny, areaA, areaB);
@@ -598,11 +1738,11 @@ export class CollisionSystem {
       const vRelativeY = bodyB.velocity.y;
       const velocityAlongNormal = vRelativeX * (-nx) + vRelativeY * (-ny);
       
-      if (velocityAlongNormal < 0) {
-        // Check if either object is rotated
-        const rotationA = transformA.rotation ?? 0;
-        const rotationB = transformB.rotation ?? 0;
-        const isRotated = rotationA !== 0 || rotationB !== 0;
+      if (velocityAlongNormal > 0) {
+        // Check if either object is rotated (polygons are treated the same way)
+        const rotationA = objA.worldRotation();
+        const rotationB = objB.worldRotation();
+        const isRotated = rotationA !== 0 || rotationB !== 0 || hasPolygon;
         
         if (isRotated) {
           // For rotated objects: just stop the velocity component along the collision normal
@@ -612,7 +1752,7 @@ export class CollisionSystem {
           this.applySingleBodyFriction(bodyB, -nx, -ny, areaA, areaB);
         } else {
           // For axis-aligned objects: allow bouncing
-          const restitution = this.getRestitution(areaA, areaB, 0.8);
+          const restitution = this.getRestitution(areaA, areaB, restingB ? 0 : 0.8);
           bodyB.velocity.x -= (1 + restitution) * velocityAlongNormal * (-nx);
           bodyB.velocity.y -= (1 + restitution) * velocityAlongNormal * (-ny);
           this.applySingleBodyFriction(bodyB, -nx, -ny, areaA, areaB);
@@ -621,6 +1761,130 @@ export class CollisionSystem {
     }
   }
 
+  private canRotate(body: BodyComponent): boolean {
+    return !this.isImmovable(body) && !body.fixedRotation;
+  }
+
+  /**
+   * Impulse-based response at the contact points (normal plus Coulomb friction)
+   * Impulses are accumulated over a few iterations so two-point contacts share
+   * the load. The normal points from A to B; immovable bodies have zero inverse
+   * mass and inertia.
+   */
+  private applyContactImpulse(
+    objA: GameObject,
+    objB: GameObject,
+    shapeA: WorldShape,
+    shapeB: WorldShape,
+    normal: Vec2,
+    restitution: number,
+    friction: number,
+  ): void {
+    const bodyA = objA.get<BodyComponent>('body')!;
+    const bodyB = objB.get<BodyComponent>('body')!;
+    const invMassA = this.isImmovable(bodyA) ? 0 : 1 / (bodyA.mass ?? 1);
+    const invMassB = this.isImmovable(bodyB) ? 0 : 1 / (bodyB.mass ?? 1);
+    const invInertiaA = 1 / this.getInertia(objA);
+    const invInertiaB = 1 / this.getInertia(objB);
+    const tangent = { x: -normal.y, y: normal.x };
+
+    // Velocity of A relative to B along an axis at a contact (immovable bodies count as still)
+    const getRelativeSpeed = (rA: Vec2, rB: Vec2, axis: Vec2): number => {
+      const vA = invMassA > 0 ? this.getPointVelocity(bodyA, rA) : { x: 0, y: 0 };
+      const vB = invMassB > 0 ? this.getPointVelocity(bodyB, rB) : { x: 0, y: 0 };
+      return (vA.x - vB.x) * axis.x + (vA.y - vB.y) * axis.y;
+    };
+    // Effective inverse mass along an axis, including the rotation the impulse causes
+    const getEffectiveInverseMass = (rA: Vec2, rB: Vec2, axis: Vec2): number => {
+      const crossA = rA.x * axis.y - rA.y * axis.x;
+      const crossB = rB.x * axis.y - rB.y * axis.x;
+      return invMassA + invMassB + crossA * crossA * invInertiaA + crossB * crossB * invInertiaB;
+    };
+    const applyImpulse = (rA: Vec2, rB: Vec2, axis: Vec2, impulse: number): void => {
+      this.applyBodyImpulse(bodyA, invMassA, invInertiaA, rA, -axis.x * impulse, -axis.y * impulse);
+      this.applyBodyImpulse(bodyB, invMassB, invInertiaB, rB, axis.x * impulse, axis.y * impulse);
+    };
+
+    const contacts = this.getContactPoints(shapeA, shapeB, normal).map(point => {
+      const rA = { x: point.x - shapeA.center.x, y: point.y - shapeA.center.y };
+      const rB = { x: point.x - shapeB.center.x, y: point.y - shapeB.center.y };
+      const approachSpeed = getRelativeSpeed(rA, rB, normal);
+      return {
+        rA,
+        rB,
+        bounce: approachSpeed > 0 ? restitution * approachSpeed : 0,
+        normalImpulse: 0,
+        tangentImpulse: 0,
+      };
+    });
+
+    for (let i = 0; i < CONTACT_ITERATIONS; i++) {
+      for (const contact of contacts) {
+        const { rA, rB } = contact;
+
+        // Push apart until the contact separates at the bounce speed (never pull together)
+        const normalSpeed = getRelativeSpeed(rA, rB, normal);
+        const normalImpulse = Math.max(
+          contact.normalImpulse + (normalSpeed + contact.bounce) / getEffectiveInverseMass(rA, rB, normal),
+          0,
+        );
+        applyImpulse(rA, rB, normal, normalImpulse - contact.normalImpulse);
+        contact.normalImpulse = normalImpulse;
+
+        // Friction opposes sliding, up to friction * normal impulse
+        if (friction <= 0) continue;
+        const maxFriction = friction * contact.normalImpulse;
+        const tangentSpeed = getRelativeSpeed(rA, rB, tangent);
+        const tangentImpulse = Math.max(
+          -maxFriction,
+          Math.min(contact.tangentImpulse + tangentSpeed / getEffectiveInverseMass(rA, rB, tangent), maxFriction),
+        );
+        applyImpulse(rA, rB, tangent, tangentImpulse - contact.tangentImpulse);
+        contact.tangentImpulse = tangentImpulse;
+      }
+    }
+  }
+
+  /**
+   * Change linear and angular velocity for an impulse applied at offset r from the center
+   */
+  private applyBodyImpulse(
+    body: BodyComponent,
+    invMass: number,
+    invInertia: number,
+    r: Vec2,
+    impulseX: number,
+    impulseY: number,
+  ): void {
+    if (invMass === 0) return;
+    body.velocity.x += impulseX * invMass;
+    body.velocity.y += impulseY * invMass;
+    if (invInertia > 0) {
+      body.angularVelocity += (r.x * impulseY - r.y * impulseX) * invInertia * RAD_TO_DEG;
+    }
+  }
+
+  /**
+   * Linear velocity of a point at offset r from the body's center
+   */
+  private getPointVelocity(body: BodyComponent, r: Vec2): Vec2 {
+    const angularVelocity = (body.angularVelocity ?? 0) / RAD_TO_DEG;
+    return {
+      x: body.velocity.x - angularVelocity * r.y,
+      y: body.velocity.y + angularVelocity * r.x,
+    };
+  }
+
+  private isGroundNormal(nx: number, ny: number): boolean {
+    if (!this.gravityDirection) return false;
+    // Within ~45 degrees of the gravity direction counts as ground
+    return nx * this.gravityDirection.x + ny * this.gravityDirection.y > 0.7;
+  }
+
+  private usesGravity(body: BodyComponent): boolean {
+    return !!this.gravityDirection && body.gravity !== false && (body.gravityScale ?? 1) !== 0;
+  }
+
   private getRestitution(areaA?: AreaComponent, areaB?: AreaComponent, fallback = 0.3): number {
     const values = [];
     if (areaA?.restitution !== undefined) values.push(areaA.restitution);
@@ -690,8 +1954,47 @@ export class CollisionSystem {
     if (Math.abs(body.velocity.y) < 1e-4) body.velocity.y = 0;
   }
 
+  /**
+   * Set the current pair state aside (pushScene) and start from none
+   */
+  suspend(): SuspendedCollisions {
+    const saved = {
+      previousCollisions: this.previousCollisions,
+      passThrough: this.passThrough,
+      dropping: this.dropping,
+      lastContacts: this.lastContacts,
+      collisionMatrix: this.collisionMatrix,
+    };
+    this.previousCollisions = new Set();
+    this.passThrough = new Set();
+    this.dropping = new Set();
+    this.lastContacts = new Map();
+    this.collisionMatrix = new Map();
+    this.groundContacts.clear();
+    this.contacts.clear();
+    this.broadphase.clear();
+    this.unindexed.clear();
+    return saved;
+  }
+
+  resume(saved: SuspendedCollisions): void {
+    this.previousCollisions = saved.previousCollisions;
+    this.passThrough = saved.passThrough;
+    this.dropping = saved.dropping;
+    this.lastContacts = saved.lastContacts;
+    this.collisionMatrix = saved.collisionMatrix;
+  }
+
   reset(): void {
     this.previousCollisions.clear();
+    this.passThrough.clear();
+    this.dropping.clear();
+    this.lastContacts.clear();
+    this.groundContacts.clear();
+    this.broadphase.clear();
+    this.unindexed.clear();
+    this.contacts.clear();
+    this.collisionMatrix.clear();
   }
 }
 
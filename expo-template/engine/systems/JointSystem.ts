@@ -0,0 +1,268 @@
+import { makeMutable } from 'react-native-reanimated';
+import type {
+  BodyComponent,
+  GameObject,
+  Joint,
+  JointOptions,
+  Vec2,
+} from '../types';
+
+let nextJointId = 0;
+
+// Rigid joints are relaxed a few times per frame so chains settle instead of stretching
+const SOLVER_ITERATIONS = 4;
+
+/**
+ * Joint/constraint system
+ * Connects bodies with distance, spring, pin and rope joints. Runs after
+ * collision resolution each frame and corrects positions and velocities directly.
+ */
+export class JointSystem {
+  private joints: Joint[] = [];
+
+  get all(): Joint[] {
+    return this.joints;
+  }
+
+  add(options: JointOptions): Joint {
+    const b = options.b ?? null;
+    const anchorA = { x: options.anchorA?.x ?? 0, y: options.anchorA?.y ?? 0 };
+    const anchorB = { x: options.anchorB?.x ?? 0, y: options.anchorB?.y ?? 0 };
+
+    const joint: Joint = {
+      id: `joint_${nextJointId++}`,
+      type: options.type,
+      a: options.a,
+      b,
+      anchorA,
+      anchorB,
+      length: 0,
+      stiffness: options.stiffness ?? 100,
+      damping: options.damping ?? 5,
+      visible: makeMutable(1),
+    };
+
+    if (options.type !== 'pin') {
+      // Default to the current distance so joints don't snap on creation
+      const pointA = this.getWorldAnchor(joint.a, joint.anchorA);
+      const pointB = this.getWorldAnchor(joint.b, joint.anchorB);
+      joint.length = options.length ?? Math.hypot(pointB.x - pointA.x, pointB.y - pointA.y);
+    }
+
+    this.joints.push(joint);
+    return joint;
+  }
+
+  remove(joint: Joint): void {
+    const index = this.joints.indexOf(joint);
+    if (index === -1) return;
+    this.joints.splice(index, 1);
+    joint.visible.value = 0;
+  }
+
+  /**
+   * Remove every joint attached to an object (called when it is destroyed)
+   */
+  removeObject(obj: GameObject): void {
+    for (const joint of [...this.joints]) {
+      if (joint.a === obj || joint.b === obj) {
+        this.remove(joint);
+      }
+    }
+  }
+
+  getJoints(obj?: GameObject): Joint[] {
+    if (!obj) return [...this.joints];
+    return this.joints.filter(joint => joint.a === obj || joint.b === obj);
+  }
+
+  /**
+   * Solve all joints for this frame
+   */
+  update(dt: number): void {
+    for (const joint of this.joints) {
+      if (joint.type === 'spring') {
+        this.solveSpring(joint, dt);
+      }
+    }
+
+    for (let i = 0; i < SOLVER_ITERATIONS; i++) {
+      for (const joint of this.joints) {
+        if (joint.type !== 'spring') {
+          this.solveRigid(joint);
+        }
+      }
+    }
+  }
+
+  /**
+   * Take every joint out of the solver (pushScene); resume() puts them back
+   */
+  suspend(): Joint[] {
+    const joints = this.joints;
+    this.joints = [];
+    return joints;
+  }
+
+  resume(joints: Joint[]): void {
+    this.joints.push(...joints);
+  }
+
+  /**
+   * Remove every joint except those whose bodies are all in `keep`
+   */
+  reset(keep?: Set<GameObject>): void {
+    const kept: Joint[] = [];
+    for (const joint of this.joints) {
+      if (keep?.has(joint.a) && (!joint.b || keep.has(joint.b))) {
+        kept.push(joint);
+      } else {
+        joint.visible.value = 0;
+      }
+    }
+    this.joints = kept;
+  }
+
+  /**
+   * World position of an anchor; with no object the anchor already is a world point
+   */
+  getWorldAnchor(obj: GameObject | null, anchor: Vec2): Vec2 {
+    if (!obj?.has('transform')) return { x: anchor.x, y: anchor.y };
+    return obj.toWorld(anchor);
+  }
+
+  /**
+   * Damped spring (Hooke's law) along the line between the anchors
+   */
+  private solveSpring(joint: Joint, dt: number): void {
+    const bodyA = joint.a.get<BodyComponent>('body');
+    const bodyB = joint.b?.get<BodyComponent>('body');
+    const invMassA = this.getInverseMass(bodyA);
+    const invMassB = this.getInverseMass(bodyB);
+    if (invMassA + invMassB === 0) return;
+
+    const pointA = this.getWorldAnchor(joint.a, joint.anchorA);
+    const pointB = this.getWorldAnchor(joint.b, joint.anchorB);
+    const dx = pointB.x - pointA.x;
+    const dy = pointB.y - pointA.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (distance === 0) return;
+
+    const nx = dx / distance;
+    const ny = dy / distance;
+    const relativeVelocity = this.getRelativeVelocity(bodyA, bodyB, nx, ny);
+
+    // Positive force pulls the anchors together
+    const force = joint.stiffness * (distance - joint.length) + joint.damping * relativeVelocity;
+    const impulse = force * dt;
+    if (bodyA && invMassA > 0) {
+      bodyA.velocity.x += nx * impulse * invMassA;
+      bodyA.velocity.y += ny * impulse * invMassA;
+    }
+    if (bodyB && invMassB > 0) {
+      bodyB.velocity.x -= nx * impulse * invMassB;
+      bodyB.velocity.y -= ny * impulse * invMassB;
+    }
+  }
+
+  /**
+   * Distance, rope and pin joints: move the anchors back into place and cancel
+   * the velocity that would pull them apart again
+   */
+  private solveRigid(joint: Joint): void {
+    const bodyA = joint.a.get<BodyComponent>('body');
+    const bodyB = joint.b?.get<BodyComponent>('body');
+    const invMassA = this.getInverseMass(bodyA);
+    const invMassB = this.getInverseMass(bodyB);
+    const totalInvMass = invMassA + invMassB;
+    if (totalInvMass === 0) return;
+
+    const pointA = this.getWorldAnchor(joint.a, joint.anchorA);
+    const pointB = this.getWorldAnchor(joint.b, joint.anchorB);
+    const dx = pointB.x - pointA.x;
+    const dy = pointB.y - pointA.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    if (joint.type === 'pin') {
+      // Anchors coincide - correct both axes and cancel all relative velocity
+      this.movePair(joint, dx / totalInvMass, dy / totalInvMass, invMassA, invMassB);
+      this.cancelVelocity(bodyA, bodyB, 1, 0, invMassA, invMassB, false);
+      this.cancelVelocity(bodyA, bodyB, 0, 1, invMassA, invMassB, false);
+      return;
+    }
+
+    if (distance === 0) return;
+    // Ropes only pull when taut
+    if (joint.type === 'rope' && distance <= joint.length) return;
+
+    const nx = dx / distance;
+    const ny = dy / distance;
+    const correction = (distance - joint.length) / totalInvMass;
+    this.movePair(joint, nx * correction, ny * correction, invMassA, invMassB);
+    this.cancelVelocity(bodyA, bodyB, nx, ny, invMassA, invMassB, joint.type === 'rope');
+  }
+
+  /**
+   * Move a towards b (and b towards a) by the given correction, split by inverse mass
+   */
+  private movePair(joint: Joint, cx: number, cy: number, invMassA: number, invMassB: number): void {
+    if (invMassA > 0) {
+      joint.a.moveBy(cx * invMassA, cy * invMassA);
+    }
+    if (joint.b && invMassB > 0) {
+      joint.b.moveBy(-cx * invMassB, -cy * invMassB);
+    }
+  }
+
+  /**
+   * Remove the relative velocity along an axis; with separatingOnly, only
+   * motion that pulls the anchors apart is removed
+   */
+  private cancelVelocity(
+    bodyA: BodyComponent | undefined,
+    bodyB: BodyComponent | undefined,
+    nx: number,
+    ny: number,
+    invMassA: number,
+    invMassB: number,
+    separatingOnly: boolean,
+  ): void {
+    const relativeVelocity = this.getRelativeVelocity(bodyA, bodyB, nx, ny);
+    if (separatingOnly && relativeVelocity <= 0) return;
+
+    const impulse = relativeVelocity / (invMassA + invMassB);
+    if (bodyA && invMassA > 0) {
+      bodyA.velocity.x += nx * impulse * invMassA;
+      bodyA.velocity.y += ny * impulse * invMassA;
+    }
+    if (bodyB && invMassB > 0) {
+      bodyB.velocity.x -= nx * impulse * invMassB;
+      bodyB.velocity.y -= ny * impulse * invMassB;
+    }
+  }
+
+  /**
+   * Rate at which the anchors separate along the axis (positive = moving apart)
+   */
+  private getRelativeVelocity(
+    bodyA: BodyComponent | undefined,
+    bodyB: BodyComponent | undefined,
+    nx: number,
+    ny: number,
+  ): number {
+    const vax = bodyA?.velocity.x ?? 0;
+    const vay = bodyA?.velocity.y ?? 0;
+    const vbx = bodyB?.velocity.x ?? 0;
+    const vby = bodyB?.velocity.y ?? 0;
+    return (vbx - vax) * nx + (vby - vay) * ny;
+  }
+
+  /**
+   * Objects without a body, or with a static or kinematic one, are immovable anchors
+   * (kinematic bodies are only moved by scripts, like in the CollisionSystem)
+   */
+  private getInverseMass(body: BodyComponent | undefined): number {
+    if (!body || body.isStatic || body.isKinematic) return 0;
+    return 1 / (body.mass ?? 1);
+  }
+}
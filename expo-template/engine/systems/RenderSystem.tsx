@@ -1,4 +1,5 @@
 import {
+    Atlas,
     Canvas,
     Circle,
     Group,
@@ -6,14 +7,31 @@ import {
     Rect,
     Skia,
     Image as SkiaImage,
+    Line,
+    Path,
     Text as SkiaText,
     useImage,
+    vec,
+    type SkImage,
     type Transforms3d
 } from '@shopify/react-native-skia';
 import React, { useMemo, useState } from 'react';
 import type { SharedValue } from 'react-native-reanimated';
 import { runOnJS, useAnimatedReaction, useDerivedValue } from 'react-native-reanimated';
-import type { GameObject, SpriteComponent } from '../types';
+import { PARTICLE_STRIDE } from '../components/particles';
+import type {
+  AnimatedVec2,
+  CameraState,
+  GameObject,
+  Joint,
+  ParticlesComponent,
+  PausedSceneView,
+  SpriteComponent,
+  StateComponent,
+  TransformComponent,
+  TransitionState,
+  Vec2,
+} from '../types';
 
 // Convert anchor string to normalized Vec2 (matching Kaplay's system)
 // topleft = (-1, -1), center = (0, 0), botright = (1, 1)
@@ -32,20 +50,563 @@ function anchorToVec2(anchor: string | undefined): { x: number; y: number } {
   }
 }
 
+interface DrawTransform {
+  pos: AnimatedVec2;
+  rotation: { value: number };
+  scale: Vec2;
+}
+
+// Transforms from the object up to the root, so parent transforms can be composed on the UI thread
+function getDrawChain(obj: GameObject | null): DrawTransform[] {
+  const chain: DrawTransform[] = [];
+  for (let current = obj; current; current = current.parent) {
+    const transform = current.get<TransformComponent>('transform');
+    if (!transform) continue;
+    chain.push({
+      // Draw the interpolated transform so motion stays smooth between physics steps
+      pos: transform.renderPos ?? transform.pos,
+      rotation: transform.renderRotation ?? { value: transform.rotation ?? 0 },
+      scale: transform.scale ?? { x: 1, y: 1 },
+    });
+  }
+  return chain;
+}
+
+// World position of a local point (with an empty chain the point already is a world point)
+function chainToWorld(chain: DrawTransform[], point: Vec2) {
+  'worklet';
+  let x = point.x;
+  let y = point.y;
+  for (let i = 0; i < chain.length; i++) {
+    const link = chain[i];
+    const angleRad = (link.rotation.value * Math.PI) / 180;
+    const cos = Math.cos(angleRad);
+    const sin = Math.sin(angleRad);
+    const scaledX = x * link.scale.x;
+    const scaledY = y * link.scale.y;
+    x = link.pos.x.value + scaledX * cos - scaledY * sin;
+    y = link.pos.y.value + scaledX * sin + scaledY * cos;
+  }
+  return vec(x, y);
+}
+
+/**
+ * Debug line between a joint's two anchors
+ */
+function JointLine({ joint }: { joint: Joint }) {
+  const chainA = getDrawChain(joint.a);
+  const chainB = getDrawChain(joint.b);
+  const p1 = useDerivedValue(() => chainToWorld(chainA, joint.anchorA));
+  const p2 = useDerivedValue(() => chainToWorld(chainB, joint.anchorB));
+  const opacity = useDerivedValue(() => joint.visible.value);
+
+  return (
+    <Line
+      p1={p1}
+      p2={p2}
+      opacity={opacity}
+      style="stroke"
+      strokeWidth={2}
+      color={joint.type === 'spring' ? '#ff66ff' : '#ffff00'}
+    />
+  );
+}
+
+// Texture for particles without one: a white dot, tinted by the particle colors
+const DOT_SIZE = 32;
+let dotImage: SkImage | null = null;
+
+function getDotImage(): SkImage | null {
+  if (!dotImage) {
+    const surface = Skia.Surface.Make(DOT_SIZE, DOT_SIZE);
+    if (!surface) return null;
+    const paint = Skia.Paint();
+    paint.setAntiAlias(true);
+    paint.setColor(Skia.Color('white'));
+    surface.getCanvas().drawCircle(DOT_SIZE / 2, DOT_SIZE / 2, DOT_SIZE / 2, paint);
+    surface.flush();
+    dotImage = surface.makeImageSnapshot();
+  }
+  return dotImage;
+}
+
+/**
+ * All live particles of one emitter in a single drawAtlas call
+ * Particles are in world space, so this is drawn outside the object's transform.
+ */
+function ParticleBatch({ emitter, opacity }: { emitter: ParticlesComponent; opacity: SharedValue<number> }) {
+  const textureImage = useImage(emitter.texture ?? null);
+  const image = textureImage ?? getDotImage();
+  const imageWidth = image?.width() ?? DOT_SIZE;
+  const imageHeight = image?.height() ?? DOT_SIZE;
+
+  const sprites = useDerivedValue(() => {
+    const count = emitter.drawData.value.length / PARTICLE_STRIDE;
+    const rect = Skia.XYWHRect(0, 0, imageWidth, imageHeight);
+    return new Array(count).fill(rect);
+  });
+  // Scaled so the image's longer side is the particle size, centered on the particle
+  const transforms = useDerivedValue(() => {
+    const data = emitter.drawData.value;
+    const result = [];
+    for (let i = 0; i < data.length; i += PARTICLE_STRIDE) {
+      const scale = data[i + 2] / Math.max(imageWidth, imageHeight);
+      result.push(
+        Skia.RSXform(scale, 0, data[i] - (imageWidth * scale) / 2, data[i + 1] - (imageHeight * scale) / 2),
+      );
+    }
+    return result;
+  });
+  const colors = useDerivedValue(() => {
+    const data = emitter.drawData.value;
+    const result = [];
+    for (let i = 0; i < data.length; i += PARTICLE_STRIDE) {
+      result.push(new Float32Array([data[i + 3], data[i + 4], data[i + 5], data[i + 6]]));
+    }
+    return result;
+  });
+
+  return (
+    <Atlas
+      image={image}
+      sprites={sprites}
+      transforms={transforms}
+      colors={colors}
+      blendMode="modulate"
+      opacity={opacity}
+    />
+  );
+}
+
+/**
+ * Draws one game object with its rect, circle, sprite, text and debug outline
+ * Keyed by object id, so its hooks keep their state when the draw order changes.
+ */
+function GameObjectNode({ obj, debug }: { obj: GameObject; debug: boolean }) {
+  const transform = obj.get<{
+    id:'transform',
+    pos:{
+      x:SharedValue<number>,
+      y:SharedValue<number>,
+    },
+    renderPos?:{
+      x:SharedValue<number>,
+      y:SharedValue<number>,
+    },
+    scale:{
+      x:number,
+      y:number,
+    },
+    rotation:number,
+    visible:SharedValue<number>,
+    anchor?:string,
+    update?: (dt: number) => void,
+    destroy?: () => void,
+  }>('transform');
+  const rect = obj.get<{
+    id:'rect',
+    width:number,
+    height:number,
+    color:string,
+  }>('rect');
+  const circle = obj.get<{
+    id:'circle',
+    radius:number,
+    color:string,
+  }>('circle');
+  const sprite = obj.get<SpriteComponent>('sprite');
+  const emitter = obj.get<ParticlesComponent>('particles');
+  const machine = obj.get<StateComponent>('state');
+  const text = obj.get<{
+    id:'text',
+    text:SharedValue<string>,
+    textSize:SharedValue<number>,
+    font?:string|null,
+    width?:number,
+    align:SharedValue<string>,
+    color:SharedValue<string>,
+  }>('text');
+  const area = obj.get<{
+    id:'area',
+    shape?:'rect'|'circle'|'polygon',
+    width?:number,
+    height?:number,
+    radius?:number,
+    points?:{x:number,y:number}[],
+    offset?:{x:number,y:number},
+    scale?:{x:number,y:number},
+    cursor?:string|null,
+    collisionIgnore?:string[],
+    restitution?:number,
+    friction?:number,
+  }>('area');
+
+  const spriteSource =
+    typeof sprite?.source === 'number'
+      ? sprite.source
+      : typeof sprite?.source === 'string' && !sprite.source.startsWith('data:')
+        ? sprite.source
+        : null;
+  const spriteImageFromSource = useImage(spriteSource ?? null);
+  const spriteImageFallback = useMemo(() => {
+    const fallbackDataUri =
+      sprite?.dataUri ??
+      (typeof sprite?.source === 'string' && sprite.source.startsWith('data:')
+        ? sprite.source
+        : null);
+
+    if (spriteImageFromSource || !fallbackDataUri) return null;
+    try {
+      const base64 = fallbackDataUri.replace(/^data:image\/[a-zA-Z]+;base64,/, '');
+      const data = Skia.Data.fromBase64(base64);
+      if (!data) return null;
+      return Skia.Image.MakeImageFromEncoded(data);
+    } catch (error) {
+      console.warn('Failed to decode sprite image:', error);
+      return null;
+    }
+  }, [spriteImageFromSource, sprite?.dataUri, sprite?.source]);
+
+  const resolvedSpriteImage = spriteImageFromSource ?? spriteImageFallback;
+
+  // Children are drawn inside their parents' transforms (outermost parent first)
+  const drawChain = getDrawChain(obj);
+  const transformMatrix = useDerivedValue<Transforms3d>(() => {
+    const matrix: Transforms3d = [];
+    for (let i = drawChain.length - 1; i >= 0; i--) {
+      const link = drawChain[i];
+      matrix.push(
+        { translateX: link.pos.x.value },
+        { translateY: link.pos.y.value },
+        { rotate: (link.rotation.value * Math.PI) / 180 }, // Convert degrees to radians
+        { scaleX: link.scale.x },
+        { scaleY: link.scale.y },
+      );
+    }
+    return matrix;
+  });
+
+  const opacity = useDerivedValue(() => (transform ? transform.visible.value : 0));
+
+  const renderWidth =
+    sprite?.width ?? resolvedSpriteImage?.width() ?? rect?.width ?? 0;
+  const renderHeight =
+    sprite?.height ?? resolvedSpriteImage?.height() ?? rect?.height ?? 0;
+  const spriteX = -renderWidth / 2 + (sprite?.origin?.x ?? renderWidth / 2);
+  const spriteY = -renderHeight / 2 + (sprite?.origin?.y ?? renderHeight / 2);
+  const sliceX = sprite?.sliceX ?? 1;
+  const sliceY = sprite?.sliceY ?? 1;
+  const centerX = spriteX + renderWidth / 2;
+  const centerY = spriteY + renderHeight / 2;
+
+  // The whole sheet is drawn so one cell is renderWidth x renderHeight,
+  // shifted so the current frame lands in the clipped cell
+  const sheetX = useDerivedValue(() => {
+    const frame = sprite ? Math.floor(sprite.frame.value) : 0;
+    return spriteX - (frame % sliceX) * renderWidth;
+  });
+  const sheetY = useDerivedValue(() => {
+    const frame = sprite ? Math.floor(sprite.frame.value) : 0;
+    return spriteY - (Math.floor(frame / sliceX) % sliceY) * renderHeight;
+  });
+  // Mirror around the frame's center
+  const flipMatrix = useDerivedValue<Transforms3d>(() => [
+    { translateX: centerX },
+    { translateY: centerY },
+    { scaleX: sprite?.flipX.value ? -1 : 1 },
+    { scaleY: sprite?.flipY.value ? -1 : 1 },
+    { translateX: -centerX },
+    { translateY: -centerY },
+  ]);
+
+  // Every hook above runs even without a transform, so the hook count never changes
+  if (!transform) return null;
+
+  return (
+    <>
+      <Group
+        transform={transformMatrix}
+        opacity={opacity}
+      >
+        {rect && (() => {
+          const anchorVec = anchorToVec2(transform?.anchor);
+          // Editor uses transform.pos as the anchor point. For rendering:
+          // offsetX = - (ax + 1) * width / 2;  offsetY = - (ay + 1) * height / 2
+          const offsetX = - (anchorVec.x + 1) * rect.width * 0.5;
+          const offsetY = - (anchorVec.y + 1) * rect.height * 0.5;
+          return (
+            <Rect
+              x={offsetX}
+              y={offsetY}
+              width={rect.width}
+              height={rect.height}
+              color={rect.color}
+            />
+          );
+        })()}
+        {circle && (() => {
+          const anchorVec = anchorToVec2(transform?.anchor);
+          // Circle uses center coordinates (cx, cy). With anchor-based origin:
+          // cx = -ax * radius; cy = -ay * radius
+          const cx = -anchorVec.x * circle.radius;
+          const cy = -anchorVec.y * circle.radius;
+          return (
+            <Circle
+              cx={cx}
+              cy={cy}
+              r={circle.radius}
+              color={circle.color}
+            />
+          );
+        })()}
+        {sprite && resolvedSpriteImage && (
+          <Group
+            transform={flipMatrix}
+            clip={Skia.XYWHRect(spriteX, spriteY, renderWidth, renderHeight)}
+          >
+            <SkiaImage
+              image={resolvedSpriteImage}
+              x={sheetX}
+              y={sheetY}
+              width={renderWidth * sliceX}
+              height={renderHeight * sliceY}
+              fit="fill"
+            />
+          </Group>
+        )}
+      
+        {/* Render text */}
+        {text && (() => {
+          // Use system font - computed once, not reactive
+          const font = matchFont({
+            fontFamily: 'sans-serif',
+            fontSize: 16, // Default size for font loading
+            fontWeight: 'normal',
+          });
+          if (!font) return null;
+        
+          const anchorVec = anchorToVec2(transform?.anchor);
+        
+          // Create derived values for position that Skia can read on UI thread
+          const textX = useDerivedValue(() => {
+            'worklet';
+            const size = text.textSize.value;
+            const content = text.text.value;
+            const align = text.align.value ?? 'left';
+          
+            // Calculate approximate text width
+            const charWidth = size * 0.6;
+            const textWidth = content.length * charWidth;
+          
+            let offsetX = -(anchorVec.x + 1) * textWidth * 0.5;
+          
+            // Adjust x for text alignment
+            if (align === 'center') {
+              offsetX = -textWidth / 2;
+            } else if (align === 'right') {
+              offsetX = -textWidth;
+            }
+          
+            return offsetX;
+          });
+        
+          const textY = useDerivedValue(() => {
+            'worklet';
+            const size = text.textSize.value;
+            return -(anchorVec.y + 1) * size * 0.5 + size;
+          });
+        
+          return (
+            <SkiaText
+              x={textX}
+              y={textY}
+              text={text.text}
+              font={font}
+              color={text.color}
+            />
+          );
+        })()}
+      
+        {/* Debug: Show collision area outline (like Kaboom) */}
+        {debug && area && (() => {
+          // Auto-detect shape from rect/circle if not specified
+          const areaShape = area.shape || (circle ? 'circle' : 'rect');
+          const scale = area.scale ?? { x: 1, y: 1 };
+          const areaWidth = (area.width ?? rect?.width ?? 50) * scale.x;
+          const areaHeight = (area.height ?? rect?.height ?? 50) * scale.y;
+          const areaRadius = (area.radius ?? circle?.radius ?? 25) * Math.max(scale.x, scale.y);
+          const areaOffsetX = area.offset?.x ?? 0;
+          const areaOffsetY = area.offset?.y ?? 0;
+        
+          // Polygon points are relative to the object's position (anchor is ignored, like collision)
+          if (areaShape === 'polygon' && (area.points?.length ?? 0) >= 3) {
+            const path = Skia.Path.Make();
+            area.points!.forEach((point, index) => {
+              const x = areaOffsetX + point.x * scale.x;
+              const y = areaOffsetY + point.y * scale.y;
+              if (index === 0) path.moveTo(x, y);
+              else path.lineTo(x, y);
+            });
+            path.close();
+            return (
+              <Path
+                path={path}
+                style="stroke"
+                strokeWidth={2}
+                color="#00ff00" // Green outline like Kaboom
+              />
+            );
+          }
+        
+          // Area box should match the rendered rect/circle position
+          // Use the SAME anchor offset formula as rect rendering
+          const anchorVec = anchorToVec2(transform?.anchor);
+          const renderWidth = rect?.width ?? (circle ? circle.radius * 2 : 50);
+          const renderHeight = rect?.height ?? (circle ? circle.radius * 2 : 50);
+          const offsetX = -(anchorVec.x + 1) * renderWidth * 0.5;
+          const offsetY = -(anchorVec.y + 1) * renderHeight * 0.5;
+        
+          if (areaShape === 'circle') {
+            return (
+              <Circle
+                cx={offsetX + areaOffsetX}
+                cy={offsetY + areaOffsetY}
+                r={areaRadius}
+                style="stroke"
+                strokeWidth={2}
+                color="#00ff00" // Green outline like Kaboom
+              />
+            );
+          } else {
+            return (
+              <Rect
+                x={offsetX + areaOffsetX}
+                y={offsetY + areaOffsetY}
+                width={areaWidth}
+                height={areaHeight}
+                style="stroke"
+                strokeWidth={2}
+                color="#00ff00" // Green outline like Kaboom
+              />
+            );
+          }
+        })()}
+
+        {/* Debug: Show the current state above the object */}
+        {debug && machine && (() => {
+          const font = matchFont({
+            fontFamily: 'sans-serif',
+            fontSize: 11,
+            fontWeight: 'bold',
+          });
+          if (!font) return null;
+
+          const anchorVec = anchorToVec2(transform?.anchor);
+          const height = renderHeight || (circle ? circle.radius * 2 : 0);
+          const width = renderWidth || (circle ? circle.radius * 2 : 0);
+          return (
+            <SkiaText
+              x={-(anchorVec.x + 1) * width * 0.5}
+              y={-(anchorVec.y + 1) * height * 0.5 - 4}
+              text={machine.label}
+              font={font}
+              color="#ffeb3b"
+            />
+          );
+        })()}
+      </Group>
+      {emitter && <ParticleBatch emitter={emitter} opacity={opacity} />}
+    </>
+  );
+}
+
+/**
+ * A scene paused by pushScene(): drawn through the camera it had, then dimmed
+ */
+function PausedSceneNode({ scene, width, height }: { scene: PausedSceneView; width: number; height: number }) {
+  const { pos, scale, rotation } = scene.camera;
+
+  return (
+    <>
+      <Group
+        transform={[
+          { translateX: width / 2 },
+          { translateY: height / 2 },
+          { scale },
+          { rotate: (-rotation * Math.PI) / 180 },
+          { translateX: -pos.x },
+          { translateY: -pos.y },
+        ]}
+      >
+        {scene.objects.map((obj) => (
+          <GameObjectNode key={obj.id} obj={obj} debug={false} />
+        ))}
+      </Group>
+      {scene.dim > 0 && <Rect x={0} y={0} width={width} height={height} color="black" opacity={scene.dim} />}
+    </>
+  );
+}
+
+/**
+ * Screen-fixed overlay for scene transitions; offsets are in screen sizes
+ */
+function TransitionOverlay({ state, width, height }: { state: TransitionState; width: number; height: number }) {
+  const x = useDerivedValue(() => state.x.value * width);
+  const y = useDerivedValue(() => state.y.value * height);
+
+  return (
+    <Rect
+      x={x}
+      y={y}
+      width={width}
+      height={height}
+      color={state.color}
+      opacity={state.opacity}
+    />
+  );
+}
+
 interface RenderSystemProps {
-  objects: GameObject[];
+  getObjects: () => GameObject[]; // Read on every re-render; returns the objects in draw order
+  joints?: Joint[]; // Drawn in debug mode
   width: number;
   height: number;
   tick: SharedValue<number>;
-  debug?: boolean; // Show collision area outlines
+  camera?: CameraState; // World is drawn through the camera; the background stays fixed
+  transition?: TransitionState; // Scene transition overlay, drawn above the world
+  getPausedScenes?: () => PausedSceneView[]; // Scenes under the current one (pushScene), bottom first
+  debug?: boolean; // Show collision area outlines, joints and object states
 }
 
 /**
  * Skia-based render system
- * Renders all game objects with rect or circle components
+ * Renders all game objects with rect or circle components, back to front
  */
-export function RenderSystem({ objects, width, height, tick, debug = false }: RenderSystemProps) {
+export function RenderSystem({
+  getObjects,
+  joints = [],
+  width,
+  height,
+  tick,
+  camera,
+  transition,
+  getPausedScenes,
+  debug = false,
+}: RenderSystemProps) {
   const [, setRenderTick] = useState(0);
+
+  // Camera position lands on the screen center: shake, zoom, turn the world against the camera
+  const cameraMatrix = useDerivedValue<Transforms3d>(() => {
+    if (!camera) return [];
+    return [
+      { translateX: width / 2 + camera.shake.x.value },
+      { translateY: height / 2 + camera.shake.y.value },
+      { scale: camera.scale.value },
+      { rotate: (-camera.rotation.value * Math.PI) / 180 },
+      { translateX: -camera.pos.x.value },
+      { translateY: -camera.pos.y.value },
+    ];
+  });
   const checkerTiles = useMemo(() => {
     const size = 32;
     const cols = Math.ceil(width / size);
@@ -92,258 +653,20 @@ export function RenderSystem({ objects, width, height, tick, debug = false }: Re
       >
         {checkerTiles}
       </Group>
-      {objects.map((obj) => {
-        const transform = obj.get<{
-          id:'transform',
-          pos:{
-            x:SharedValue<number>,
-            y:SharedValue<number>,
-          },
-          scale:{
-            x:number,
-            y:number,
-          },
-          rotation:number,
-          visible:SharedValue<number>,
-          anchor?:string,
-          update?: (dt: number) => void,
-          destroy?: () => void,
-        }>('transform');
-        const rect = obj.get<{
-          id:'rect',
-          width:number,
-          height:number,
-          color:string,
-        }>('rect');
-        const circle = obj.get<{
-          id:'circle',
-          radius:number,
-          color:string,
-        }>('circle');
-        const sprite = obj.get<SpriteComponent>('sprite');
-        const text = obj.get<{
-          id:'text',
-          text:SharedValue<string>,
-          textSize:SharedValue<number>,
-          font?:string|null,
-          width?:number,
-          align:SharedValue<string>,
-          color:SharedValue<string>,
-        }>('text');
-        const area = obj.get<{
-          id:'area',
-          shape?:'rect'|'circle',
-          width?:number,
-          height?:number,
-          radius?:number,
-          offset?:{x:number,y:number},
-          scale?:{x:number,y:number},
-          cursor?:string|null,
-          collisionIgnore?:string[],
-          restitution?:number,
-          friction?:number,
-        }>('area');
-
-        if (!transform) return null;
-
-        const spriteSource =
-          typeof sprite?.source === 'number'
-            ? sprite.source
-            : typeof sprite?.source === 'string' && !sprite.source.startsWith('data:')
-              ? sprite.source
-              : null;
-        const spriteImageFromSource = useImage(spriteSource ?? null);
-        const spriteImageFallback = useMemo(() => {
-          const fallbackDataUri =
-            sprite?.dataUri ??
-            (typeof sprite?.source === 'string' && sprite.source.startsWith('data:')
-              ? sprite.source
-              : null);
-
-          if (spriteImageFromSource || !fallbackDataUri) return null;
-          try {
-            const base64 = fallbackDataUri.replace(/^data:image\/[a-zA-Z]+;base64,/, '');
-            const data = Skia.Data.fromBase64(base64);
-            if (!data) return null;
-            return Skia.Image.MakeImageFromEncoded(data);
-          } catch (error) {
-            console.warn('Failed to decode sprite image:', error);
-            return null;
-          }
-        }, [spriteImageFromSource, sprite?.dataUri, sprite?.source]);
-
-        const resolvedSpriteImage = spriteImageFromSource ?? spriteImageFallback;
-
-        const transformMatrix = useDerivedValue<Transforms3d>(() => {
-          const translateX = transform.pos.x.value;
-          const translateY = transform.pos.y.value;
-          const rotationDegrees = transform.rotation ?? 0;
-          const rotationRadians = (rotationDegrees * Math.PI) / 180; // Convert degrees to radians
-          const scaleX = transform.scale?.x ?? 1;
-          const scaleY = transform.scale?.y ?? 1;
-
-          return [
-            { translateX },
-            { translateY },
-            { rotate: rotationRadians },
-            { scaleX },
-            { scaleY },
-          ];
-        });
-
-        const opacity = useDerivedValue(() => transform.visible.value);
-        const renderWidth =
-          sprite?.width ?? resolvedSpriteImage?.width() ?? rect?.width ?? 0;
-        const renderHeight =
-          sprite?.height ?? resolvedSpriteImage?.height() ?? rect?.height ?? 0;
-
-        return (
-          <Group
-            key={obj.id}
-            transform={transformMatrix}
-            opacity={opacity}
-          >
-            {rect && (() => {
-              const anchorVec = anchorToVec2(transform?.anchor);
-              // Editor uses transform.pos as the anchor point. For rendering:
-              // offsetX = - (ax + 1) * width / 2;  offsetY = - (ay + 1) * height / 2
-              const offsetX = - (anchorVec.x + 1) * rect.width * 0.5;
-              const offsetY = - (anchorVec.y + 1) * rect.height * 0.5;
-              return (
-                <Rect
-                  x={offsetX}
-                  y={offsetY}
-                  width={rect.width}
-                  height={rect.height}
-                  color={rect.color}
-                />
-              );
-            })()}
-            {circle && (() => {
-              const anchorVec = anchorToVec2(transform?.anchor);
-              // Circle uses center coordinates (cx, cy). With anchor-based origin:
-              // cx = -ax * radius; cy = -ay * radius
-              const cx = -anchorVec.x * circle.radius;
-              const cy = -anchorVec.y * circle.radius;
-              return (
-                <Circle
-                  cx={cx}
-                  cy={cy}
-                  r={circle.radius}
-                  color={circle.color}
-                />
-              );
-            })()}
-            {sprite && resolvedSpriteImage && (
-              <SkiaImage
-                image={resolvedSpriteImage}
-                x={-renderWidth / 2 + (sprite.origin?.x ?? renderWidth / 2)}
-                y={-renderHeight / 2 + (sprite.origin?.y ?? renderHeight / 2)}
-                width={renderWidth}
-                height={renderHeight}
-                fit="fill"
-              />
-            )}
-            
-            {/* Render text */}
-            {text && (() => {
-              // Use system font - computed once, not reactive
-              const font = matchFont({
-                fontFamily: 'sans-serif',
-                fontSize: 16, // Default size for font loading
-                fontWeight: 'normal',
-              });
-              if (!font) return null;
-              
-              const anchorVec = anchorToVec2(transform?.anchor);
-              
-              // Create derived values for position that Skia can read on UI thread
-              const textX = useDerivedValue(() => {
-                'worklet';
-                const size = text.textSize.value;
-                const content = text.text.value;
-                const align = text.align.value ?? 'left';
-                
-                // Calculate approximate text width
-                const charWidth = size * 0.6;
-                const textWidth = content.length * charWidth;
-                
-                let offsetX = -(anchorVec.x + 1) * textWidth * 0.5;
-                
-                // Adjust x for text alignment
-                if (align === 'center') {
-                  offsetX = -textWidth / 2;
-                } else if (align === 'right') {
-                  offsetX = -textWidth;
-                }
-                
-                return offsetX;
-              });
-              
-              const textY = useDerivedValue(() => {
-                'worklet';
-                const size = text.textSize.value;
-                return -(anchorVec.y + 1) * size * 0.5 + size;
-              });
-              
-              return (
-                <SkiaText
-                  x={textX}
-                  y={textY}
-                  text={text.text}
-                  font={font}
-                  color={text.color}
-                />
-              );
-            })()}
-            
-            {/* Debug: Show collision area outline (like Kaboom) */}
-            {debug && area && (() => {
-              // Auto-detect shape from rect/circle if not specified
-              const areaShape = area.shape || (circle ? 'circle' : 'rect');
-              const scale = area.scale ?? { x: 1, y: 1 };
-              const areaWidth = (area.width ?? rect?.width ?? 50) * scale.x;
-              const areaHeight = (area.height ?? rect?.height ?? 50) * scale.y;
-              const areaRadius = (area.radius ?? circle?.radius ?? 25) * Math.max(scale.x, scale.y);
-              const areaOffsetX = area.offset?.x ?? 0;
-              const areaOffsetY = area.offset?.y ?? 0;
-              
-              // Area box should match the rendered rect/circle position
-              // Use the SAME anchor offset formula as rect rendering
-              const anchorVec = anchorToVec2(transform?.anchor);
-              const renderWidth = rect?.width ?? (circle ? circle.radius * 2 : 50);
-              const renderHeight = rect?.height ?? (circle ? circle.radius * 2 : 50);
-              const offsetX = -(anchorVec.x + 1) * renderWidth * 0.5;
-              const offsetY = -(anchorVec.y + 1) * renderHeight * 0.5;
-              
-              if (areaShape === 'circle') {
-                return (
-                  <Circle
-                    cx={offsetX + areaOffsetX}
-                    cy={offsetY + areaOffsetY}
-                    r={areaRadius}
-                    style="stroke"
-                    strokeWidth={2}
-                    color="#00ff00" // Green outline like Kaboom
-                  />
-                );
-              } else {
-                return (
-                  <Rect
-                    x={offsetX + areaOffsetX}
-                    y={offsetY + areaOffsetY}
-                    width={areaWidth}
-                    height={areaHeight}
-                    style="stroke"
-                    strokeWidth={2}
-                    color="#00ff00" // Green outline like Kaboom
-                  />
-                );
-              }
-            })()}
-          </Group>
-        );
-      })}
+      {getPausedScenes?.().map((scene, index) => (
+        <PausedSceneNode key={`paused-${index}`} scene={scene} width={width} height={height} />
+      ))}
+      <Group transform={cameraMatrix}>
+        {getObjects().map((obj) => (
+          <GameObjectNode key={obj.id} obj={obj} debug={debug} />
+        ))}
+
+        {/* Debug: Show joints on top of the objects they connect */}
+        {debug && joints.map((joint) => (
+          <JointLine key={joint.id} joint={joint} />
+        ))}
+      </Group>
+      {transition && <TransitionOverlay state={transition} width={width} height={height} />}
     </Canvas>
   );
 }
@@ -0,0 +1,184 @@
+/**
+ * Axis-aligned bounding box in world coordinates
+ */
+export interface AABB {
+  minX: number;
+  minY: number;
+  maxX: number;
+  maxY: number;
+}
+
+interface CellRange {
+  minCX: number;
+  minCY: number;
+  maxCX: number;
+  maxCY: number;
+}
+
+interface HashEntry<T> {
+  item: T;
+  range: CellRange;
+}
+
+/**
+ * Uniform-grid spatial hash used as the collision broadphase
+ * Items are only re-bucketed when the cells they cover change, so objects
+ * that stay inside the same cells cost a single range comparison per frame.
+ */
+export class SpatialHash<T extends { id: string }> {
+  private _cellSize: number;
+  private cells = new Map<string, Set<T>>();
+  private entries = new Map<string, HashEntry<T>>();
+
+  constructor(cellSize = 64) {
+    this._cellSize = cellSize;
+  }
+
+  get cellSize(): number {
+    return this._cellSize;
+  }
+
+  /**
+   * Change the cell size - all items are re-bucketed on their next update
+   */
+  setCellSize(size: number): void {
+    if (!(size > 0)) {
+      console.warn(`SpatialHash cell size must be positive, got ${size}.`);
+      return;
+    }
+    if (size === this._cellSize) return;
+    this._cellSize = size;
+    this.clear();
+  }
+
+  /**
+   * Insert an item or move it to the cells covered by its new bounds
+   */
+  update(item: T, bounds: AABB): void {
+    const range = this.getCellRange(bounds);
+    const entry = this.entries.get(item.id);
+
+    if (entry) {
+      if (this.sameRange(entry.range, range)) return;
+      this.removeFromCells(entry);
+      entry.range = range;
+      this.addToCells(entry);
+      return;
+    }
+
+    const newEntry: HashEntry<T> = { item, range };
+    this.entries.set(item.id, newEntry);
+    this.addToCells(newEntry);
+  }
+
+  remove(item: T): void {
+    const entry = this.entries.get(item.id);
+    if (!entry) return;
+    this.removeFromCells(entry);
+    this.entries.delete(item.id);
+  }
+
+  /**
+   * Remove every item whose id is not in the given set
+   */
+  retain(activeIds: Set<string>): void {
+    for (const [id, entry] of this.entries) {
+      if (!activeIds.has(id)) {
+        this.removeFromCells(entry);
+        this.entries.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Call back once for every other item sharing at least one cell with `item`
+   */
+  forEachNeighbor(item: T, callback: (other: T) => void): void {
+    const entry = this.entries.get(item.id);
+    if (!entry) return;
+
+    const visited = new Set<string>();
+    visited.add(item.id);
+    this.forEachCell(entry.range, cell => {
+      for (const other of cell) {
+        if (visited.has(other.id)) continue;
+        visited.add(other.id);
+        callback(other);
+      }
+    });
+  }
+
+  /**
+   * Get all items in cells overlapping the given bounds (may include false positives)
+   */
+  query(bounds: AABB): T[] {
+    const result: T[] = [];
+    const visited = new Set<string>();
+    this.forEachCell(this.getCellRange(bounds), cell => {
+      for (const item of cell) {
+        if (visited.has(item.id)) continue;
+        visited.add(item.id);
+        result.push(item);
+      }
+    });
+    return result;
+  }
+
+  clear(): void {
+    this.cells.clear();
+    this.entries.clear();
+  }
+
+  private getCellRange(bounds: AABB): CellRange {
+    const size = this._cellSize;
+    return {
+      minCX: Math.floor(bounds.minX / size),
+      minCY: Math.floor(bounds.minY / size),
+      maxCX: Math.floor(bounds.maxX / size),
+      maxCY: Math.floor(bounds.maxY / size),
+    };
+  }
+
+  private sameRange(a: CellRange, b: CellRange): boolean {
+    return a.minCX === b.minCX && a.minCY === b.minCY && a.maxCX === b.maxCX && a.maxCY === b.maxCY;
+  }
+
+  private forEachCell(range: CellRange, callback: (cell: Set<T>) => void): void {
+    for (let cx = range.minCX; cx <= range.maxCX; cx++) {
+      for (let cy = range.minCY; cy <= range.maxCY; cy++) {
+        const cell = this.cells.get(`${cx},${cy}`);
+        if (cell) callback(cell);
+      }
+    }
+  }
+
+  private addToCells(entry: HashEntry<T>): void {
+    const { range, item } = entry;
+    for (let cx = range.minCX; cx <= range.maxCX; cx++) {
+      for (let cy = range.minCY; cy <= range.maxCY; cy++) {
+        const key = `${cx},${cy}`;
+        let cell = this.cells.get(key);
+        if (!cell) {
+          cell = new Set();
+          this.cells.set(key, cell);
+        }
+        cell.add(item);
+      }
+    }
+  }
+
+  private removeFromCells(entry: HashEntry<T>): void {
+    const { range, item } = entry;
+    for (let cx = range.minCX; cx <= range.maxCX; cx++) {
+      for (let cy = range.minCY; cy <= range.maxCY; cy++) {
+        const key = `${cx},${cy}`;
+        const cell = this.cells.get(key);
+        if (!cell) continue;
+        cell.delete(item);
+        if (cell.size === 0) {
+          this.cells.delete(key);
+        }
+      }
+    }
+  }
+}
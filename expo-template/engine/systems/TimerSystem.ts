@@ -0,0 +1,228 @@
+import type {
+  Easing,
+  EasingFunction,
+  GameObject,
+  NumberSetter,
+  TimerController,
+  TweenController,
+  Vec2,
+  Vec2Setter,
+} from '../types';
+import { easings } from './easings';
+
+export interface ScheduledTask {
+  owner: GameObject | null; // Cancelled when this object is destroyed
+  done: boolean;
+  tick(dt: number): void;
+}
+
+/**
+ * Timer and tween scheduler
+ * Advances wait/loop timers and tweens once per rendered frame. Tasks owned by
+ * an object stop when it is destroyed, and tasks stop on reset (scene change)
+ * unless their owner stays.
+ */
+export class TimerSystem {
+  private tasks: ScheduledTask[] = [];
+
+  /**
+   * Run an action once after the given number of seconds
+   */
+  wait(seconds: number, action: () => void, owner: GameObject | null = null): TimerController {
+    let elapsed = 0;
+    const task: ScheduledTask = {
+      owner,
+      done: false,
+      tick: dt => {
+        elapsed += dt;
+        if (elapsed < seconds) return;
+        task.done = true;
+        action();
+      },
+    };
+    return this.schedule(task);
+  }
+
+  /**
+   * Run an action every `seconds` until cancelled
+   */
+  loop(seconds: number, action: () => void, owner: GameObject | null = null): TimerController {
+    if (!(seconds > 0)) {
+      console.warn(`loop() interval must be positive, got ${seconds}.`);
+      return this.schedule({ owner, done: true, tick: () => {} });
+    }
+
+    let elapsed = 0;
+    const task: ScheduledTask = {
+      owner,
+      done: false,
+      tick: dt => {
+        elapsed += dt;
+        // Catch up after long frames, but stop as soon as the action cancels the loop
+        while (elapsed >= seconds && !task.done) {
+          elapsed -= seconds;
+          action();
+        }
+      },
+    };
+    return this.schedule(task);
+  }
+
+  /**
+   * Animate a number or Vec2 from `from` to `to` over `duration` seconds
+   * The setter receives each value; SharedValues and AnimatedVec2s are written directly.
+   */
+  tween(
+    from: number | Vec2,
+    to: number | Vec2,
+    duration: number,
+    setter: NumberSetter | Vec2Setter,
+    easing: Easing = 'linear',
+    owner: GameObject | null = null,
+  ): TweenController {
+    const ease = this.resolveEasing(easing);
+    const apply = this.getApplier(setter);
+    const endHandlers: (() => void)[] = [];
+    let elapsed = 0;
+
+    const task: ScheduledTask = {
+      owner,
+      done: false,
+      tick: dt => {
+        elapsed += dt;
+        if (elapsed >= duration) {
+          finish();
+          return;
+        }
+        apply(interpolate(from, to, ease(elapsed / duration)));
+      },
+    };
+
+    const finish = () => {
+      if (task.done) return;
+      task.done = true;
+      apply(to);
+      for (const handler of endHandlers) {
+        handler();
+      }
+    };
+
+    // Start from `from` right away so the first frame doesn't show the old value
+    apply(from);
+    this.tasks.push(task);
+
+    const controller: TweenController = {
+      cancel: () => {
+        task.done = true;
+      },
+      get done() {
+        return task.done;
+      },
+      finish,
+      onEnd: handler => {
+        endHandlers.push(handler);
+        return controller;
+      },
+    };
+    return controller;
+  }
+
+  /**
+   * Advance all timers and tweens by one frame
+   */
+  update(dt: number): void {
+    // Actions may schedule or cancel tasks; new ones start ticking next frame
+    for (const task of [...this.tasks]) {
+      if (!task.done) {
+        task.tick(dt);
+      }
+    }
+    this.tasks = this.tasks.filter(task => !task.done);
+  }
+
+  /**
+   * Stop every task owned by an object (called when it is destroyed)
+   */
+  removeObject(obj: GameObject): void {
+    for (const task of this.tasks) {
+      if (task.owner === obj) {
+        task.done = true;
+      }
+    }
+    this.tasks = this.tasks.filter(task => !task.done);
+  }
+
+  /**
+   * Stop every task except those owned by objects in `keep`
+   */
+  reset(keep?: Set<GameObject>): void {
+    for (const task of this.tasks) {
+      if (!task.owner || !keep?.has(task.owner)) {
+        task.done = true;
+      }
+    }
+    this.tasks = this.tasks.filter(task => !task.done);
+  }
+
+  /**
+   * Take every task out of the scheduler (pushScene); resume() puts them back
+   */
+  suspend(): ScheduledTask[] {
+    const tasks = this.tasks;
+    this.tasks = [];
+    return tasks;
+  }
+
+  resume(tasks: ScheduledTask[]): void {
+    // Handles can cancel tasks while they are suspended
+    this.tasks.push(...tasks.filter(task => !task.done));
+  }
+
+  private schedule(task: ScheduledTask): TimerController {
+    if (!task.done) {
+      this.tasks.push(task);
+    }
+    return {
+      cancel: () => {
+        task.done = true;
+      },
+      get done() {
+        return task.done;
+      },
+    };
+  }
+
+  private resolveEasing(easing: Easing): EasingFunction {
+    if (typeof easing === 'function') return easing;
+    const ease = easings[easing];
+    if (!ease) {
+      console.warn(`Unknown easing "${easing}", using linear.`);
+      return easings.linear;
+    }
+    return ease;
+  }
+
+  private getApplier(setter: NumberSetter | Vec2Setter): (value: number | Vec2) => void {
+    if (typeof setter === 'function') {
+      return setter as (value: number | Vec2) => void;
+    }
+    if ('value' in setter) {
+      return value => {
+        setter.value = value as number;
+      };
+    }
+    return value => {
+      setter.x.value = (value as Vec2).x;
+      setter.y.value = (value as Vec2).y;
+    };
+  }
+}
+
+function interpolate(from: number | Vec2, to: number | Vec2, t: number): number | Vec2 {
+  if (typeof from === 'number' && typeof to === 'number') {
+    return from + (to - from) * t;
+  }
+  const a = from as Vec2;
+  const b = to as Vec2;
+  return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+}
@@ -0,0 +1,82 @@
+import { makeMutable } from 'react-native-reanimated';
+import type { TransitionFunction, TransitionName, TransitionState } from '../types';
+
+// Built-in transitions; x/y are the overlay's offset in screen sizes
+export const transitions: Record<TransitionName, TransitionFunction> = {
+  none: () => ({ opacity: 0 }),
+  fade: (t, phase) => ({ opacity: phase === 'out' ? t : 1 - t }),
+  // The overlay slides in from the right, then leaves to the left
+  slide: (t, phase) => ({ x: phase === 'out' ? 1 - t : -t }),
+};
+
+interface ActiveTransition {
+  draw: TransitionFunction;
+  phaseDuration: number;
+  phase: 'out' | 'in';
+  elapsed: number;
+  onCovered: () => void;
+}
+
+/**
+ * Transition system
+ * Covers the screen with an overlay, switches the scene once it is covered and
+ * uncovers the new scene. The overlay lives in shared values drawn by the RenderSystem.
+ */
+export class TransitionSystem {
+  readonly state: TransitionState = {
+    opacity: makeMutable(0),
+    x: makeMutable(0),
+    y: makeMutable(0),
+    color: makeMutable('#000000'),
+  };
+  private active: ActiveTransition | null = null;
+
+  get running(): boolean {
+    return this.active !== null;
+  }
+
+  /**
+   * Start a transition; `onCovered` runs halfway, when the old scene is hidden.
+   * Starting another one while a transition runs replaces it.
+   */
+  start(draw: TransitionFunction, duration: number, color: string, onCovered: () => void): void {
+    this.state.color.value = color;
+    this.active = { draw, phaseDuration: Math.max(duration, 0) / 2, phase: 'out', elapsed: 0, onCovered };
+    this.apply(0);
+  }
+
+  /**
+   * Advance the overlay (once per rendered frame)
+   */
+  update(dt: number): void {
+    const active = this.active;
+    if (!active) return;
+
+    active.elapsed += dt;
+    const t = active.phaseDuration > 0 ? Math.min(active.elapsed / active.phaseDuration, 1) : 1;
+    this.apply(t);
+    if (t < 1) return;
+
+    if (active.phase === 'out') {
+      active.phase = 'in';
+      active.elapsed = 0;
+      active.onCovered();
+      // The scene function may have started another transition
+      if (this.active === active) {
+        this.apply(0);
+      }
+      return;
+    }
+
+    this.active = null;
+    this.state.opacity.value = 0;
+  }
+
+  private apply(t: number): void {
+    if (!this.active) return;
+    const frame = this.active.draw(t, this.active.phase);
+    this.state.opacity.value = Math.min(Math.max(frame.opacity ?? 1, 0), 1);
+    this.state.x.value = frame.x ?? 0;
+    this.state.y.value = frame.y ?? 0;
+  }
+}
@@ -22,12 +22,15 @@ export interface AnimatedVec2 {
 export interface Component {
   id: string;
   update?: (dt: number) => void;
+  fixedUpdate?: (dt: number) => void; // Runs at the fixed physics rate
   destroy?: () => void;
 }
 
 export interface TransformComponent extends Component {
   id: 'transform';
   pos: AnimatedVec2;
+  renderPos?: AnimatedVec2; // Drawn position, interpolated between physics steps
+  renderRotation?: SharedValue<number>; // Drawn rotation, interpolated between physics steps
   scale: Vec2;
   rotation: number;
   visible: SharedValue<number>;
@@ -39,7 +42,18 @@ export interface BodyComponent extends Component {
   velocity: Vec2;
   acceleration: Vec2;
   mass: number;
+  angularVelocity: number; // Degrees per second
+  inertia?: number; // Moment of inertia (computed from the area shape and mass when omitted)
+  torque?: number; // Accumulated by applyTorque() and cleared after each physics step
+  fixedRotation?: boolean; // Never spun by collisions, torque or impulses
   isStatic?: boolean;
+  isKinematic?: boolean; // Moved only by scripts (moveAndSlide/moveAndCollide), never by gravity or the solver
+  gravity?: boolean; // Whether world gravity affects this body (default: true)
+  gravityScale?: number; // Multiplier applied to world gravity (default: 1)
+  jumpForce?: number; // Default force used by obj.jump()
+  bullet?: boolean; // Continuous collision against static bodies (for fast movers)
+  grounded?: boolean; // Updated by GameContext after collision resolution
+  falling?: boolean;
 }
 
 export interface RectComponent extends Component {
@@ -55,16 +69,124 @@ export interface CircleComponent extends Component {
   color: string;
 }
 
+export interface SpriteAnim {
+  from: number; // First frame (row-major index into the sheet)
+  to: number; // Last frame; lower than `from` plays backwards
+  speed?: number; // Frames per second (default 10)
+  loop?: boolean; // Start over after the last frame (default false)
+}
+
 export interface SpriteComponent extends Component {
   id: 'sprite';
   source: number | string;
-  width: number;
+  width: number; // Drawn size of one frame
   height: number;
   origin?: Vec2;
   dataUri?: string;
+  sliceX: number; // Columns in the sprite sheet (1 = single image)
+  sliceY: number; // Rows in the sprite sheet
+  anims: Record<string, SpriteAnim>;
+  frame: SharedValue<number>; // Frame being drawn
+  flipX: SharedValue<boolean>;
+  flipY: SharedValue<boolean>;
+  curAnim: string | null; // Animation playing, or null when stopped
+  animTime: number; // Seconds since the current animation started
+  animSpeed: number; // Frames per second of the current animation
+  animLoop: boolean;
+  onAnimEnd?: (anim: string) => void; // Hooked up by the GameObject to fire 'animEnd'
 }
 
-export type CollisionShape = 'rect' | 'circle';
+// Fixed value, or [min, max] picked at random for each particle
+export type ParticleRange = number | [number, number];
+
+export interface ParticlesOptions {
+  rate?: number; // Particles per second while emitting (default 0 = bursts only)
+  lifetime?: ParticleRange; // Seconds (default 1)
+  speed?: ParticleRange; // Pixels per second (default 100)
+  angle?: number; // Launch direction in degrees (0 = right, 90 = down; default -90 = up)
+  spread?: number; // Degrees either side of angle (default 180 = every direction)
+  gravity?: number; // Downward acceleration in pixels per second² (default 0)
+  colors?: string[]; // Blended from first to last over each particle's life (default white)
+  sizes?: number[]; // Diameters in pixels, blended like colors (default [8])
+  fade?: number; // Share of the life spent fading out at the end, 0-1 (default 0)
+  texture?: number | string; // Image drawn for each particle and tinted by colors (default a round dot)
+  max?: number; // Particles alive at once (default 500)
+  emitting?: boolean; // Emit at `rate` right away (default true)
+}
+
+export interface Particle {
+  x: number; // World position
+  y: number;
+  vx: number;
+  vy: number;
+  age: number; // Seconds
+  life: number;
+}
+
+export interface ParticlesComponent extends Component {
+  id: 'particles';
+  rate: number;
+  lifetime: ParticleRange;
+  speed: ParticleRange;
+  angle: number;
+  spread: number;
+  gravity: number;
+  colors: string[];
+  sizes: number[];
+  fade: number;
+  texture: number | string | null;
+  max: number;
+  emitting: boolean;
+  particles: Particle[];
+  // Flat [x, y, size, r, g, b, a] per particle, read by the RenderSystem on the UI thread
+  drawData: SharedValue<number[]>;
+  spawnCarry: number; // Fraction of a particle left over from the last frame
+  getOrigin?: () => Vec2; // Hooked up by the GameObject: where new particles start
+  burst(count: number): void;
+  start(): void;
+  stop(): void; // Stop emitting; particles already alive finish their life
+  clear(): void; // Remove every live particle
+}
+
+export interface ZComponent extends Component {
+  id: 'z';
+  value: number; // Higher is drawn on top of lower within the same layer
+}
+
+export interface LayerComponent extends Component {
+  id: 'layer';
+  name: string; // One of the layers declared with <Game layers> or ctx.setLayers()
+}
+
+// Valid states, or the states each state can go to
+export type StateTransitions = string[] | Record<string, string[]>;
+
+export type StateEvent = 'stateEnter' | 'stateUpdate' | 'stateEnd';
+
+export interface StateComponent extends Component {
+  id: 'state';
+  current: string;
+  allowed: StateTransitions | null; // null = any state can go to any other
+  entered: boolean; // The initial state's enter fires on the first update
+  label: SharedValue<string>; // Current state, drawn in debug mode
+  emit?: (event: StateEvent, state: string, ...args: any[]) => void; // Hooked up by the GameObject to fire state events
+}
+
+// Engine events for tools such as the editor, sent through ctx.onDebugEvent
+export type DebugEvent = { type: 'state'; id: string; tags: string[]; state: string }; // A state() object entered a state
+
+export interface StayComponent extends Component {
+  id: 'stay';
+  scenes: string[] | null; // Scenes the object survives a switch into (null = all)
+}
+
+export type CollisionShape = 'rect' | 'circle' | 'polygon';
+
+// Named layer, or a numeric layer (0-31); names and numbers never share a layer
+export type CollisionLayer = string | number;
+
+// For each named layer, the layers it collides with (layers without a row collide with all)
+export type CollisionMatrix = Record<string, CollisionLayer[]>;
 
 export interface AreaComponent extends Component {
   id: 'area';
@@ -72,10 +194,15 @@ export interface AreaComponent extends Component {
   width?: number;
   height?: number;
   radius?: number;
+  points?: Vec2[]; // Convex polygon vertices relative to the object's position
   offset?: Vec2;
   scale?: Vec2;
   cursor?: string | null;
   collisionIgnore?: string[];
+  layer?: CollisionLayer; // Default: 'default'
+  mask?: CollisionLayer[] | null; // Layers this area collides with (null = all)
+  sensor?: boolean; // Reports overlaps without physical resolution
+  oneWay?: Vec2 | null; // Only blocks bodies arriving from this side (unit vector, e.g. { x: 0, y: -1 } = from above)
   restitution?: number;
   friction?: number;
 }
@@ -86,7 +213,12 @@ export type KnownComponent =
   | RectComponent
   | CircleComponent
   | SpriteComponent
-  | AreaComponent;
+  | ParticlesComponent
+  | AreaComponent
+  | ZComponent
+  | LayerComponent
+  | StateComponent
+  | StayComponent;
 
 export type ComponentId = KnownComponent['id'] | (string & {});
 
@@ -96,11 +228,44 @@ export interface ComponentMap {
   rect: RectComponent;
   circle: CircleComponent;
   sprite: SpriteComponent;
+  particles: ParticlesComponent;
   area: AreaComponent;
+  z: ZComponent;
+  layer: LayerComponent;
+  state: StateComponent;
+  stay: StayComponent;
   [key: string]: Component;
 }
 
-export type CollisionCallback = (other: GameObject) => void;
+export interface CollisionContact {
+  normal: Vec2; // Points away from the other object (y < 0 when landing on top of it)
+  depth: number; // Penetration depth when the contact was measured
+  points: Vec2[]; // Approximate world-space contact points
+  relativeVelocity: Vec2; // This object's velocity minus the other's, before resolution
+}
+
+// onCollideEnd receives the last contact seen before the objects separated
+export type CollisionCallback = (other: GameObject, contact: CollisionContact) => void;
+
+export interface QueryOptions {
+  tags?: string[]; // Only match objects with at least one of these tags
+  ignore?: (GameObject | string)[]; // Objects (or tags) to skip
+}
+
+export interface KinematicCollision {
+  object: GameObject; // The body that was hit
+  normal: Vec2; // Surface normal, pointing away from the hit body
+  depth: number; // How far the mover had penetrated before being pushed out
+  travel: Vec2; // Motion actually made
+  remainder: Vec2; // Motion left over when the hit happened
+}
+
+export interface RaycastHit {
+  object: GameObject;
+  point: Vec2;
+  normal: Vec2;
+  distance: number;
+}
 
 export interface GameObject {
   readonly id: string;
@@ -108,6 +273,9 @@ export interface GameObject {
   components: Map<string, Component>;
   parent: GameObject | null;
   children: GameObject[];
+  // Draw order: layer first, then z; objects without their own inherit the parent's
+  z: number;
+  layer: string | null;
 
   get<T extends keyof ComponentMap>(id: T): ComponentMap[T] | undefined;
   get<T = Component>(id: string): T | undefined;
@@ -115,6 +283,17 @@ export interface GameObject {
   add(component: Component): this;
   addChild(components: (Component | string)[]): GameObject;
   removeChild(child: GameObject): void;
+  setParent(parent: GameObject | null): void;
+
+  // World transforms (transform.pos/rotation/scale are relative to the parent)
+  worldPos(): Vec2;
+  worldRotation(): number;
+  worldScale(): Vec2;
+  toWorld(point: Vec2): Vec2;
+  toLocal(point: Vec2): Vec2;
+  setWorldPos(point: Vec2): void;
+  moveBy(dx: number, dy: number): void;
+
   addTag(tag: string): this;
   hasTag(tag: string): boolean;
   on(event: string, handler: (this: GameObject, ...args: any[]) => void): void;
@@ -123,12 +302,244 @@ export interface GameObject {
   onCollide(tag: string, callback: CollisionCallback): void;
   onCollideUpdate(tag: string, callback: CollisionCallback): void;
   onCollideEnd(tag: string, callback: CollisionCallback): void;
+  isColliding(target?: string | GameObject): boolean;
+  getCollisions(): GameObject[];
   update(dt: number): void;
+  fixedUpdate(dt: number): void;
   destroy(): void;
+
+  // Body helpers (available when body() component is added)
+  isGrounded?(): boolean;
+  jump?(force?: number): void;
+  onGround?(handler: (ground: GameObject) => void): void;
+  onFall?(handler: () => void): void;
+  moveAndCollide?(motion: Vec2): KinematicCollision | null;
+  moveAndSlide?(velocity: Vec2): KinematicCollision[];
+  applyTorque?(torque: number): void;
+  applyImpulseAt?(impulse: Vec2, point: Vec2): void;
+  dropThrough?(): void;
+
+  // Sprite helpers (available when sprite() component is added)
+  frame?: number;
+  flipX?: boolean;
+  flipY?: boolean;
+  play?(anim: string, options?: { loop?: boolean; speed?: number }): void;
+  stop?(): void;
+  curAnim?(): string | null;
+  onAnimEnd?(handler: (anim: string) => void): void;
+
+  // Particle helpers (available when particles() component is added)
+  burst?(count: number): void;
+
+  // Pooled objects (spawned by a ctx.pool()): back to the pool instead of destroyed
+  release?(): void;
+
+  // State machine helpers (available when state() component is added)
+  state?: string;
+  enterState?(name: string, ...args: any[]): void;
+  onStateEnter?(name: string, handler: (...args: any[]) => void): void;
+  onStateUpdate?(name: string, handler: (dt: number) => void): void;
+  onStateEnd?(name: string, handler: () => void): void;
+
+  // Timers and tweens cancelled when the object is destroyed
+  wait(seconds: number, action: () => void): TimerController;
+  loop(seconds: number, action: () => void): TimerController;
+  tween(from: number, to: number, duration: number, setter: NumberSetter, easing?: Easing): TweenController;
+  tween(from: Vec2, to: Vec2, duration: number, setter: Vec2Setter, easing?: Easing): TweenController;
+}
+
+export type TileFactory = (tile: Vec2) => (Component | string)[];
+
+export interface LevelOptions {
+  tileWidth: number;
+  tileHeight: number;
+  pos?: Vec2; // Top-left corner of the level (default 0, 0)
+  tiles: Record<string, TileFactory>; // Components for each map character (don't include pos())
+  wildcardTile?: (symbol: string, tile: Vec2) => (Component | string)[] | null | undefined; // Characters missing from tiles
+  // Join neighbouring untagged static full-tile colliders of the same character (default true; or only these characters)
+  mergeColliders?: boolean | string[];
+}
+
+// Game object holding a tile map; tiles are its children. Positions are relative to the level.
+export interface Level extends GameObject {
+  readonly tileWidth: number;
+  readonly tileHeight: number;
+  numRows(): number;
+  numColumns(): number;
+  levelWidth(): number;
+  levelHeight(): number;
+  tile2Pos(x: number, y: number): Vec2; // Center of the tile
+  tile2Pos(tile: Vec2): Vec2;
+  pos2Tile(x: number, y: number): Vec2; // Tile under a level position
+  pos2Tile(pos: Vec2): Vec2;
+  getAt(x: number, y: number): GameObject[]; // Tiles placed or spawned there, still alive
+  getAt(tile: Vec2): GameObject[];
+  spawn(symbolOrComponents: string | (Component | string)[], x: number, y: number): GameObject | null;
+  spawn(symbolOrComponents: string | (Component | string)[], tile: Vec2): GameObject | null;
+}
+
+export type PoolFactory = () => (Component | string)[];
+
+// Applied to a pooled object on every spawn, after its state is reset
+export interface PoolSpawnProps {
+  pos?: Vec2;
+  rotation?: number;
+  scale?: Vec2;
+  velocity?: Vec2;
+  tags?: string[]; // Extra tags for this spawn only
+  [key: string]: any; // Passed on to onSpawn
+}
+
+export interface PoolOptions {
+  size?: number; // Objects created up front; the pool grows when it runs out (default 0)
+  onSpawn?: (obj: GameObject, props: PoolSpawnProps) => void;
+}
+
+export interface Pool {
+  readonly name: string;
+  readonly active: number; // Spawned and in the scene
+  readonly available: number; // Waiting in the pool
+  spawn(props?: PoolSpawnProps, parent?: GameObject): GameObject;
+  release(obj: GameObject): void; // Same as obj.release()
 }
 
 export type ComponentFactory = (...args: any[]) => Component;
 
+export interface CameraState {
+  pos: AnimatedVec2; // World point drawn at the center of the screen
+  scale: SharedValue<number>; // Zoom (2 = everything drawn twice as large)
+  rotation: SharedValue<number>; // Degrees
+  shake: AnimatedVec2; // Current screen-space shake offset
+}
+
+export interface CameraFollowOptions {
+  lerp?: number; // Share of the remaining distance covered per 1/60 s (default 1 = locked on)
+  deadzone?: { width: number; height: number }; // Box around the screen center the target can move in freely
+  bounds?: { x: number; y: number; width: number; height: number }; // World rect the view is kept inside
+}
+
+export type EasingFunction = (t: number) => number;
+
+export type EasingName =
+  | 'linear'
+  | 'easeInSine' | 'easeOutSine' | 'easeInOutSine'
+  | 'easeInQuad' | 'easeOutQuad' | 'easeInOutQuad'
+  | 'easeInCubic' | 'easeOutCubic' | 'easeInOutCubic'
+  | 'easeInQuart' | 'easeOutQuart' | 'easeInOutQuart'
+  | 'easeInQuint' | 'easeOutQuint' | 'easeInOutQuint'
+  | 'easeInExpo' | 'easeOutExpo' | 'easeInOutExpo'
+  | 'easeInCirc' | 'easeOutCirc' | 'easeInOutCirc'
+  | 'easeInBack' | 'easeOutBack' | 'easeInOutBack'
+  | 'easeInElastic' | 'easeOutElastic' | 'easeInOutElastic'
+  | 'easeInBounce' | 'easeOutBounce' | 'easeInOutBounce';
+
+export type Easing = EasingFunction | EasingName;
+
+// Tween setters are called with each value, or written directly when given a
+// SharedValue (e.g. transform.pos.x) or an AnimatedVec2 (e.g. transform.pos)
+export type NumberSetter = ((value: number) => void) | SharedValue<number>;
+export type Vec2Setter = ((value: Vec2) => void) | AnimatedVec2;
+
+export interface TimerController {
+  cancel(): void;
+  readonly done: boolean; // Finished or cancelled
+}
+
+export interface TweenController extends TimerController {
+  finish(): void; // Jump to the end value right away
+  onEnd(handler: () => void): TweenController;
+}
+
+export type TransitionName = 'none' | 'fade' | 'slide';
+
+// Overlay for one frame: fully covering at opacity 1 and x = y = 0 (offsets in screen sizes)
+export interface TransitionFrame {
+  opacity?: number; // Default: 1
+  x?: number;
+  y?: number;
+}
+
+// t runs 0-1 while the old scene is covered ('out'), then again while the new one is uncovered ('in')
+export type TransitionFunction = (t: number, phase: 'out' | 'in') => TransitionFrame;
+
+export interface TransitionState {
+  opacity: SharedValue<number>;
+  x: SharedValue<number>;
+  y: SharedValue<number>;
+  color: SharedValue<string>;
+}
+
+export interface GoOptions {
+  transition?: TransitionName | TransitionFunction; // Default: 'none'
+  duration?: number; // Seconds for both halves together (default 0.5)
+  color?: string; // Overlay color (default '#000000')
+}
+
+export interface PushSceneOptions {
+  visible?: boolean; // Keep drawing the paused scene below the new one (default true)
+  dim?: number; // Darken the paused scene, 0-1 (default 0.5)
+  onPop?: (result: any) => void; // Called with popScene()'s result once the paused scene resumes
+}
+
+// A paused scene as the RenderSystem draws it: frozen, through the camera it had
+export interface PausedSceneView {
+  name: string | null;
+  objects: GameObject[]; // In draw order
+  camera: { pos: Vec2; scale: number; rotation: number };
+  dim: number;
+}
+
+// A bundled asset (require('./jump.wav')) or a URL
+export type SoundSource = number | string;
+
+export interface PlaySoundOptions {
+  volume?: number; // 0-1 before the global volume (default 1)
+  loop?: boolean;
+  speed?: number; // Playback rate (default 1)
+  detune?: number; // Pitch shift in cents (100 = one semitone, 1200 = one octave)
+  paused?: boolean; // Create the sound without starting it
+}
+
+export interface MusicOptions extends Omit<PlaySoundOptions, 'paused'> {
+  channel?: string; // Each channel plays one track at a time (default 'music')
+  crossfade?: number; // Seconds to fade between the old and new track (default 0)
+}
+
+export interface SoundHandle {
+  volume: number;
+  speed: number;
+  detune: number;
+  loop: boolean;
+  readonly paused: boolean;
+  readonly stopped: boolean; // Stopped or finished; a stopped sound can't be restarted
+  play(): void; // Resume after pause()
+  pause(): void;
+  stop(): void;
+  seek(seconds: number): void;
+  time(): number; // Current position in seconds
+  duration(): number;
+  fadeTo(volume: number, seconds: number): SoundHandle;
+  onEnd(handler: () => void): SoundHandle; // Called when the sound plays to the end (not on stop())
+}
+
+// One playing sound inside an audio backend
+export interface AudioVoice {
+  play(): void;
+  pause(): void;
+  seek(seconds: number): void;
+  setVolume(volume: number): void; // Final volume, global volume and mute already applied
+  setRate(rate: number): void; // Speed with detune applied; pitch follows the rate
+  setLoop(loop: boolean): void;
+  getTime(): number;
+  getDuration(): number;
+  release(): void; // Stop and free the voice
+}
+
+// Plays sounds for the engine; swap it with setAudioBackend() (e.g. for tests)
+export interface AudioBackend {
+  createVoice(source: SoundSource, onEnd: () => void): AudioVoice;
+}
+
 export type GameKey =
   | 'left'
   | 'right'
@@ -141,12 +552,42 @@ export type GameKey =
   | 'alt'
   | string;
 
+export type JointType = 'distance' | 'spring' | 'pin' | 'rope';
+
+export interface JointOptions {
+  type: JointType;
+  a: GameObject;
+  b?: GameObject | null; // Omit to attach to a fixed world point (anchorB)
+  anchorA?: Vec2; // Relative to a's position (rotates with a)
+  anchorB?: Vec2; // Relative to b's position, or a world point when b is omitted
+  length?: number; // Rest/max length, defaults to the distance when created (pin is always 0)
+  stiffness?: number; // Spring only: force per pixel of stretch
+  damping?: number; // Spring only: force per px/s of relative velocity
+}
+
+export interface Joint {
+  id: string;
+  type: JointType;
+  a: GameObject;
+  b: GameObject | null;
+  anchorA: Vec2;
+  anchorB: Vec2;
+  length: number;
+  stiffness: number;
+  damping: number;
+  visible: SharedValue<number>; // Drops to 0 once the joint is removed
+}
+
 export interface GameContext {
   add(components: (Component | string)[], parent?: GameObject): GameObject;
   destroy(obj: GameObject): void;
   get(tag: string): GameObject[];
-  update(dt: number): void;
+  update(dt: number, alpha?: number): void;
+  fixedUpdate(dt: number): void;
+  step(dt: number): void;
   readonly objects: GameObject[];
+  debug: boolean; // Debug mode (<Game debug>)
+  onDebugEvent(listener: (event: DebugEvent) => void): () => void;
   on(event: string, handler: (obj: GameObject, ...args: any[]) => void): () => void;
   on(event: string, tag: string, handler: (obj: GameObject, ...args: any[]) => void): () => void;
   off(event: string, handler?: (obj: GameObject, ...args: any[]) => void): void;
@@ -154,11 +595,52 @@ export interface GameContext {
   onKeyPress(key: GameKey, callback: () => void): void;
   onKeyRelease(key: GameKey, callback: () => void): void;
   isKeyDown(key: GameKey): boolean;
-  scene(name: string, fn: (ctx: GameContext) => void): void;
-  go(sceneName: string): void;
+  scene(name: string, fn: (ctx: GameContext, args?: any) => void): void;
+  go(sceneName: string, args?: unknown, options?: GoOptions): void;
+  readonly transition: TransitionState;
+  pushScene(sceneName: string, args?: unknown, options?: PushSceneOptions): void;
+  popScene(result?: unknown): void;
+  getPausedScenes(): PausedSceneView[];
   getCurrentScene(): string | null;
   setViewport(width: number, height: number): void;
   getViewport(): { width: number; height: number };
+  setGravity(x: number, y: number): void;
+  getGravity(): Vec2;
+  setCollisionCellSize(size: number): void;
+  getCollisionCellSize(): number;
+  setCollisionMatrix(matrix: CollisionMatrix | null): void;
+  raycast(origin: Vec2, direction: Vec2, maxDistance?: number, options?: QueryOptions): RaycastHit | null;
+  queryPoint(point: Vec2, options?: QueryOptions): GameObject[];
+  queryRect(center: Vec2, width: number, height: number, options?: QueryOptions): GameObject[];
+  queryCircle(center: Vec2, radius: number, options?: QueryOptions): GameObject[];
+  addJoint(options: JointOptions): Joint;
+  removeJoint(joint: Joint): void;
+  getJoints(obj?: GameObject): Joint[];
+  addLevel(map: string[], options: LevelOptions): Level;
+  pool(name: string, factory: PoolFactory, options?: PoolOptions): Pool;
+  setLayers(layers: string[], defaultLayer?: string): void;
+  getLayers(): string[];
+  getDrawOrder(): GameObject[];
+  camPos(): Vec2;
+  camPos(x: number, y: number): Vec2;
+  camPos(pos: Vec2): Vec2;
+  camScale(scale?: number): number;
+  camRot(angle?: number): number;
+  camFollow(obj: GameObject | null, options?: CameraFollowOptions): void;
+  shake(intensity?: number): void;
+  toScreen(point: Vec2): Vec2;
+  toWorld(point: Vec2): Vec2;
+  wait(seconds: number, action: () => void): TimerController;
+  loop(seconds: number, action: () => void): TimerController;
+  tween(from: number, to: number, duration: number, setter: NumberSetter, easing?: Easing): TweenController;
+  tween(from: Vec2, to: Vec2, duration: number, setter: Vec2Setter, easing?: Easing): TweenController;
+  play(name: string, options?: PlaySoundOptions): SoundHandle;
+  playMusic(name: string, options?: MusicOptions): SoundHandle;
+  stopMusic(channel?: string, fadeOut?: number): void;
+  getMusic(channel?: string): SoundHandle | null;
+  stopAllSounds(): void;
+  volume(value?: number): number;
+  mute(muted?: boolean): boolean;
 }
 
 
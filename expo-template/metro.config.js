@@ -15,6 +15,8 @@ config.resolver = {
   platforms: ['ios', 'android'],
   // Blacklist the app directory to prevent Expo Router detection
   blockList: [/.*\/app\/.*/],
+  // Sound assets imported by generated scenes (wav and mp3 are already included)
+  assetExts: [...config.resolver.assetExts, 'ogg'],
 };
 
 // Override any Expo Router auto-detection - keep server config minimal
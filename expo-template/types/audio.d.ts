@@ -0,0 +1,14 @@
+declare module '*.wav' {
+  const value: any;
+  export default value;
+}
+
+declare module '*.mp3' {
+  const value: any;
+  export default value;
+}
+
+declare module '*.ogg' {
+  const value: any;
+  export default value;
+}
@@ -1,7 +1,8 @@
 import React, { useCallback, useEffect, useRef, useState } from 'react';
 import './App-compact.css';
+import ParticlePreview from './components/ParticlePreview';
 import ScriptEditor from './components/ScriptEditor';
-import { generateSceneCode } from './utils/codeGenerator';
+import { generateSceneCode, getRuntimeTags } from './utils/codeGenerator';
 
 const DEFAULT_SCRIPT_TEMPLATE_OPTIONS = {
   includeReady: true,
@@ -798,11 +799,13 @@ export default function App() {
   const [isGameRunning, setIsGameRunning] = useState(false);
   const [runMode, setRunMode] = useState('dev-build'); // 'dev-build' or 'soft'
   const [gameConsoleOutput, setGameConsoleOutput] = useState([]);
+  const [liveStates, setLiveStates] = useState({}); // state() of running objects by tag, from the game's debug events
   const [showPlatformDialog, setShowPlatformDialog] = useState(false);
   const [showDeviceDialog, setShowDeviceDialog] = useState(false);
   const [availableDevices, setAvailableDevices] = useState([]);
   const [selectedPlatform, setSelectedPlatform] = useState(null);
   const externalRunWarningShown = useRef(false);
+  const soundInputRef = useRef(null);
   
   // Scene tools
   const [activeTool, setActiveTool] = useState('move');
@@ -962,10 +965,23 @@ export default function App() {
   const [viewportOrientation, setViewportOrientation] = useState('portrait');
   const [viewportWidth, setViewportWidth] = useState(360); // Default phone width
   const [viewportHeight, setViewportHeight] = useState(640); // Default phone height
+  const [cameraStart, setCameraStart] = useState(null); // { x, y, scale } or null = centered on the viewport
+  const cameraView = {
+    x: cameraStart?.x ?? viewportWidth / 2,
+    y: cameraStart?.y ?? viewportHeight / 2,
+    scale: cameraStart?.scale ?? 1,
+  };
   
   // Debug mode
   const [debugMode, setDebugMode] = useState(false);
 
+  // Render layers, back to front (ctx.setLayers); objects pick one in the inspector
+  const [renderLayers, setRenderLayers] = useState([]);
+  const [defaultLayer, setDefaultLayer] = useState(null); // null = the first layer
+
+  // Collision layer matrix (ctx.setCollisionMatrix): layer -> layers it collides with, null = all collide
+  const [collisionMatrix, setCollisionMatrix] = useState(null);
+
   // Viewport presets (common device aspect ratios)
   const viewportPresets = {
     '9:16': { width: 360, height: 640, name: 'Phone Portrait (9:16)' },
@@ -1080,7 +1096,9 @@ export default function App() {
 
   // Determine scene canvas bounds - allow scrolling in all directions (including negative coords)
   const workspacePadding = 2000; // Large padding to allow panning in all directions
-  const renderableObjects = flatGameObjects.filter((obj) => obj.visible !== false);
+  const renderableObjects = sortByDrawOrder(gameObjects, renderLayers, defaultLayer).filter(
+    (obj) => obj.visible !== false
+  );
 
   // Calculate bounds including negative coordinates
   const minObjectLeft = flatGameObjects.reduce((min, obj) => {
@@ -1458,6 +1476,21 @@ export default function App() {
     }
   }, [activeTool, isDragging, isRotating, handleRotatePointerUp]);
 
+  const handleCameraStartChange = (key, value) => {
+    if (!Number.isFinite(value)) return;
+    if (key === 'scale' && value <= 0) return;
+    setCameraStart({ ...cameraView, [key]: value });
+  };
+
+  // Layer names come from a comma-separated list; duplicates and blanks are dropped
+  const handleRenderLayersChange = (text) => {
+    const layers = [...new Set(text.split(',').map((name) => name.trim()).filter(Boolean))];
+    setRenderLayers(layers);
+    if (defaultLayer && !layers.includes(defaultLayer)) {
+      setDefaultLayer(null);
+    }
+  };
+
   // Handle viewport preset change
   const handleViewportPresetChange = (preset) => {
     setViewportPreset(preset);
@@ -1833,18 +1866,40 @@ export default function App() {
     return {
       ...component,
       shape: component.shape ?? null,
+      points: Array.isArray(component.points) ? component.points : undefined,
       scale: normalizedScale,
       offset: {
         x: component.offset?.x ?? 0,
         y: component.offset?.y ?? 0,
       },
       collisionIgnore: component.collisionIgnore ?? [],
+      layer: component.layer || 'default',
+      mask: Array.isArray(component.mask) ? component.mask : null,
+      sensor: component.sensor ?? false,
+      oneWay: component.oneWay ?? null,
       restitution: component.restitution ?? 0,
       friction: component.friction ?? 1,
       cursor: component.cursor ?? null,
     };
   };
 
+  // Every collision layer used by an Area in the scene (for the layer matrix)
+  const collectCollisionLayers = (objects) => {
+    const layers = new Set(['default']);
+    const walk = (nodes = []) => {
+      for (const node of nodes) {
+        for (const comp of node.components || []) {
+          if (comp.type !== 'Area') continue;
+          if (comp.layer) layers.add(comp.layer);
+          (comp.mask || []).forEach((layer) => layers.add(layer));
+        }
+        walk(node.children || []);
+      }
+    };
+    walk(objects);
+    return Array.from(layers);
+  };
+
   const readSpriteDataUrl = async (imagePath, projectPathOverride) => {
     const absolutePath = getAbsolutePathFromRelative(imagePath, projectPathOverride);
     if (!absolutePath) return null;
@@ -2012,6 +2067,30 @@ export default function App() {
     return result;
   }
 
+  // Flattened objects in the order the engine draws them: layer, then z, then hierarchy order.
+  // Children without their own layer or z use their parent's.
+  function sortByDrawOrder(objects, layers, fallbackLayer) {
+    const fallbackIndex = Math.max(0, layers.indexOf(fallbackLayer ?? layers[0]));
+    const entries = [];
+    const visit = (nodes, parentLayer, parentZ) => {
+      nodes.forEach((obj) => {
+        const layerName = obj.layer || parentLayer;
+        const z = Number.isFinite(obj.z) ? obj.z : parentZ;
+        const layerIndex = layers.indexOf(layerName);
+        entries.push({
+          obj,
+          index: entries.length,
+          layer: layerIndex === -1 ? fallbackIndex : layerIndex,
+          z,
+        });
+        visit(obj.children ?? [], layerName, z);
+      });
+    };
+    visit(objects, null, 0);
+    entries.sort((a, b) => a.layer - b.layer || a.z - b.z || a.index - b.index);
+    return entries.map((entry) => entry.obj);
+  }
+
   function findObjectById(objects, id) {
     for (const obj of objects) {
       if (obj.id === id) return obj;
@@ -2309,6 +2388,10 @@ export default function App() {
         return '⬛';
       case 'Text':
         return '📝';
+      case 'Particles':
+        return '✨';
+      case 'State':
+        return '🔀';
       default:
         return '🔹';
     }
@@ -2408,6 +2491,11 @@ export default function App() {
           <span className="treeIcon">{getNodeIcon(node)}</span>
           <span className="treeName">{node.name}</span>
           {hasScript && <span className="treeBadge" title="Script attached">📜</span>}
+          {(node.layer || Number.isFinite(node.z)) && (
+            <span className="treeBadge" title="Render layer / z">
+              {[node.layer, Number.isFinite(node.z) ? `z${node.z}` : null].filter(Boolean).join(' ')}
+            </span>
+          )}
           <div className="treeActions">
             <button
               type="button"
@@ -2738,6 +2826,21 @@ export default function App() {
     },
   ];
 
+  const SOUND_EXTENSIONS = ['.wav', '.mp3', '.ogg'];
+
+  const isSoundFile = (name = '') => {
+    const lower = name.toLowerCase();
+    return SOUND_EXTENSIONS.some((ext) => lower.endsWith(ext));
+  };
+
+  // Sound files under assets/; every generated scene registers them with loadSound()
+  const collectSoundAssets = (nodes = []) =>
+    nodes.flatMap((node) => {
+      if (node.type === 'directory') return collectSoundAssets(node.children || []);
+      if (node.category !== 'assets' || !isSoundFile(node.name)) return [];
+      return [{ name: node.name.replace(/\.[^/.]+$/, ''), path: node.path }];
+    });
+
   const shouldIncludeFile = (categoryId, name, allowedExtensions) => {
     if (name.startsWith('.')) return false;
     if (name === 'node_modules') return false;
@@ -2908,6 +3011,7 @@ export default function App() {
       if (!isDirectory) {
         if (node.category === 'scripts') icon = '📜';
         else if (node.category === 'scenes') icon = node.name.toLowerCase().endsWith('.json') ? '🧩' : '📄';
+        else if (isSoundFile(node.name)) icon = '🔊';
         else icon = '📦';
       } else {
         icon = '📁';
@@ -3092,6 +3196,45 @@ export default function App() {
     setSelectedFilePath(relativePath);
   };
 
+  const handleImportSoundFiles = async (event) => {
+    const files = Array.from(event.target.files || []);
+    event.target.value = '';
+    if (files.length === 0) return;
+    if (!currentProject?.path) {
+      alert('Load or create a project before importing sounds.');
+      return;
+    }
+
+    for (const file of files) {
+      if (!isSoundFile(file.name)) {
+        alert(`${file.name} is not a .wav, .mp3 or .ogg file.`);
+        continue;
+      }
+      try {
+        const dataUrl = await readFileAsDataUrl(file);
+        const saveResult = await window.electronAPI.saveSoundAsset({
+          projectPath: currentProject.path,
+          fileName: file.name,
+          dataUrl,
+        });
+        if (!saveResult?.success) {
+          alert(`Failed to import ${file.name}: ${saveResult?.message ?? 'unknown error'}`);
+        }
+      } catch (error) {
+        console.error('Failed to import sound:', error);
+        alert(`Failed to import ${file.name}: ${error.message}`);
+      }
+    }
+
+    await refreshFileTree();
+    setExpandedFileNodes((prev) => {
+      const next = new Set(prev);
+      next.add('assets');
+      next.add('assets/sounds');
+      return next;
+    });
+  };
+
   const syncGameStatus = useCallback(async () => {
     if (!window.electronAPI?.getGameStatus) return;
     try {
@@ -3372,10 +3515,16 @@ export default function App() {
           setViewportPreset(sceneData.viewport.preset || '9:16');
           setViewportWidth(sceneData.viewport.width || 360);
           setViewportHeight(sceneData.viewport.height || 640);
+          setCameraStart(sceneData.viewport.camera ?? null);
         }
         
         // Restore debug mode
         setDebugMode(sceneData.debug ?? false);
+
+        // Restore render layers
+        setRenderLayers(sceneData.layers ?? []);
+        setDefaultLayer(sceneData.defaultLayer ?? null);
+        setCollisionMatrix(sceneData.collisionMatrix ?? null);
         
         setSelectedObject(null);
         setAvailableScenes(discoveredScenes);
@@ -3625,12 +3774,20 @@ export default function App() {
       newComponent.scale = { x: 1, y: 1 };
       newComponent.cursor = null; // Not used on mobile, matches Kaplay signature
       newComponent.collisionIgnore = []; // Tags to ignore in collisions
+      newComponent.layer = 'default'; // Collision layer name
+      newComponent.mask = null; // Layers this area collides with (null = all)
+      newComponent.sensor = false; // Trigger only - report overlaps without pushing
+      newComponent.oneWay = null; // Side bodies are blocked from, e.g. { x: 0, y: -1 } = jump-through platform
       newComponent.restitution = 0; // Bounciness (0-1, 0=no bounce, 1=perfect bounce)
       newComponent.friction = 1; // Friction (0-1, 0=ice, 1=normal)
     } else if (componentType === 'Physics') {
       newComponent.mass = 1;
       newComponent.gravity = true;
+      newComponent.gravityScale = 1;
       newComponent.isStatic = false;
+      newComponent.isKinematic = false; // Moved by scripts via moveAndSlide, never pushed
+      newComponent.bullet = false; // Continuous collision for fast movers
+      newComponent.fixedRotation = false; // Never spun by collisions (e.g. players)
       newComponent.velocity = { x: 0, y: 0 };
       newComponent.acceleration = { x: 0, y: 0 };
     } else if (componentType === 'Text') {
@@ -3639,6 +3796,21 @@ export default function App() {
       newComponent.font = null; // null = system default
       newComponent.align = 'left'; // 'left' | 'center' | 'right'
       newComponent.color = '#ffffff';
+    } else if (componentType === 'Particles') {
+      newComponent.rate = 20; // Particles per second (0 = bursts only)
+      newComponent.lifetime = [0.5, 1]; // Seconds, [min, max]
+      newComponent.speed = [60, 120]; // Pixels per second, [min, max]
+      newComponent.angle = -90; // Launch direction in degrees (-90 = up)
+      newComponent.spread = 30; // Degrees either side of angle
+      newComponent.gravity = 0; // Downward pull in pixels per second²
+      newComponent.colors = ['#ffcc00', '#ff3300']; // Blended over each particle's life
+      newComponent.sizes = [8, 2]; // Diameters, blended over each particle's life
+      newComponent.fade = 0.5; // Share of the life spent fading out
+      newComponent.max = 500; // Particles alive at once
+      newComponent.emitting = true; // Emit at rate as soon as the scene starts
+    } else if (componentType === 'State') {
+      newComponent.initial = 'idle'; // State entered when the object is added
+      newComponent.states = ['idle']; // Allowed states (empty = any)
     }
 
     setGameObjects((prev) =>
@@ -4027,7 +4199,7 @@ export default function App() {
       if (saveResult.success) {
         // Create corresponding TS file
         const tsFilePath = `${currentProject.path}\\scenes\\${cleanName}.ts`;
-        const sceneCode = `import type { GameContext } from '../engine';\nimport { pos, rect, circle, body, area } from '../engine';\n\n// ${cleanName} - Created with ReGame Editor\nexport function ${cleanName}(ctx: GameContext): void {\n  // Empty scene - Add GameObjects in the editor!\n}\n`;
+        const sceneCode = `import type { GameContext } from '../engine';\nimport { pos, rect, circle, body, area } from '../engine';\n\n// ${cleanName} - Created with ReGame Editor\nexport function ${cleanName}(ctx: GameContext, args?: any): void {\n  // Empty scene - Add GameObjects in the editor!\n}\n`;
         await window.electronAPI.saveFile(tsFilePath, sceneCode);
         
         // Update available scenes
@@ -4063,10 +4235,16 @@ export default function App() {
           setViewportPreset(sceneData.viewport.preset || '9:16');
           setViewportWidth(sceneData.viewport.width || 360);
           setViewportHeight(sceneData.viewport.height || 640);
+          setCameraStart(sceneData.viewport.camera ?? null);
         }
         
         // Restore debug mode
         setDebugMode(sceneData.debug ?? false);
+
+        // Restore render layers
+        setRenderLayers(sceneData.layers ?? []);
+        setDefaultLayer(sceneData.defaultLayer ?? null);
+        setCollisionMatrix(sceneData.collisionMatrix ?? null);
         
         setCurrentSceneName(sceneName);
         setSelectedObject(null);
@@ -4087,8 +4265,12 @@ export default function App() {
         preset: viewportPreset,
         width: viewportWidth,
         height: viewportHeight,
+        camera: cameraStart,
       },
       debug: debugMode, // Save debug mode setting
+      layers: renderLayers,
+      defaultLayer,
+      collisionMatrix,
       width: 800, // Canvas width (deprecated - kept for backwards compat)
       height: 600, // Canvas height (deprecated - kept for backwards compat)
       backgroundColor: '#2a2a2a',
@@ -4122,6 +4304,7 @@ export default function App() {
       await saveScene();
       
       setIsGameRunning(true);
+      setLiveStates({});
       const isSoftRun = runMode === 'soft';
       const runLabel = isSoftRun ? 'Expo Dev Client (soft start)' : 'Expo Dev Build';
       const commandPreview = isSoftRun
@@ -4399,7 +4582,11 @@ export default function App() {
           preset: viewportPreset,
           width: viewportWidth,
           height: viewportHeight,
+          camera: cameraStart,
         },
+        layers: renderLayers,
+        defaultLayer,
+        collisionMatrix,
         width: 800,
         height: 600,
         backgroundColor: '#2a2a2a',
@@ -4423,7 +4610,13 @@ export default function App() {
             sceneName,
             sceneObjectsWithCode || [],
             sceneDataForScript.viewport || { width: viewportWidth, height: viewportHeight },
-            existingSceneCode
+            existingSceneCode,
+            {
+              sounds: collectSoundAssets(fileTree),
+              layers: sceneDataForScript.layers,
+              defaultLayer: sceneDataForScript.defaultLayer,
+              collisionMatrix: sceneDataForScript.collisionMatrix,
+            }
           );
           await window.electronAPI.saveFile(sceneTsPath, gameCode);
           console.log(`✅ Generated ${sceneName}.ts`);
@@ -4447,6 +4640,18 @@ export default function App() {
       });
     }
 
+    // In debug mode the game sends every state() change with the object's tags
+    if (window.electronAPI?.onGameDebugEvent) {
+      window.electronAPI.onGameDebugEvent((event) => {
+        if (event?.type !== 'state') return;
+        const changes = {};
+        (event.tags || []).forEach((tag) => {
+          changes[tag] = event.state;
+        });
+        setLiveStates(prev => ({ ...prev, ...changes }));
+      });
+    }
+
     if (window.electronAPI?.onGameExit) {
       window.electronAPI.onGameExit((code) => {
         setGameConsoleOutput(prev => [
@@ -4502,7 +4707,13 @@ export default function App() {
             sceneName,
             sceneObjectsWithCode || [],
             sceneData.viewport || { width: viewportWidth, height: viewportHeight },
-            existingSceneCode
+            existingSceneCode,
+            {
+              sounds: collectSoundAssets(fileTree),
+              layers: sceneData.layers,
+              defaultLayer: sceneData.defaultLayer,
+              collisionMatrix: sceneData.collisionMatrix,
+            }
           );
           await window.electronAPI.saveFile(sceneTsPath, gameCode);
           console.log(`✅ Generated ${sceneName}.ts`);
@@ -4529,19 +4740,36 @@ export default function App() {
     
     const sceneRegistry = availableScenes.map(name => `  ${name.toLowerCase()}: ${name},`).join('\n');
     
-    const appCode = `import { Game } from './engine';
+    // Debug mode - state() changes go to the editor's inspector (see GAME_DEBUG_PORT in electron/main.js)
+    const debugImport = debugMode ? `import Constants from 'expo-constants';\n` : '';
+    const debugBridge = debugMode ? `
+// Debug events go to the editor on the machine running Metro
+const editorHost = Constants.expoConfig?.hostUri?.split(':')[0];
+const debugPort = process.env.EXPO_PUBLIC_REGAME_DEBUG_PORT;
+const sendDebugEvent = (event) => {
+  if (!editorHost || !debugPort) return;
+  fetch(\`http://\${editorHost}:\${debugPort}/debug-event\`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(event),
+  }).catch(() => {});
+};
+` : '';
+
+    const appCode = `${debugImport}import { Game } from './engine';
 ${imports}
 
 // Scene registry
 const scenes = {
 ${sceneRegistry}
 };
-
+${debugBridge}
 export default function App() {
   return (
     <Game 
       showGamePad
-      debug={${debugMode}} // Debug mode - shows green collision area outlines
+      debug={${debugMode}} // Debug mode - shows green collision area outlines and state() names${debugMode ? `
+      onDebugEvent={sendDebugEvent}` : ''}
     >
       {(ctx) => {
         // Register all scenes
@@ -4819,6 +5047,72 @@ export default function App() {
                 <option key={key} value={key}>{preset.name}</option>
               ))}
             </select>
+
+            {/* Camera starting view (ctx.camPos / ctx.camScale) */}
+            <span className="toolbarSubtitle" style={{ marginLeft: '16px' }}>Camera:</span>
+            <input
+              type="number"
+              className="sceneSelector"
+              style={{ width: '56px' }}
+              value={cameraView.x}
+              onChange={(e) => handleCameraStartChange('x', parseFloat(e.target.value))}
+              title="Camera X (world point at the screen center)"
+            />
+            <input
+              type="number"
+              className="sceneSelector"
+              style={{ width: '56px' }}
+              value={cameraView.y}
+              onChange={(e) => handleCameraStartChange('y', parseFloat(e.target.value))}
+              title="Camera Y (world point at the screen center)"
+            />
+            <input
+              type="number"
+              className="sceneSelector"
+              style={{ width: '48px' }}
+              step="0.1"
+              min="0.1"
+              value={cameraView.scale}
+              onChange={(e) => handleCameraStartChange('scale', parseFloat(e.target.value))}
+              title="Camera Zoom"
+            />
+            {cameraStart && (
+              <button
+                className="newSceneButton"
+                onClick={() => setCameraStart(null)}
+                title="Center the camera on the viewport again"
+              >
+                Reset
+              </button>
+            )}
+
+            {/* Render layers (ctx.setLayers), back to front */}
+            <span className="toolbarSubtitle" style={{ marginLeft: '16px' }}>Layers:</span>
+            <input
+              key={renderLayers.join(',')}
+              type="text"
+              className="sceneSelector"
+              style={{ width: '120px' }}
+              defaultValue={renderLayers.join(', ')}
+              placeholder="bg, game, ui"
+              onBlur={(e) => handleRenderLayersChange(e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') e.currentTarget.blur();
+              }}
+              title="Render layers, back to front (comma-separated)"
+            />
+            {renderLayers.length > 0 && (
+              <select
+                className="sceneSelector"
+                value={defaultLayer ?? renderLayers[0]}
+                onChange={(e) => setDefaultLayer(e.target.value === renderLayers[0] ? null : e.target.value)}
+                title="Layer for objects without one"
+              >
+                {renderLayers.map((name) => (
+                  <option key={name} value={name}>{name}</option>
+                ))}
+              </select>
+            )}
           </div>
         </div>
         <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
@@ -5026,6 +5320,15 @@ export default function App() {
               <div className="fileExplorerActions">
                 <button className="tinyButton" onClick={handleCreateScriptFile} title="Create Script">📜</button>
                 <button className="tinyButton" onClick={handleCreateFolder} title="Create Folder">📁</button>
+                <button className="tinyButton" onClick={() => soundInputRef.current?.click()} title="Import Sound">🔊</button>
+                <input
+                  ref={soundInputRef}
+                  type="file"
+                  accept=".wav,.mp3,.ogg,audio/wav,audio/mpeg,audio/ogg"
+                  multiple
+                  style={{ display: 'none' }}
+                  onChange={handleImportSoundFiles}
+                />
               </div>
             </div>
             <div className="panelContent fileTree">
@@ -5153,6 +5456,11 @@ export default function App() {
                       const isSprite = obj.type === 'sprite' || Boolean(spriteComponent);
                       const spriteProps = spriteComponent?.properties ?? {};
                       const spriteSource = spriteProps.dataUrl || spriteProps.previewDataUrl || '';
+                      const spriteSliceX = Math.max(1, Math.floor(spriteProps.sliceX ?? 1));
+                      const spriteSliceY = Math.max(1, Math.floor(spriteProps.sliceY ?? 1));
+                      const spriteSheetFrames = spriteSliceX * spriteSliceY;
+                      const spriteStartFrame =
+                        (spriteProps.anims ?? []).find((anim) => anim.name && anim.name === spriteProps.defaultAnim)?.from ?? 0;
 
                       const isCircle = obj.type === 'circle' || shapeComponent?.shapeType === 'Circle';
 
@@ -5295,7 +5603,21 @@ export default function App() {
                             }}
                           >
                             {isSprite ? (
-                              spriteSource ? (
+                              spriteSource && spriteSheetFrames > 1 ? (
+                                // Sprite sheets show their starting frame
+                                <div
+                                  className="sceneSpriteImage"
+                                  style={{
+                                    width: '100%',
+                                    height: '100%',
+                                    backgroundImage: `url(${spriteSource})`,
+                                    backgroundSize: `${spriteSliceX * 100}% ${spriteSliceY * 100}%`,
+                                    backgroundPosition: `${spriteSliceX > 1 ? ((spriteStartFrame % spriteSliceX) / (spriteSliceX - 1)) * 100 : 0}% ${spriteSliceY > 1 ? ((Math.floor(spriteStartFrame / spriteSliceX) % spriteSliceY) / (spriteSliceY - 1)) * 100 : 0}%`,
+                                    imageRendering: 'pixelated',
+                                    pointerEvents: 'none',
+                                  }}
+                                />
+                              ) : spriteSource ? (
                                 <img
                                   src={spriteSource}
                                   alt={obj.name}
@@ -5423,7 +5745,32 @@ export default function App() {
                       )}
 
                           {/* Debug Mode: Show Area Component */}
-                          {debugMode && areaComponent && (
+                          {debugMode && areaComponent?.shape === 'polygon' && areaComponent.points?.length >= 3 && (() => {
+                            // Polygon points are relative to the object's position, like the engine
+                            const scale = areaComponent.scale ?? { x: 1, y: 1 };
+                            const points = areaComponent.points
+                              .map((point) => `${areaOffsetX + point.x * scale.x},${areaOffsetY + point.y * scale.y}`)
+                              .join(' ');
+                            return (
+                              <svg
+                                width={1}
+                                height={1}
+                                style={{
+                                  position: 'absolute',
+                                  left: obj.transform.x + canvasCenterOffsetX,
+                                  top: obj.transform.y + canvasCenterOffsetY,
+                                  overflow: 'visible',
+                                  pointerEvents: 'none',
+                                  zIndex: 999,
+                                  transform: `rotate(${obj.transform.rotation || 0}deg)`,
+                                  transformOrigin: '0 0',
+                                }}
+                              >
+                                <polygon points={points} fill="none" stroke="#00ff00" strokeWidth={2} />
+                              </svg>
+                            );
+                          })()}
+                          {debugMode && areaComponent && areaComponent.shape !== 'polygon' && (
                             <div
                               style={{
                                 position: 'absolute',
@@ -5499,10 +5846,10 @@ export default function App() {
                     className="cameraViewport"
                     style={{
                       position: 'absolute',
-                      left: canvasCenterOffsetX,
-                      top: canvasCenterOffsetY,
-                      width: `${viewportWidth}px`,
-                      height: `${viewportHeight}px`,
+                      left: canvasCenterOffsetX + cameraView.x - viewportWidth / (2 * cameraView.scale),
+                      top: canvasCenterOffsetY + cameraView.y - viewportHeight / (2 * cameraView.scale),
+                      width: `${viewportWidth / cameraView.scale}px`,
+                      height: `${viewportHeight / cameraView.scale}px`,
                       border: '2px solid #00ff88',
                       boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.5)',
                       pointerEvents: 'none',
@@ -5522,7 +5869,7 @@ export default function App() {
                         borderRadius: '3px',
                       }}
                     >
-                      📷 {viewportWidth} × {viewportHeight}
+                      📷 {viewportWidth} × {viewportHeight}{cameraView.scale !== 1 ? ` @ ${cameraView.scale}x` : ''}
                     </div>
                   </div>
                 </div>
@@ -5794,6 +6141,49 @@ export default function App() {
                     )}
                   </div>
 
+                  {/* Draw Order (layer() / z()) */}
+                  <div className="componentSection">
+                    <div className="componentHeader" onClick={() => toggleSection('drawOrder')}>
+                      <span className="sectionToggle">{expandedSections.has('drawOrder') ? '▾' : '▸'}</span>
+                      <strong>Draw Order</strong>
+                    </div>
+                    {expandedSections.has('drawOrder') && (
+                      <>
+                        <div className="propertyGroup">
+                          <label className="propertyLabel">Layer</label>
+                          <select
+                            className="propertyInput"
+                            value={selectedObj.layer || ''}
+                            onChange={(e) => updateGameObject(selectedObj.id, { layer: e.target.value || undefined })}
+                            title="Render layer; set the scene's layers in the toolbar"
+                          >
+                            <option value="">(default)</option>
+                            {selectedObj.layer && !renderLayers.includes(selectedObj.layer) && (
+                              <option value={selectedObj.layer}>{selectedObj.layer} (not declared)</option>
+                            )}
+                            {renderLayers.map((name) => (
+                              <option key={name} value={name}>{name}</option>
+                            ))}
+                          </select>
+                        </div>
+                        <div className="propertyGroup">
+                          <label className="propertyLabel">Z</label>
+                          <input
+                            className="propertyInput"
+                            type="number"
+                            value={Number.isFinite(selectedObj.z) ? selectedObj.z : ''}
+                            placeholder="inherit"
+                            onChange={(e) => {
+                              const value = parseFloat(e.target.value);
+                              updateGameObject(selectedObj.id, { z: Number.isFinite(value) ? value : undefined });
+                            }}
+                            title="Higher z draws on top within the same layer"
+                          />
+                        </div>
+                      </>
+                    )}
+                  </div>
+
                   {/* Other Components */}
                   {selectedObj.components.map((component, index) => {
                     if (component.type === 'Transform') {
@@ -5831,6 +6221,37 @@ export default function App() {
                           applySpriteAssetFromPath(selectedObj.id, index, component, assetPath);
                         }
                       };
+                      const sliceX = Math.max(1, Math.floor(spriteProps.sliceX ?? 1));
+                      const sliceY = Math.max(1, Math.floor(spriteProps.sliceY ?? 1));
+                      const frameCount = sliceX * sliceY;
+                      const spriteAnims = spriteProps.anims ?? [];
+                      // Changing the grid keeps the sheet size, so the frame (object) size follows
+                      const handleSpriteSliceChange = (axis, value) => {
+                        const next = Math.max(1, Math.floor(value) || 1);
+                        if (axis === 'x') {
+                          const frameWidth = spriteProps.width ?? selectedObj.transform.width;
+                          updateSpriteComponentProperties(selectedObj.id, index, {
+                            sliceX: next,
+                            width: Math.round((frameWidth * sliceX) / next),
+                          });
+                        } else {
+                          const frameHeight = spriteProps.height ?? selectedObj.transform.height;
+                          updateSpriteComponentProperties(selectedObj.id, index, {
+                            sliceY: next,
+                            height: Math.round((frameHeight * sliceY) / next),
+                          });
+                        }
+                      };
+                      const updateSpriteAnim = (animIndex, patch) => {
+                        const previous = spriteAnims[animIndex];
+                        const anims = spriteAnims.map((anim, i) => (i === animIndex ? { ...anim, ...patch } : anim));
+                        const renamedDefault =
+                          patch.name !== undefined && spriteProps.defaultAnim === previous?.name;
+                        updateSpriteComponentProperties(selectedObj.id, index, {
+                          anims,
+                          ...(renamedDefault ? { defaultAnim: patch.name } : {}),
+                        });
+                      };
 
                       return (
                         <div key={sectionId} className="componentSection">
@@ -5921,6 +6342,158 @@ export default function App() {
                                 </div>
                               </div>
 
+                              <div className="propertyGrid">
+                                <div className="propertyGroup inline">
+                                  <label className="propertyLabel">Columns (sliceX)</label>
+                                  <input
+                                    className="propertyInput"
+                                    type="number"
+                                    min="1"
+                                    value={sliceX}
+                                    onChange={(e) => handleSpriteSliceChange('x', parseInt(e.target.value, 10))}
+                                  />
+                                </div>
+                                <div className="propertyGroup inline">
+                                  <label className="propertyLabel">Rows (sliceY)</label>
+                                  <input
+                                    className="propertyInput"
+                                    type="number"
+                                    min="1"
+                                    value={sliceY}
+                                    onChange={(e) => handleSpriteSliceChange('y', parseInt(e.target.value, 10))}
+                                  />
+                                </div>
+                              </div>
+
+                              {frameCount > 1 && spriteSrc && (
+                                <div className="propertyGroup">
+                                  <label className="propertyLabel">Frames</label>
+                                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px' }}>
+                                    {Array.from({ length: Math.min(frameCount, 64) }, (_, frame) => (
+                                      <div
+                                        key={frame}
+                                        title={`Frame ${frame}`}
+                                        style={{
+                                          position: 'relative',
+                                          width: '40px',
+                                          height: '40px',
+                                          border: '1px solid #3e3e42',
+                                          backgroundColor: '#1f1f23',
+                                          backgroundImage: `url(${spriteSrc})`,
+                                          backgroundSize: `${sliceX * 100}% ${sliceY * 100}%`,
+                                          backgroundPosition: `${sliceX > 1 ? ((frame % sliceX) / (sliceX - 1)) * 100 : 0}% ${sliceY > 1 ? (Math.floor(frame / sliceX) / (sliceY - 1)) * 100 : 0}%`,
+                                          imageRendering: 'pixelated',
+                                        }}
+                                      >
+                                        <span style={{ position: 'absolute', left: '2px', bottom: '0', fontSize: '9px', color: '#fff', textShadow: '0 0 2px #000' }}>
+                                          {frame}
+                                        </span>
+                                      </div>
+                                    ))}
+                                  </div>
+                                  {frameCount > 64 && (
+                                    <div style={{ fontSize: '10px', color: '#666' }}>Showing the first 64 of {frameCount} frames</div>
+                                  )}
+                                </div>
+                              )}
+
+                              <div className="propertyGroup">
+                                <label className="propertyLabel">Animations</label>
+                                {spriteAnims.map((anim, animIndex) => (
+                                  <div key={animIndex} style={{ display: 'flex', gap: '4px', alignItems: 'center', marginBottom: '4px' }}>
+                                    <input
+                                      className="propertyInput"
+                                      type="text"
+                                      placeholder="name"
+                                      style={{ flex: 2, minWidth: 0 }}
+                                      value={anim.name ?? ''}
+                                      onChange={(e) => updateSpriteAnim(animIndex, { name: e.target.value.trim() })}
+                                    />
+                                    <input
+                                      className="propertyInput"
+                                      type="number"
+                                      min="0"
+                                      max={frameCount - 1}
+                                      title="First frame"
+                                      style={{ flex: 1, minWidth: 0 }}
+                                      value={anim.from ?? 0}
+                                      onChange={(e) => updateSpriteAnim(animIndex, { from: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                                    />
+                                    <input
+                                      className="propertyInput"
+                                      type="number"
+                                      min="0"
+                                      max={frameCount - 1}
+                                      title="Last frame"
+                                      style={{ flex: 1, minWidth: 0 }}
+                                      value={anim.to ?? 0}
+                                      onChange={(e) => updateSpriteAnim(animIndex, { to: Math.max(0, parseInt(e.target.value, 10) || 0) })}
+                                    />
+                                    <input
+                                      className="propertyInput"
+                                      type="number"
+                                      min="1"
+                                      title="Frames per second"
+                                      style={{ flex: 1, minWidth: 0 }}
+                                      value={anim.speed ?? 10}
+                                      onChange={(e) => updateSpriteAnim(animIndex, { speed: Math.max(1, parseFloat(e.target.value) || 10) })}
+                                    />
+                                    <label title="Loop" style={{ fontSize: '10px', color: '#aaa', display: 'flex', alignItems: 'center', gap: '2px' }}>
+                                      <input
+                                        type="checkbox"
+                                        checked={anim.loop ?? false}
+                                        onChange={(e) => updateSpriteAnim(animIndex, { loop: e.target.checked })}
+                                      />
+                                      loop
+                                    </label>
+                                    <button
+                                      className="removeComponentBtn"
+                                      title="Remove animation"
+                                      onClick={() =>
+                                        updateSpriteComponentProperties(selectedObj.id, index, {
+                                          anims: spriteAnims.filter((_, i) => i !== animIndex),
+                                          ...(spriteProps.defaultAnim === anim.name ? { defaultAnim: '' } : {}),
+                                        })
+                                      }
+                                    >
+                                      ✕
+                                    </button>
+                                  </div>
+                                ))}
+                                <button
+                                  className="modalButton"
+                                  onClick={() =>
+                                    updateSpriteComponentProperties(selectedObj.id, index, {
+                                      anims: [
+                                        ...spriteAnims,
+                                        { name: `anim${spriteAnims.length + 1}`, from: 0, to: frameCount - 1, speed: 10, loop: true },
+                                      ],
+                                    })
+                                  }
+                                >
+                                  + Add Animation
+                                </button>
+                                <div style={{ fontSize: '10px', color: '#666' }}>Name, first frame, last frame, frames per second (obj.play("name"))</div>
+                              </div>
+
+                              {spriteAnims.length > 0 && (
+                                <div className="propertyGroup">
+                                  <label className="propertyLabel">Play on Start</label>
+                                  <select
+                                    className="propertyInput"
+                                    value={spriteProps.defaultAnim ?? ''}
+                                    onChange={(e) =>
+                                      updateSpriteComponentProperties(selectedObj.id, index, { defaultAnim: e.target.value })
+                                    }
+                                  >
+                                    <option value="">None</option>
+                                    {spriteAnims.filter((anim) => anim.name).map((anim) => (
+                                      <option key={anim.name} value={anim.name}>{anim.name}</option>
+                                    ))}
+                                  </select>
+                                </div>
+                              )}
+
                               <div className="spriteInspectorActions">
                                 <button
                                   className="modalButton"
@@ -6050,18 +6623,98 @@ export default function App() {
                                     className="propertyInput"
                                     value={component.shape ?? 'auto'}
                                     onChange={(e) => {
-                                      const updated = selectedObj.components.map((c, componentIndex) =>
-                                        componentIndex === index ? { ...c, shape: e.target.value } : c
-                                      );
+                                      const shape = e.target.value;
+                                      const updated = selectedObj.components.map((c, componentIndex) => {
+                                        if (componentIndex !== index) return c;
+                                        if (shape === 'polygon' && !(c.points?.length >= 3)) {
+                                          // Start from a ramp spanning the object's bounds
+                                          const halfWidth = Math.round((selectedObj.transform.width ?? 100) / 2);
+                                          const halfHeight = Math.round((selectedObj.transform.height ?? 100) / 2);
+                                          return {
+                                            ...c,
+                                            shape,
+                                            points: [
+                                              { x: -halfWidth, y: halfHeight },
+                                              { x: halfWidth, y: halfHeight },
+                                              { x: halfWidth, y: -halfHeight },
+                                            ],
+                                          };
+                                        }
+                                        return { ...c, shape };
+                                      });
                                       updateGameObject(selectedObj.id, { components: updated });
                                     }}
                                   >
                                     <option value="auto">Auto (from visual shape)</option>
                                     <option value="rect">Rectangle</option>
                                     <option value="circle">Circle</option>
+                                    <option value="polygon">Polygon</option>
                                   </select>
                                 </div>
 
+                                {component.shape === 'polygon' && (
+                                  <div className="propertyGroup">
+                                    <label className="propertyLabel">Points</label>
+                                    {(() => {
+                                      const points = component.points || [];
+                                      const setPoints = (nextPoints) => {
+                                        const updated = selectedObj.components.map((c, componentIndex) =>
+                                          componentIndex === index ? { ...c, points: nextPoints } : c
+                                        );
+                                        updateGameObject(selectedObj.id, { components: updated });
+                                      };
+                                      const updatePoint = (pointIndex, axis, value) => {
+                                        setPoints(points.map((point, i) =>
+                                          i === pointIndex ? { ...point, [axis]: parseFloat(value) || 0 } : point
+                                        ));
+                                      };
+                                      return (
+                                        <>
+                                          {points.map((point, pointIndex) => (
+                                            <div key={pointIndex} className="polygonPointRow">
+                                              <input
+                                                className="propertyInput"
+                                                type="number"
+                                                title="X"
+                                                value={point.x}
+                                                onChange={(e) => updatePoint(pointIndex, 'x', e.target.value)}
+                                              />
+                                              <input
+                                                className="propertyInput"
+                                                type="number"
+                                                title="Y"
+                                                value={point.y}
+                                                onChange={(e) => updatePoint(pointIndex, 'y', e.target.value)}
+                                              />
+                                              <button
+                                                className="tinyButton"
+                                                type="button"
+                                                title="Remove point"
+                                                disabled={points.length <= 3}
+                                                onClick={() => setPoints(points.filter((_, i) => i !== pointIndex))}
+                                              >
+                                                ✕
+                                              </button>
+                                            </div>
+                                          ))}
+                                          <button
+                                            className="tinyButton"
+                                            type="button"
+                                            title="Add point"
+                                            onClick={() => {
+                                              const last = points[points.length - 1] ?? { x: 0, y: 0 };
+                                              setPoints([...points, { x: last.x, y: last.y }]);
+                                            }}
+                                          >
+                                            +
+                                          </button>
+                                        </>
+                                      );
+                                    })()}
+                                    <div style={{ fontSize: '10px', color: '#666' }}>Convex outline relative to the object's position (at least 3 points)</div>
+                                  </div>
+                                )}
+
                                 <div className="propertyGroup">
                                   <label className="propertyLabel">Scale X</label>
                                   <input
@@ -6143,6 +6796,56 @@ export default function App() {
                                   />
                                 </div>
 
+                                <div className="propertyGroup">
+                                  <label className="propertyLabel">
+                                    <input
+                                      type="checkbox"
+                                      checked={component.sensor ?? false}
+                                      onChange={(e) => {
+                                        const updated = selectedObj.components.map((c, componentIndex) =>
+                                          componentIndex === index ? { ...c, sensor: e.target.checked } : c
+                                        );
+                                        updateGameObject(selectedObj.id, { components: updated });
+                                      }}
+                                    />
+                                    {' '}Sensor (Trigger)
+                                  </label>
+                                  <div style={{ fontSize: '10px', color: '#666' }}>Fires collision events but never pushes or bounces (pickups, checkpoints).</div>
+                                </div>
+
+                                <div className="propertyGroup">
+                                  <label className="propertyLabel">One-Way (Solid From)</label>
+                                  <select
+                                    className="propertyInput"
+                                    value={
+                                      !component.oneWay
+                                        ? 'off'
+                                        : Math.abs(component.oneWay.x) > Math.abs(component.oneWay.y)
+                                          ? (component.oneWay.x < 0 ? 'left' : 'right')
+                                          : (component.oneWay.y < 0 ? 'above' : 'below')
+                                    }
+                                    onChange={(e) => {
+                                      const directions = {
+                                        above: { x: 0, y: -1 },
+                                        below: { x: 0, y: 1 },
+                                        left: { x: -1, y: 0 },
+                                        right: { x: 1, y: 0 },
+                                      };
+                                      const updated = selectedObj.components.map((c, componentIndex) =>
+                                        componentIndex === index ? { ...c, oneWay: directions[e.target.value] ?? null } : c
+                                      );
+                                      updateGameObject(selectedObj.id, { components: updated });
+                                    }}
+                                  >
+                                    <option value="off">Off (solid from all sides)</option>
+                                    <option value="above">Above (jump-through platform)</option>
+                                    <option value="below">Below</option>
+                                    <option value="left">Left</option>
+                                    <option value="right">Right</option>
+                                  </select>
+                                  <div style={{ fontSize: '10px', color: '#666' }}>Bodies pass through from the other sides; obj.dropThrough() falls through.</div>
+                                </div>
+
                                 <div className="propertyGroup">
                                   <label className="propertyLabel">Collision Ignore Tags</label>
                                   <input
@@ -6163,6 +6866,135 @@ export default function App() {
                                   />
                                 </div>
 
+                                <div className="propertyGroup">
+                                  <label className="propertyLabel">Collision Layer</label>
+                                  <input
+                                    className="propertyInput"
+                                    type="text"
+                                    placeholder="default"
+                                    list="collision-layer-options"
+                                    value={component.layer ?? 'default'}
+                                    onChange={(e) => {
+                                      const layer = e.target.value.trim();
+                                      const updated = selectedObj.components.map((c, componentIndex) =>
+                                        componentIndex === index ? { ...c, layer } : c
+                                      );
+                                      updateGameObject(selectedObj.id, { components: updated });
+                                    }}
+                                  />
+                                  <datalist id="collision-layer-options">
+                                    {collectCollisionLayers(gameObjects).map((layer) => (
+                                      <option key={layer} value={layer} />
+                                    ))}
+                                  </datalist>
+                                </div>
+
+                                <div className="propertyGroup">
+                                  <label className="propertyLabel">Layer Matrix (whole scene)</label>
+                                  {(() => {
+                                    const layers = Array.from(
+                                      new Set([...collectCollisionLayers(gameObjects), ...Object.keys(collisionMatrix || {})])
+                                    );
+                                    const rowAllows = (layer, other) =>
+                                      !collisionMatrix?.[layer] || collisionMatrix[layer].includes(other);
+                                    const togglePair = (layerA, layerB, enabled) => {
+                                      const next = { ...(collisionMatrix || {}) };
+                                      [[layerA, layerB], [layerB, layerA]].forEach(([layer, other]) => {
+                                        const row = next[layer] ?? layers;
+                                        next[layer] = enabled
+                                          ? Array.from(new Set([...row, other]))
+                                          : row.filter((entry) => entry !== other);
+                                      });
+                                      // Rows that allow every layer are the same as no row
+                                      Object.keys(next).forEach((layer) => {
+                                        if (layers.every((other) => next[layer].includes(other))) {
+                                          delete next[layer];
+                                        }
+                                      });
+                                      setCollisionMatrix(Object.keys(next).length > 0 ? next : null);
+                                    };
+                                    return (
+                                      <table className="layerMatrix">
+                                        <thead>
+                                          <tr>
+                                            <th />
+                                            {layers.map((layer) => (
+                                              <th key={layer} title={layer}>{layer}</th>
+                                            ))}
+                                          </tr>
+                                        </thead>
+                                        <tbody>
+                                          {layers.map((layer, row) => (
+                                            <tr key={layer}>
+                                              <th title={layer}>{layer}</th>
+                                              {layers.map((other, column) => (
+                                                <td key={other}>
+                                                  {column <= row && (
+                                                    <input
+                                                      type="checkbox"
+                                                      checked={rowAllows(layer, other) && rowAllows(other, layer)}
+                                                      onChange={(e) => togglePair(layer, other, e.target.checked)}
+                                                    />
+                                                  )}
+                                                </td>
+                                              ))}
+                                            </tr>
+                                          ))}
+                                        </tbody>
+                                      </table>
+                                    );
+                                  })()}
+                                  <div style={{ fontSize: '10px', color: '#666' }}>Checked layers collide with each other in this scene</div>
+                                </div>
+
+                                <div className="propertyGroup">
+                                  <label className="propertyLabel">Mask (this object only)</label>
+                                  {(() => {
+                                    const layers = collectCollisionLayers(gameObjects);
+                                    const ownLayer = component.layer || 'default';
+                                    const mask = Array.isArray(component.mask) ? component.mask : null;
+                                    const toggleLayer = (layer, enabled) => {
+                                      const current = mask ?? layers;
+                                      const nextMask = enabled
+                                        ? Array.from(new Set([...current, layer]))
+                                        : current.filter((entry) => entry !== layer);
+                                      const updated = selectedObj.components.map((c, componentIndex) =>
+                                        componentIndex === index
+                                          ? { ...c, mask: layers.every((l) => nextMask.includes(l)) ? null : nextMask }
+                                          : c
+                                      );
+                                      updateGameObject(selectedObj.id, { components: updated });
+                                    };
+                                    return (
+                                      <table className="layerMatrix">
+                                        <thead>
+                                          <tr>
+                                            <th />
+                                            {layers.map((layer) => (
+                                              <th key={layer} title={layer}>{layer}</th>
+                                            ))}
+                                          </tr>
+                                        </thead>
+                                        <tbody>
+                                          <tr>
+                                            <th title={ownLayer}>{ownLayer}</th>
+                                            {layers.map((layer) => (
+                                              <td key={layer}>
+                                                <input
+                                                  type="checkbox"
+                                                  checked={!mask || mask.includes(layer)}
+                                                  onChange={(e) => toggleLayer(layer, e.target.checked)}
+                                                />
+                                              </td>
+                                            ))}
+                                          </tr>
+                                        </tbody>
+                                      </table>
+                                    );
+                                  })()}
+                                  <div style={{ fontSize: '10px', color: '#666' }}>Narrows the matrix; both objects' masks must include each other's layer to collide</div>
+                                </div>
+
                                 <div className="propertyGroup">
                                   <label className="propertyLabel">Restitution (Bounciness)</label>
                                   <input
@@ -6239,22 +7071,86 @@ export default function App() {
                                     {' '}Gravity
                                   </label>
                                 </div>
-                                <div className="propertyGroup">
-                                  <label className="propertyLabel">
+                                {component.gravity !== false && (
+                                  <div className="propertyGroup">
+                                    <label className="propertyLabel">Gravity Scale</label>
                                     <input
-                                      type="checkbox"
-                                      checked={component.isStatic ?? false}
+                                      className="propertyInput"
+                                      type="number"
+                                      step="0.1"
+                                      value={component.gravityScale ?? 1}
                                       onChange={(e) => {
+                                        const value = parseFloat(e.target.value);
                                         const updated = selectedObj.components.map((c, componentIndex) =>
-                                          componentIndex === index ? { ...c, isStatic: e.target.checked } : c
+                                          componentIndex === index ? { ...c, gravityScale: Number.isFinite(value) ? value : 1 } : c
                                         );
                                         updateGameObject(selectedObj.id, { components: updated });
                                       }}
                                     />
-                                    {' '}Static Body
-                                  </label>
-                                  <div style={{ fontSize: '10px', color: '#666' }}>Static bodies don't move and block dynamic bodies.</div>
+                                    <div style={{ fontSize: '10px', color: '#666' }}>Multiplier on world gravity (ctx.setGravity)</div>
+                                  </div>
+                                )}
+                                <div className="propertyGroup">
+                                  <label className="propertyLabel">Body Type</label>
+                                  <select
+                                    className="propertyInput"
+                                    value={component.isStatic ? 'static' : component.isKinematic ? 'kinematic' : 'dynamic'}
+                                    onChange={(e) => {
+                                      const bodyType = e.target.value;
+                                      const updated = selectedObj.components.map((c, componentIndex) =>
+                                        componentIndex === index
+                                          ? { ...c, isStatic: bodyType === 'static', isKinematic: bodyType === 'kinematic' }
+                                          : c
+                                      );
+                                      updateGameObject(selectedObj.id, { components: updated });
+                                    }}
+                                  >
+                                    <option value="dynamic">Dynamic</option>
+                                    <option value="static">Static</option>
+                                    <option value="kinematic">Kinematic</option>
+                                  </select>
+                                  <div style={{ fontSize: '10px', color: '#666' }}>
+                                    {component.isKinematic && !component.isStatic
+                                      ? 'Kinematic bodies are moved by scripts (moveAndSlide) and never pushed.'
+                                      : "Static bodies don't move and block dynamic bodies."}
+                                  </div>
                                 </div>
+                                {!component.isStatic && !component.isKinematic && (
+                                  <div className="propertyGroup">
+                                    <label className="propertyLabel">
+                                      <input
+                                        type="checkbox"
+                                        checked={component.bullet ?? false}
+                                        onChange={(e) => {
+                                          const updated = selectedObj.components.map((c, componentIndex) =>
+                                            componentIndex === index ? { ...c, bullet: e.target.checked } : c
+                                          );
+                                          updateGameObject(selectedObj.id, { components: updated });
+                                        }}
+                                      />
+                                      {' '}Bullet (Continuous Collision)
+                                    </label>
+                                    <div style={{ fontSize: '10px', color: '#666' }}>Stops fast movers at static bodies instead of passing through.</div>
+                                  </div>
+                                )}
+                                {!component.isStatic && !component.isKinematic && (
+                                  <div className="propertyGroup">
+                                    <label className="propertyLabel">
+                                      <input
+                                        type="checkbox"
+                                        checked={component.fixedRotation ?? false}
+                                        onChange={(e) => {
+                                          const updated = selectedObj.components.map((c, componentIndex) =>
+                                            componentIndex === index ? { ...c, fixedRotation: e.target.checked } : c
+                                          );
+                                          updateGameObject(selectedObj.id, { components: updated });
+                                        }}
+                                      />
+                                      {' '}Fixed Rotation
+                                    </label>
+                                    <div style={{ fontSize: '10px', color: '#666' }}>Keeps the body upright when it hits rotated rects or polygons.</div>
+                                  </div>
+                                )}
                                 <div className="propertyGroup">
                                   <label className="propertyLabel">Velocity X</label>
                                   <input
@@ -6481,6 +7377,184 @@ export default function App() {
                                 </div>
                               </>
                             )}
+
+                            {component.type === 'State' && (() => {
+                              const runtimeTag = getRuntimeTags(gameObjects).get(selectedObj.id);
+                              const liveState = isGameRunning ? liveStates[runtimeTag] : undefined;
+                              const setStateProps = (patch) => {
+                                const updated = selectedObj.components.map((c, componentIndex) =>
+                                  componentIndex === index ? { ...c, ...patch } : c
+                                );
+                                updateGameObject(selectedObj.id, { components: updated });
+                              };
+                              return (
+                                <>
+                                  {isGameRunning && (
+                                    <div className="propertyGroup">
+                                      <label className="propertyLabel">Current State</label>
+                                      <div style={{ fontSize: '12px', fontFamily: 'monospace', color: liveState ? '#ffd60a' : '#666' }}>
+                                        {liveState ?? (debugMode ? 'waiting for the game…' : 'turn on Debug to follow states')}
+                                      </div>
+                                    </div>
+                                  )}
+                                  <div className="propertyGroup">
+                                    <label className="propertyLabel">Initial State</label>
+                                    <input
+                                      className="propertyInput"
+                                      type="text"
+                                      placeholder="idle"
+                                      value={component.initial ?? ''}
+                                      onChange={(e) => setStateProps({ initial: e.target.value.trim() })}
+                                    />
+                                  </div>
+                                  <div className="propertyGroup">
+                                    <label className="propertyLabel">Allowed States</label>
+                                    <input
+                                      className="propertyInput"
+                                      type="text"
+                                      placeholder="idle, chase, attack"
+                                      value={(component.states || []).join(', ')}
+                                      onChange={(e) => {
+                                        const states = e.target.value
+                                          .split(',')
+                                          .map(name => name.trim())
+                                          .filter(Boolean);
+                                        setStateProps({ states });
+                                      }}
+                                    />
+                                    <div style={{ fontSize: '10px', color: '#666' }}>Empty = any state. Scripts switch with obj.enterState("chase").</div>
+                                  </div>
+                                </>
+                              );
+                            })()}
+                            {component.type === 'Particles' && (() => {
+                              const setParticleProps = (patch) => {
+                                const updated = selectedObj.components.map((c, componentIndex) =>
+                                  componentIndex === index ? { ...c, ...patch } : c
+                                );
+                                updateGameObject(selectedObj.id, { components: updated });
+                              };
+                              const toRange = (value) => (Array.isArray(value) ? value : [value ?? 0, value ?? 0]);
+                              const lifetime = toRange(component.lifetime ?? 1);
+                              const speed = toRange(component.speed ?? 100);
+                              const colors = component.colors?.length ? component.colors : ['#ffffff'];
+                              const numberField = (label, key, fallback, extra = {}) => (
+                                <div className="propertyGroup">
+                                  <label className="propertyLabel">{label}</label>
+                                  <input
+                                    className="propertyInput"
+                                    type="number"
+                                    value={component[key] ?? fallback}
+                                    onChange={(e) => {
+                                      const value = parseFloat(e.target.value);
+                                      setParticleProps({ [key]: Number.isFinite(value) ? value : fallback });
+                                    }}
+                                    {...extra}
+                                  />
+                                </div>
+                              );
+                              const rangeField = (label, key, range) => (
+                                <div className="propertyGroup">
+                                  <label className="propertyLabel">{label}</label>
+                                  <div style={{ display: 'flex', gap: '4px' }}>
+                                    {[0, 1].map((end) => (
+                                      <input
+                                        key={end}
+                                        className="propertyInput"
+                                        type="number"
+                                        min="0"
+                                        step="0.1"
+                                        value={range[end]}
+                                        title={end === 0 ? 'Min' : 'Max'}
+                                        onChange={(e) => {
+                                          const next = [...range];
+                                          next[end] = Math.max(0, parseFloat(e.target.value) || 0);
+                                          setParticleProps({ [key]: next });
+                                        }}
+                                      />
+                                    ))}
+                                  </div>
+                                </div>
+                              );
+
+                              return (
+                                <>
+                                  {numberField('Rate (per second)', 'rate', 0, { min: '0' })}
+                                  {rangeField('Lifetime (s) min / max', 'lifetime', lifetime)}
+                                  {rangeField('Speed min / max', 'speed', speed)}
+                                  {numberField('Angle (°)', 'angle', -90, { step: '15' })}
+                                  {numberField('Spread (°)', 'spread', 180, { min: '0', max: '180', step: '5' })}
+                                  {numberField('Gravity', 'gravity', 0, { step: '50' })}
+                                  <div className="propertyGroup">
+                                    <label className="propertyLabel">Colors (over life)</label>
+                                    <div style={{ display: 'flex', gap: '4px', flexWrap: 'wrap', alignItems: 'center' }}>
+                                      {colors.map((color, colorIndex) => (
+                                        <span key={colorIndex} style={{ display: 'inline-flex', alignItems: 'center' }}>
+                                          <input
+                                            type="color"
+                                            value={color}
+                                            onChange={(e) => {
+                                              const next = [...colors];
+                                              next[colorIndex] = e.target.value;
+                                              setParticleProps({ colors: next });
+                                            }}
+                                          />
+                                          {colors.length > 1 && (
+                                            <button
+                                              type="button"
+                                              className="treeActionIcon"
+                                              title="Remove color"
+                                              onClick={() => setParticleProps({ colors: colors.filter((_, i) => i !== colorIndex) })}
+                                            >
+                                              ✕
+                                            </button>
+                                          )}
+                                        </span>
+                                      ))}
+                                      <button
+                                        type="button"
+                                        className="treeActionIcon"
+                                        title="Add color"
+                                        onClick={() => setParticleProps({ colors: [...colors, colors[colors.length - 1]] })}
+                                      >
+                                        ＋
+                                      </button>
+                                    </div>
+                                  </div>
+                                  <div className="propertyGroup">
+                                    <label className="propertyLabel">Sizes (over life)</label>
+                                    <input
+                                      key={(component.sizes ?? [8]).join(',')}
+                                      className="propertyInput"
+                                      type="text"
+                                      defaultValue={(component.sizes ?? [8]).join(', ')}
+                                      placeholder="8, 2"
+                                      onBlur={(e) => {
+                                        const sizes = e.target.value
+                                          .split(',')
+                                          .map((size) => parseFloat(size))
+                                          .filter((size) => Number.isFinite(size) && size >= 0);
+                                        setParticleProps({ sizes: sizes.length > 0 ? sizes : [8] });
+                                      }}
+                                    />
+                                  </div>
+                                  {numberField('Fade (share of life)', 'fade', 0, { min: '0', max: '1', step: '0.1' })}
+                                  {numberField('Max Particles', 'max', 500, { min: '1', step: '50' })}
+                                  <div className="propertyGroup">
+                                    <label className="propertyLabel">
+                                      <input
+                                        type="checkbox"
+                                        checked={component.emitting !== false}
+                                        onChange={(e) => setParticleProps({ emitting: e.target.checked })}
+                                      />
+                                      {' '}Emit on Start
+                                    </label>
+                                    <div style={{ fontSize: '10px', color: '#666' }}>Off = only emits on burst(n) from a script.</div>
+                                  </div>
+                                  <ParticlePreview settings={{ ...component, lifetime, speed, colors }} />
+                                </>
+                              );
+                            })()}
                           </>
                         )}
                       </div>
@@ -6540,6 +7614,20 @@ export default function App() {
                       >
                         📝 Text
                       </button>
+                      <button 
+                        className="componentBtn"
+                        onClick={() => addComponent(selectedObj.id, 'Particles')}
+                        title="Add Particle Emitter"
+                      >
+                        ✨ Particles
+                      </button>
+                      <button 
+                        className="componentBtn"
+                        onClick={() => addComponent(selectedObj.id, 'State')}
+                        title="Add State Machine"
+                      >
+                        🔀 State
+                      </button>
                     </div>
                   </div>
                 </div>
@@ -0,0 +1,142 @@
+import React, { useEffect, useRef } from 'react';
+import './ParticlePreview.css';
+
+const PREVIEW_WIDTH = 220;
+const PREVIEW_HEIGHT = 140;
+
+// '#rgb', '#rrggbb' or '#rrggbbaa' to [r, g, b, a] (0-255, alpha 0-1); anything else is white
+function parseHexColor(color) {
+  let hex = typeof color === 'string' ? color.trim().replace(/^#/, '') : '';
+  if (hex.length === 3) {
+    hex = hex.split('').map((digit) => digit + digit).join('');
+  }
+  if (!/^[0-9a-f]{6}([0-9a-f]{2})?$/i.test(hex)) {
+    return [255, 255, 255, 1];
+  }
+  return [
+    parseInt(hex.slice(0, 2), 16),
+    parseInt(hex.slice(2, 4), 16),
+    parseInt(hex.slice(4, 6), 16),
+    hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1,
+  ];
+}
+
+function pick(range) {
+  if (Array.isArray(range)) {
+    return range[0] + Math.random() * (range[1] - range[0]);
+  }
+  return Number(range) || 0;
+}
+
+// Same blend as the engine: evenly spaced stops over the particle's life
+function blend(stops, t, channel) {
+  if (stops.length === 1) return stops[0][channel];
+  const position = t * (stops.length - 1);
+  const index = Math.min(Math.floor(position), stops.length - 2);
+  const local = position - index;
+  return stops[index][channel] + (stops[index + 1][channel] - stops[index][channel]) * local;
+}
+
+/**
+ * Live preview of a Particles component, simulated like the engine's particles()
+ * The emitter sits in the middle of the box; Burst fires `burstCount` particles.
+ */
+export default function ParticlePreview({ settings, burstCount = 20 }) {
+  const canvasRef = useRef(null);
+  const settingsRef = useRef(settings);
+  const particlesRef = useRef([]);
+  settingsRef.current = settings;
+
+  const spawn = (count) => {
+    const current = settingsRef.current;
+    const room = Math.max(0, (current.max ?? 500) - particlesRef.current.length);
+    for (let i = 0; i < Math.min(count, room); i++) {
+      const angle = (((current.angle ?? -90) + (Math.random() * 2 - 1) * (current.spread ?? 180)) * Math.PI) / 180;
+      const speed = pick(current.speed ?? 100);
+      particlesRef.current.push({
+        x: PREVIEW_WIDTH / 2,
+        y: PREVIEW_HEIGHT / 2,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        age: 0,
+        life: Math.max(pick(current.lifetime ?? 1), 0.001),
+      });
+    }
+  };
+
+  useEffect(() => {
+    let frameId = null;
+    let lastTime = performance.now();
+    let spawnCarry = 0;
+
+    const frame = (now) => {
+      const dt = Math.min((now - lastTime) / 1000, 0.1);
+      lastTime = now;
+      const current = settingsRef.current;
+
+      if (current.emitting !== false && current.rate > 0) {
+        spawnCarry += current.rate * dt;
+        const count = Math.floor(spawnCarry);
+        spawnCarry -= count;
+        spawn(count);
+      }
+
+      const colors = (current.colors?.length ? current.colors : ['#ffffff']).map(parseHexColor);
+      const sizes = (current.sizes?.length ? current.sizes : [8]).map((size) => [size]);
+      const fade = Math.min(Math.max(current.fade ?? 0, 0), 1);
+      const ctx = canvasRef.current?.getContext('2d');
+      if (ctx) {
+        ctx.clearRect(0, 0, PREVIEW_WIDTH, PREVIEW_HEIGHT);
+      }
+
+      particlesRef.current = particlesRef.current.filter((particle) => {
+        particle.age += dt;
+        if (particle.age >= particle.life) return false;
+        particle.vy += (current.gravity ?? 0) * dt;
+        particle.x += particle.vx * dt;
+        particle.y += particle.vy * dt;
+        if (!ctx) return true;
+
+        const t = particle.age / particle.life;
+        let alpha = blend(colors, t, 3);
+        if (fade > 0 && t > 1 - fade) {
+          alpha *= (1 - t) / fade;
+        }
+        const size = Math.max(0, blend(sizes, t, 0));
+        ctx.globalAlpha = alpha;
+        ctx.fillStyle = `rgb(${blend(colors, t, 0)}, ${blend(colors, t, 1)}, ${blend(colors, t, 2)})`;
+        ctx.beginPath();
+        ctx.arc(particle.x, particle.y, size / 2, 0, Math.PI * 2);
+        ctx.fill();
+        return true;
+      });
+      if (ctx) {
+        ctx.globalAlpha = 1;
+      }
+
+      frameId = requestAnimationFrame(frame);
+    };
+
+    frameId = requestAnimationFrame(frame);
+    return () => cancelAnimationFrame(frameId);
+  }, []);
+
+  return (
+    <div className="particlePreview">
+      <canvas
+        ref={canvasRef}
+        className="particlePreviewCanvas"
+        width={PREVIEW_WIDTH}
+        height={PREVIEW_HEIGHT}
+      />
+      <div className="particlePreviewActions">
+        <button type="button" className="modalButton" onClick={() => spawn(burstCount)}>
+          ✨ Burst {burstCount}
+        </button>
+        <button type="button" className="modalButton" onClick={() => { particlesRef.current = []; }}>
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+}
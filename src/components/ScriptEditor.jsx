@@ -28,6 +28,7 @@ function ready() {
 
 function update(dt: number) {
   // Called every frame (dt = delta time)
+  // Physics code can go in fixedUpdate(dt) instead, which runs at a fixed rate
   
   // Example: Animate position
   // const transform = this.get('transform');
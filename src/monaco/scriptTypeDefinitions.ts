@@ -17,6 +17,7 @@ declare namespace ReGame {
   interface Component {
     id: string;
     update?: (dt: number) => void;
+    fixedUpdate?: (dt: number) => void;
     destroy?: () => void;
     [key: string]: unknown;
   }
@@ -24,6 +25,7 @@ declare namespace ReGame {
   interface TransformComponent extends Component {
     id: 'transform';
     pos: AnimatedVec2;
+    renderPos?: AnimatedVec2;
     scale: Vec2;
     rotation: number;
     visible: SharedValue<number>;
@@ -34,7 +36,18 @@ declare namespace ReGame {
     velocity: Vec2;
     acceleration: Vec2;
     mass: number;
+    angularVelocity: number;
+    inertia?: number;
+    torque?: number;
+    fixedRotation?: boolean;
     isStatic?: boolean;
+    isKinematic?: boolean;
+    gravity?: boolean;
+    gravityScale?: number;
+    jumpForce?: number;
+    bullet?: boolean;
+    grounded?: boolean;
+    falling?: boolean;
   }
 
   interface RectComponent extends Component {
@@ -50,6 +63,13 @@ declare namespace ReGame {
     color: string;
   }
 
+  interface SpriteAnim {
+    from: number;
+    to: number;
+    speed?: number;
+    loop?: boolean;
+  }
+
   interface SpriteComponent extends Component {
     id: 'sprite';
     source: number | string;
@@ -57,9 +77,57 @@ declare namespace ReGame {
     height: number;
     origin?: Vec2;
     dataUri?: string;
+    sliceX: number;
+    sliceY: number;
+    anims: Record<string, SpriteAnim>;
+    frame: SharedValue<number>;
+    flipX: SharedValue<boolean>;
+    flipY: SharedValue<boolean>;
+    curAnim: string | null;
   }
 
-  type CollisionShape = 'rect' | 'circle';
+  type ParticleRange = number | [number, number];
+
+  interface ParticlesOptions {
+    rate?: number;
+    lifetime?: ParticleRange;
+    speed?: ParticleRange;
+    angle?: number;
+    spread?: number;
+    gravity?: number;
+    colors?: string[];
+    sizes?: number[];
+    fade?: number;
+    texture?: number | string;
+    max?: number;
+    emitting?: boolean;
+  }
+
+  interface ParticlesComponent extends Component {
+    id: 'particles';
+    rate: number;
+    lifetime: ParticleRange;
+    speed: ParticleRange;
+    angle: number;
+    spread: number;
+    gravity: number;
+    colors: string[];
+    sizes: number[];
+    fade: number;
+    texture: number | string | null;
+    max: number;
+    emitting: boolean;
+    burst(count: number): void;
+    start(): void;
+    stop(): void;
+    clear(): void;
+  }
+
+  type CollisionShape = 'rect' | 'circle' | 'polygon';
+
+  type CollisionLayer = string | number;
+  // For each named layer, the layers it collides with
+  type CollisionMatrix = Record<string, CollisionLayer[]>;
 
   interface AreaComponent extends Component {
     id: 'area';
@@ -67,10 +135,15 @@ declare namespace ReGame {
     width?: number;
     height?: number;
     radius?: number;
+    points?: Vec2[];
     offset?: Vec2;
     scale?: Vec2;
     cursor?: string | null;
     collisionIgnore?: string[];
+    layer?: CollisionLayer;
+    mask?: CollisionLayer[] | null;
+    sensor?: boolean;
+    oneWay?: Vec2 | null;
     restitution?: number;
     friction?: number;
   }
@@ -85,14 +158,44 @@ declare namespace ReGame {
     color?: string;
   }
 
+  interface ZComponent extends Component {
+    id: 'z';
+    value: number;
+  }
+
+  interface LayerComponent extends Component {
+    id: 'layer';
+    name: string;
+  }
+
+  type StateTransitions = string[] | Record<string, string[]>;
+
+  interface StateComponent extends Component {
+    id: 'state';
+    current: string;
+    allowed: StateTransitions | null;
+  }
+
+  type DebugEvent = { type: 'state'; id: string; tags: string[]; state: string };
+
+  interface StayComponent extends Component {
+    id: 'stay';
+    scenes: string[] | null;
+  }
+
   interface ComponentMap {
     transform: TransformComponent;
     body: BodyComponent;
     rect: RectComponent;
     circle: CircleComponent;
     sprite: SpriteComponent;
+    particles: ParticlesComponent;
     area: AreaComponent;
     text: TextComponent;
+    z: ZComponent;
+    layer: LayerComponent;
+    stay: StayComponent;
+    state: StateComponent;
     [key: string]: Component;
   }
 
@@ -108,27 +211,70 @@ declare namespace ReGame {
     | 'alt'
     | string;
 
+  interface QueryOptions {
+    tags?: string[];
+    ignore?: (GameObject | string)[];
+  }
+
+  interface KinematicCollision {
+    object: GameObject;
+    normal: Vec2;
+    depth: number;
+    travel: Vec2;
+    remainder: Vec2;
+  }
+
+  interface CollisionContact {
+    normal: Vec2;
+    depth: number;
+    points: Vec2[];
+    relativeVelocity: Vec2;
+  }
+
+  interface RaycastHit {
+    object: GameObject;
+    point: Vec2;
+    normal: Vec2;
+    distance: number;
+  }
+
   interface GameObject {
     readonly id: string;
     readonly tags: string[];
     components: Map<string, Component>;
     parent: GameObject | null;
     children: GameObject[];
+    // Draw order: layer first, then z (higher on top); null/unset inherits from the parent
+    z: number;
+    layer: string | null;
     get<T extends keyof ComponentMap>(id: T): ComponentMap[T] | undefined;
     get<T = Component>(id: string): T | undefined;
     has(id: string): boolean;
     add(component: Component): this;
     addChild(components: (Component | string)[]): GameObject;
     removeChild(child: GameObject): void;
+    setParent(parent: GameObject | null): void;
+    // World transforms (pos/rotation/scale are relative to the parent)
+    worldPos(): Vec2;
+    worldRotation(): number;
+    worldScale(): Vec2;
+    toWorld(point: Vec2): Vec2;
+    toLocal(point: Vec2): Vec2;
+    setWorldPos(point: Vec2): void;
+    moveBy(dx: number, dy: number): void;
     addTag(tag: string): this;
     hasTag(tag: string): boolean;
     on(event: string, handler: (this: GameObject, ...args: any[]) => void): void;
     off(event: string, handler?: (this: GameObject, ...args: any[]) => void): void;
     trigger(event: string, ...args: any[]): void;
-    onCollide(tag: string, callback: (other: GameObject) => void): void;
-    onCollideUpdate(tag: string, callback: (other: GameObject) => void): void;
-    onCollideEnd(tag: string, callback: (other: GameObject) => void): void;
+    // Collision callbacks also get the contact (normal points away from the other object)
+    onCollide(tag: string, callback: (other: GameObject, contact: CollisionContact) => void): void;
+    onCollideUpdate(tag: string, callback: (other: GameObject, contact: CollisionContact) => void): void;
+    onCollideEnd(tag: string, callback: (other: GameObject, contact: CollisionContact) => void): void;
+    isColliding(target?: string | GameObject): boolean;
+    getCollisions(): GameObject[];
     update(dt: number): void;
+    fixedUpdate(dt: number): void;
     destroy(): void;
     
     // Text component properties (available when text() component is added)
@@ -136,26 +282,272 @@ declare namespace ReGame {
     textSize?: number;
     textColor?: string;
     textAlign?: 'left' | 'center' | 'right';
+
+    // Body helpers (available when body() component is added)
+    isGrounded?(): boolean;
+    jump?(force?: number): void;
+    onGround?(handler: (ground: GameObject) => void): void;
+    onFall?(handler: () => void): void;
+    moveAndCollide?(motion: Vec2): KinematicCollision | null;
+    moveAndSlide?(velocity: Vec2): KinematicCollision[];
+    applyTorque?(torque: number): void;
+    applyImpulseAt?(impulse: Vec2, point: Vec2): void;
+    dropThrough?(): void;
+
+    // Sprite helpers (available when sprite() component is added)
+    frame?: number;
+    flipX?: boolean;
+    flipY?: boolean;
+    play?(anim: string, options?: { loop?: boolean; speed?: number }): void;
+    stop?(): void;
+    curAnim?(): string | null;
+    onAnimEnd?(handler: (anim: string) => void): void;
+
+    // Particle helpers (available when particles() component is added)
+    burst?(count: number): void;
+
+    // State machine helpers (available when state() component is added)
+    state?: string;
+    enterState?(name: string, ...args: any[]): void;
+    onStateEnter?(name: string, handler: (...args: any[]) => void): void;
+    onStateUpdate?(name: string, handler: (dt: number) => void): void;
+    onStateEnd?(name: string, handler: () => void): void;
+
+    // Pooled objects (spawned by ctx.pool()): back to the pool instead of destroyed
+    release?(): void;
+
+    // Timers and tweens (cancelled when this object is destroyed)
+    wait(seconds: number, action: () => void): TimerController;
+    loop(seconds: number, action: () => void): TimerController;
+    tween(from: number, to: number, duration: number, setter: ((value: number) => void) | SharedValue<number>, easing?: Easing): TweenController;
+    tween(from: Vec2, to: Vec2, duration: number, setter: ((value: Vec2) => void) | AnimatedVec2, easing?: Easing): TweenController;
+  }
+
+  interface LevelOptions {
+    tileWidth: number;
+    tileHeight: number;
+    pos?: Vec2;
+    tiles: Record<string, (tile: Vec2) => (Component | string)[]>;
+    wildcardTile?: (symbol: string, tile: Vec2) => (Component | string)[] | null | undefined;
+    mergeColliders?: boolean | string[];
+  }
+
+  interface Level extends GameObject {
+    readonly tileWidth: number;
+    readonly tileHeight: number;
+    numRows(): number;
+    numColumns(): number;
+    levelWidth(): number;
+    levelHeight(): number;
+    tile2Pos(x: number, y: number): Vec2;
+    tile2Pos(tile: Vec2): Vec2;
+    pos2Tile(x: number, y: number): Vec2;
+    pos2Tile(pos: Vec2): Vec2;
+    getAt(x: number, y: number): GameObject[];
+    getAt(tile: Vec2): GameObject[];
+    spawn(symbolOrComponents: string | (Component | string)[], x: number, y: number): GameObject | null;
+    spawn(symbolOrComponents: string | (Component | string)[], tile: Vec2): GameObject | null;
+  }
+
+  interface CameraFollowOptions {
+    lerp?: number;
+    deadzone?: { width: number; height: number };
+    bounds?: { x: number; y: number; width: number; height: number };
+  }
+
+  type EasingName =
+    | 'linear'
+    | 'easeInSine' | 'easeOutSine' | 'easeInOutSine'
+    | 'easeInQuad' | 'easeOutQuad' | 'easeInOutQuad'
+    | 'easeInCubic' | 'easeOutCubic' | 'easeInOutCubic'
+    | 'easeInQuart' | 'easeOutQuart' | 'easeInOutQuart'
+    | 'easeInQuint' | 'easeOutQuint' | 'easeInOutQuint'
+    | 'easeInExpo' | 'easeOutExpo' | 'easeInOutExpo'
+    | 'easeInCirc' | 'easeOutCirc' | 'easeInOutCirc'
+    | 'easeInBack' | 'easeOutBack' | 'easeInOutBack'
+    | 'easeInElastic' | 'easeOutElastic' | 'easeInOutElastic'
+    | 'easeInBounce' | 'easeOutBounce' | 'easeInOutBounce';
+
+  type Easing = ((t: number) => number) | EasingName;
+
+  interface TimerController {
+    cancel(): void;
+    readonly done: boolean;
+  }
+
+  interface TweenController extends TimerController {
+    finish(): void;
+    onEnd(handler: () => void): TweenController;
+  }
+
+  interface PlaySoundOptions {
+    volume?: number;
+    loop?: boolean;
+    speed?: number;
+    // Pitch shift in cents (100 = one semitone)
+    detune?: number;
+    paused?: boolean;
+  }
+
+  interface MusicOptions {
+    volume?: number;
+    loop?: boolean;
+    speed?: number;
+    detune?: number;
+    channel?: string;
+    crossfade?: number;
+  }
+
+  interface SoundHandle {
+    volume: number;
+    speed: number;
+    detune: number;
+    loop: boolean;
+    readonly paused: boolean;
+    readonly stopped: boolean;
+    play(): void;
+    pause(): void;
+    stop(): void;
+    seek(seconds: number): void;
+    time(): number;
+    duration(): number;
+    fadeTo(volume: number, seconds: number): SoundHandle;
+    onEnd(handler: () => void): SoundHandle;
+  }
+
+  type JointType = 'distance' | 'spring' | 'pin' | 'rope';
+
+  interface JointOptions {
+    type: JointType;
+    a: GameObject;
+    b?: GameObject | null;
+    anchorA?: Vec2;
+    anchorB?: Vec2;
+    length?: number;
+    stiffness?: number;
+    damping?: number;
+  }
+
+  interface Joint {
+    readonly id: string;
+    readonly type: JointType;
+    readonly a: GameObject;
+    readonly b: GameObject | null;
+    anchorA: Vec2;
+    anchorB: Vec2;
+    length: number;
+    stiffness: number;
+    damping: number;
+  }
+
+  type TransitionName = 'none' | 'fade' | 'slide';
+
+  // Overlay for one frame: fully covering at opacity 1 and x = y = 0 (offsets in screen sizes)
+  type TransitionFunction = (t: number, phase: 'out' | 'in') => { opacity?: number; x?: number; y?: number };
+
+  interface GoOptions {
+    transition?: TransitionName | TransitionFunction;
+    duration?: number;
+    color?: string;
+  }
+
+  interface PoolSpawnProps {
+    pos?: Vec2;
+    rotation?: number;
+    scale?: Vec2;
+    velocity?: Vec2;
+    tags?: string[];
+    [key: string]: any;
+  }
+
+  interface PoolOptions {
+    size?: number;
+    onSpawn?: (obj: GameObject, props: PoolSpawnProps) => void;
+  }
+
+  interface Pool {
+    readonly name: string;
+    readonly active: number;
+    readonly available: number;
+    spawn(props?: PoolSpawnProps, parent?: GameObject): GameObject;
+    release(obj: GameObject): void;
+  }
+
+  interface PushSceneOptions {
+    visible?: boolean;
+    dim?: number;
+    onPop?: (result: any) => void;
   }
 
   interface GameContext {
     add(components: (Component | string)[], parent?: GameObject): GameObject;
     destroy(obj: GameObject): void;
     get(tag: string): GameObject[];
-    update(dt: number): void;
+    update(dt: number, alpha?: number): void;
+    fixedUpdate(dt: number): void;
+    step(dt: number): void;
     readonly objects: GameObject[];
     on(event: string, handler: (obj: GameObject, ...args: any[]) => void): () => void;
     on(event: string, tag: string, handler: (obj: GameObject, ...args: any[]) => void): () => void;
     off(event: string, handler?: (obj: GameObject, ...args: any[]) => void): void;
+    // Events for tools: the current state of every state() object, then each state change
+    onDebugEvent(listener: (event: DebugEvent) => void): () => void;
     onKeyDown(key: GameKey, callback: () => void): void;
     onKeyPress(key: GameKey, callback: () => void): void;
     onKeyRelease(key: GameKey, callback: () => void): void;
     isKeyDown(key: GameKey): boolean;
-    scene(name: string, fn: (ctx: GameContext) => void): void;
-    go(sceneName: string): void;
+    // Scenes: args reach the scene function; objects with stay() survive go()
+    scene(name: string, fn: (ctx: GameContext, args?: any) => void): void;
+    go(sceneName: string, args?: unknown, options?: GoOptions): void;
+    // Overlay scenes: the scene below is paused (no updates, input or collisions) and drawn dimmed
+    pushScene(sceneName: string, args?: unknown, options?: PushSceneOptions): void;
+    popScene(result?: unknown): void;
     getCurrentScene(): string | null;
     setViewport(width: number, height: number): void;
     getViewport(): { width: number; height: number };
+    setGravity(x: number, y: number): void;
+    getGravity(): Vec2;
+    setCollisionCellSize(size: number): void;
+    // Which layers collide in this scene; a pair must be allowed by both rows
+    setCollisionMatrix(matrix: CollisionMatrix | null): void;
+    getCollisionCellSize(): number;
+    raycast(origin: Vec2, direction: Vec2, maxDistance?: number, options?: QueryOptions): RaycastHit | null;
+    queryPoint(point: Vec2, options?: QueryOptions): GameObject[];
+    queryRect(center: Vec2, width: number, height: number, options?: QueryOptions): GameObject[];
+    queryCircle(center: Vec2, radius: number, options?: QueryOptions): GameObject[];
+    addJoint(options: JointOptions): Joint;
+    removeJoint(joint: Joint): void;
+    getJoints(obj?: GameObject): Joint[];
+    addLevel(map: string[], options: LevelOptions): Level;
+    // Reused objects: spawn() takes one from the pool, obj.release() puts it back
+    pool(name: string, factory: () => (Component | string)[], options?: PoolOptions): Pool;
+    // Render layers, drawn back to front
+    setLayers(layers: string[], defaultLayer?: string): void;
+    getLayers(): string[];
+    getDrawOrder(): GameObject[];
+    // Camera: camPos is the world point at the screen center
+    camPos(): Vec2;
+    camPos(x: number, y: number): Vec2;
+    camPos(pos: Vec2): Vec2;
+    camScale(scale?: number): number;
+    camRot(angle?: number): number;
+    camFollow(obj: GameObject | null, options?: CameraFollowOptions): void;
+    shake(intensity?: number): void;
+    toScreen(point: Vec2): Vec2;
+    toWorld(point: Vec2): Vec2;
+    // Timers and tweens (cancelled by go()); setters may be SharedValues like transform.pos.x
+    wait(seconds: number, action: () => void): TimerController;
+    loop(seconds: number, action: () => void): TimerController;
+    tween(from: number, to: number, duration: number, setter: ((value: number) => void) | SharedValue<number>, easing?: Easing): TweenController;
+    tween(from: Vec2, to: Vec2, duration: number, setter: ((value: Vec2) => void) | AnimatedVec2, easing?: Easing): TweenController;
+    // Audio: sounds are registered with loadSound(); music channels loop and crossfade
+    play(name: string, options?: PlaySoundOptions): SoundHandle;
+    playMusic(name: string, options?: MusicOptions): SoundHandle;
+    stopMusic(channel?: string, fadeOut?: number): void;
+    getMusic(channel?: string): SoundHandle | null;
+    stopAllSounds(): void;
+    volume(value?: number): number;
+    mute(muted?: boolean): boolean;
     // ✅ Unity/Kaboom-style input: ctx.input.left.value, ctx.input.right.value, etc.
     input: Record<GameKey, SharedValue<boolean>>;
   }
@@ -170,8 +562,20 @@ declare function body(options?: {
   velocity?: ReGame.Vec2;
   acceleration?: ReGame.Vec2;
   mass?: number;
+  angularVelocity?: number;
+  inertia?: number;
+  fixedRotation?: boolean;
   isStatic?: boolean;
+  isKinematic?: boolean;
+  gravity?: boolean;
+  gravityScale?: number;
+  jumpForce?: number;
+  bullet?: boolean;
 }): ReGame.BodyComponent;
+declare function z(value: number): ReGame.ZComponent;
+declare function layer(name: string): ReGame.LayerComponent;
+declare function stay(scenes?: string[]): ReGame.StayComponent;
+declare function state(initial: string, allowed?: ReGame.StateTransitions): ReGame.StateComponent;
 declare function rect(
   width: number,
   height: number,
@@ -185,17 +589,30 @@ declare function sprite(
   options?: {
     origin?: ReGame.Vec2;
     dataUri?: string;
+    sliceX?: number;
+    sliceY?: number;
+    anims?: Record<string, ReGame.SpriteAnim | number>;
+    anim?: string;
+    frame?: number;
+    flipX?: boolean;
+    flipY?: boolean;
   },
 ): ReGame.SpriteComponent;
+declare function particles(options?: ReGame.ParticlesOptions): ReGame.ParticlesComponent;
 declare function area(options?: {
-  shape?: 'rect' | 'circle' | 'auto';
+  shape?: 'rect' | 'circle' | 'polygon' | 'auto';
   width?: number;
   height?: number;
   radius?: number;
+  points?: ReGame.Vec2[];
   offset?: ReGame.Vec2;
   scale?: number | ReGame.Vec2;
   cursor?: string | null;
   collisionIgnore?: string[];
+  layer?: ReGame.CollisionLayer;
+  mask?: ReGame.CollisionLayer[] | null;
+  sensor?: boolean;
+  oneWay?: ReGame.Vec2 | null;
   restitution?: number;
   friction?: number;
 }): ReGame.AreaComponent;
@@ -216,6 +633,7 @@ declare function color(
   a?: number,
 ): string;
 declare function rgb(r: number, g: number, b: number): string;
+declare function loadSound(name: string, source: number | string): void;
 
 declare type GameScriptThis = ReGame.GameObject;
 `;
@@ -2,11 +2,50 @@
  * Generates JavaScript game code from editor GameObject data
  */
 
+const sanitizeBaseName = (name) =>
+  (name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_]+/g, '_')
+    .replace(/_{2,}/g, '_')
+    .replace(/^_+/, '')
+    .replace(/_+$/, '');
+
+const reserveIdentifier = (base, set) => {
+  let candidate = base;
+  if (!candidate || !/^[a-zA-Z_]/.test(candidate)) {
+    candidate = `node${base ? `_${candidate}` : ''}`;
+  }
+  let suffix = 1;
+  while (set.has(candidate)) {
+    candidate = `${base || 'node'}_${suffix++}`;
+  }
+  set.add(candidate);
+  return candidate;
+};
+
+/**
+ * The tag each editor object gets in the generated scene, by object id.
+ * Follows the same order as generateSceneCode so the running game can be matched back.
+ */
+export function getRuntimeTags(gameObjects) {
+  const usedTags = new Set();
+  const tags = new Map();
+  const walk = (nodes = []) => {
+    for (const node of nodes) {
+      tags.set(node.id, reserveIdentifier(sanitizeBaseName(node.name), usedTags));
+      walk(node.children || []);
+    }
+  };
+  walk(gameObjects || []);
+  return tags;
+}
+
 export function generateSceneCode(
   sceneName,
   gameObjects,
   existingOrViewport = '',
   maybeExistingCode = '',
+  sceneSettings = {},
 ) {
   const defaultViewport = { width: 360, height: 640 };
   let viewport = { ...defaultViewport };
@@ -18,6 +57,7 @@ export function generateSceneCode(
     viewport = {
       width: existingOrViewport.width ?? defaultViewport.width,
       height: existingOrViewport.height ?? defaultViewport.height,
+      camera: existingOrViewport.camera ?? null,
     };
     existingCode = typeof maybeExistingCode === 'string' ? maybeExistingCode : '';
   }
@@ -130,6 +170,10 @@ export function generateSceneCode(
         components.add('sprite');
       } else if (comp.type === 'Text') {
         components.add('text');
+      } else if (comp.type === 'Particles') {
+        components.add('particles');
+      } else if (comp.type === 'State') {
+        components.add('state');
       }
     });
     // Always include area for collision if Physics is present
@@ -145,27 +189,6 @@ export function generateSceneCode(
   const spriteAssetMap = new Map();
   const usedSpriteIdentifiers = new Set();
 
-  const sanitizeBaseName = (name) =>
-    (name || '')
-      .toLowerCase()
-      .replace(/[^a-z0-9_]+/g, '_')
-      .replace(/_{2,}/g, '_')
-      .replace(/^_+/, '')
-      .replace(/_+$/, '');
-
-  const reserveIdentifier = (base, set) => {
-    let candidate = base;
-    if (!candidate || !/^[a-zA-Z_]/.test(candidate)) {
-      candidate = `node${base ? `_${candidate}` : ''}`;
-    }
-    let suffix = 1;
-    while (set.has(candidate)) {
-      candidate = `${base || 'node'}_${suffix++}`;
-    }
-    set.add(candidate);
-    return candidate;
-  };
-
   const assignIdentifiers = (nodes = []) => {
     for (const node of nodes) {
       const baseName = sanitizeBaseName(node.name);
@@ -179,12 +202,17 @@ export function generateSceneCode(
 
   const reserveSpriteIdentifier = (base) => reserveIdentifier(base, usedSpriteIdentifiers);
 
+  // Asset paths are stored relative to the project; scenes live one folder down
+  const toSceneImportPath = (assetPath) => {
+    const normalizedPath = assetPath.replace(/\\/g, '/');
+    return normalizedPath.startsWith('.')
+      ? normalizedPath
+      : `../${normalizedPath.replace(/^\/+/, '')}`;
+  };
+
   const registerSpriteAsset = (imagePath = '') => {
     if (!imagePath) return null;
-    let normalizedPath = imagePath.replace(/\\/g, '/');
-    if (!normalizedPath.startsWith('.')) {
-      normalizedPath = `../${normalizedPath.replace(/^\/+/, '')}`;
-    }
+    const normalizedPath = toSceneImportPath(imagePath);
     if (spriteAssetMap.has(normalizedPath)) {
       return spriteAssetMap.get(normalizedPath);
     }
@@ -198,16 +226,52 @@ export function generateSceneCode(
 
   assignIdentifiers(gameObjects || []);
 
-  const buildComponentsForObject = (obj) => {
+  // Project sounds are registered by every scene so ctx.play(name) works anywhere
+  const soundAssets = (sceneSettings.sounds || [])
+    .filter(sound => sound && sound.name && sound.path)
+    .map(sound => {
+      const baseName = sanitizeBaseName(sound.name) || 'sound';
+      return {
+        name: sound.name,
+        identifier: reserveIdentifier(`${baseName}_sound`, usedSpriteIdentifiers),
+        importPath: toSceneImportPath(sound.path),
+      };
+    });
+  if (soundAssets.length > 0) {
+    components.add('loadSound');
+  }
+
+  // The editor stores absolute transforms, but addChild() positions are relative
+  // to the parent, so undo the parent's position and rotation for children
+  const getLocalTransform = (obj, parent) => {
+    const transform = obj.transform;
+    const rotation = transform.rotation ?? 0;
+    if (!parent) {
+      return { x: transform.x, y: transform.y, rotation };
+    }
+
+    const parentRotation = parent.transform.rotation ?? 0;
+    const angle = (-parentRotation * Math.PI) / 180;
+    const dx = transform.x - parent.transform.x;
+    const dy = transform.y - parent.transform.y;
+    return {
+      x: roundFactor(dx * Math.cos(angle) - dy * Math.sin(angle)),
+      y: roundFactor(dx * Math.sin(angle) + dy * Math.cos(angle)),
+      rotation: rotation - parentRotation,
+    };
+  };
+
+  const buildComponentsForObject = (obj, parent = null) => {
     const componentsList = [];
     const transform = obj.transform;
     const shapeComp = obj.components.find(c => c.type === 'Shape');
     const spriteComp = obj.components.find(c => c.type === 'Sprite');
+    const localTransform = getLocalTransform(obj, parent);
     
     // transform.x/y represents the anchor point position (not top-left)
     // Use it directly - the RenderSystem will apply anchor offset
-    const posX = transform.x;
-    const posY = transform.y;
+    const posX = localTransform.x;
+    const posY = localTransform.y;
 
     // Use uniform scaling based on width to preserve aspect ratio
     const scaleFactorX = viewportWidth;
@@ -228,8 +292,8 @@ export function generateSceneCode(
     componentsList.push(`pos(${posXExpr}, ${posYExpr})`);
     
     // Add rotation if not zero
-    if (transform.rotation && Math.abs(transform.rotation) > 0.01) {
-      componentsList.push(`rotate(${formatLiteral(transform.rotation)})`);
+    if (Math.abs(localTransform.rotation) > 0.01) {
+      componentsList.push(`rotate(${formatLiteral(localTransform.rotation)})`);
       components.add('rotate');
     }
     
@@ -238,6 +302,16 @@ export function generateSceneCode(
       componentsList.push(`anchor("${transform.anchor}")`);
       components.add('anchor');
     }
+
+    // Draw order; children without their own layer or z inherit the parent's
+    if (obj.layer) {
+      componentsList.push(`layer(${JSON.stringify(obj.layer)})`);
+      components.add('layer');
+    }
+    if (Number.isFinite(obj.z)) {
+      componentsList.push(`z(${formatLiteral(obj.z)})`);
+      components.add('z');
+    }
     if (spriteComp) {
       const spriteProps = spriteComp.properties ?? {};
     // Use uniform scaling for sprite dimensions too
@@ -271,6 +345,33 @@ export function generateSceneCode(
         scaleFactorY,
       );
       options.push(`origin: { x: ${originXExpr}, y: ${originYExpr} }`);
+      // Sprite sheet: frames are numbered row by row across sliceX columns and sliceY rows
+      const sliceX = Math.max(1, Math.floor(spriteProps.sliceX ?? 1));
+      const sliceY = Math.max(1, Math.floor(spriteProps.sliceY ?? 1));
+      if (sliceX > 1) {
+        options.push(`sliceX: ${sliceX}`);
+      }
+      if (sliceY > 1) {
+        options.push(`sliceY: ${sliceY}`);
+      }
+      const spriteAnims = (spriteProps.anims ?? []).filter(anim => anim?.name);
+      if (spriteAnims.length > 0) {
+        const animEntries = spriteAnims.map(anim => {
+          const key = /^[A-Za-z_$][\w$]*$/.test(anim.name) ? anim.name : `'${anim.name.replace(/'/g, "\\'")}'`;
+          const animProps = [`from: ${anim.from ?? 0}`, `to: ${anim.to ?? anim.from ?? 0}`];
+          if (anim.speed != null && anim.speed !== 10) {
+            animProps.push(`speed: ${formatLiteral(anim.speed)}`);
+          }
+          if (anim.loop) {
+            animProps.push('loop: true');
+          }
+          return `${key}: { ${animProps.join(', ')} }`;
+        });
+        options.push(`anims: { ${animEntries.join(', ')} }`);
+        if (spriteProps.defaultAnim && spriteAnims.some(anim => anim.name === spriteProps.defaultAnim)) {
+          options.push(`anim: '${spriteProps.defaultAnim.replace(/'/g, "\\'")}'`);
+        }
+      }
       let spriteCall = '';
       if (spriteProps.imagePath) {
         const assetInfo = registerSpriteAsset(spriteProps.imagePath);
@@ -333,6 +434,65 @@ export function generateSceneCode(
       componentsList.push(textCall);
     }
 
+    const particlesComp = obj.components.find(c => c.type === 'Particles');
+    if (particlesComp) {
+      // [min, max] ranges with equal ends are written as a single number
+      const formatRange = (range) => {
+        if (!Array.isArray(range)) return formatLiteral(range);
+        return range[0] === range[1]
+          ? formatLiteral(range[0])
+          : `[${formatLiteral(range[0])}, ${formatLiteral(range[1])}]`;
+      };
+      const particleOptions = [];
+      if (particlesComp.rate) {
+        particleOptions.push(`rate: ${formatLiteral(particlesComp.rate)}`);
+      }
+      if (particlesComp.lifetime != null && formatRange(particlesComp.lifetime) !== '1') {
+        particleOptions.push(`lifetime: ${formatRange(particlesComp.lifetime)}`);
+      }
+      if (particlesComp.speed != null && formatRange(particlesComp.speed) !== '100') {
+        particleOptions.push(`speed: ${formatRange(particlesComp.speed)}`);
+      }
+      if (particlesComp.angle != null && particlesComp.angle !== -90) {
+        particleOptions.push(`angle: ${formatLiteral(particlesComp.angle)}`);
+      }
+      if (particlesComp.spread != null && particlesComp.spread !== 180) {
+        particleOptions.push(`spread: ${formatLiteral(particlesComp.spread)}`);
+      }
+      if (particlesComp.gravity) {
+        particleOptions.push(`gravity: ${formatLiteral(particlesComp.gravity)}`);
+      }
+      if (particlesComp.colors?.length) {
+        particleOptions.push(`colors: [${particlesComp.colors.map(color => `'${color}'`).join(', ')}]`);
+      }
+      if (particlesComp.sizes?.length) {
+        particleOptions.push(`sizes: [${particlesComp.sizes.map(formatLiteral).join(', ')}]`);
+      }
+      if (particlesComp.fade) {
+        particleOptions.push(`fade: ${formatLiteral(particlesComp.fade)}`);
+      }
+      if (particlesComp.max != null && particlesComp.max !== 500) {
+        particleOptions.push(`max: ${formatLiteral(particlesComp.max)}`);
+      }
+      if (particlesComp.emitting === false) {
+        particleOptions.push('emitting: false');
+      }
+      componentsList.push(
+        particleOptions.length > 0 ? `particles({ ${particleOptions.join(', ')} })` : 'particles()'
+      );
+    }
+
+    const stateComp = obj.components.find(c => c.type === 'State');
+    if (stateComp) {
+      const initialState = stateComp.initial || 'idle';
+      const states = (stateComp.states || []).filter(Boolean);
+      componentsList.push(
+        states.length > 0
+          ? `state(${JSON.stringify(initialState)}, [${states.map(name => JSON.stringify(name)).join(', ')}])`
+          : `state(${JSON.stringify(initialState)})`
+      );
+    }
+
     const areaComp = obj.components.find(c => c.type === 'Area');
     const needsArea = !!areaComp || obj.components.some(c => c.type === 'Physics');
     if (needsArea) {
@@ -359,8 +519,10 @@ export function generateSceneCode(
               : defaultHeight;
         const effectiveAreaWidth = baseAreaWidth * scaleX;
         const effectiveAreaHeight = baseAreaHeight * scaleY;
-        const convertedOffsetX = offset.x + effectiveAreaWidth / 2 - defaultWidth / 2;
-        const convertedOffsetY = offset.y + effectiveAreaHeight / 2 - defaultHeight / 2;
+        // Polygon points are already relative to the object's position, so their offset is used as-is
+        const isPolygon = areaComp.shape === 'polygon' && areaComp.points?.length >= 3;
+        const convertedOffsetX = isPolygon ? offset.x : offset.x + effectiveAreaWidth / 2 - defaultWidth / 2;
+        const convertedOffsetY = isPolygon ? offset.y : offset.y + effectiveAreaHeight / 2 - defaultHeight / 2;
 
         const normalizedShape =
           typeof areaComp.shape === 'string'
@@ -369,6 +531,14 @@ export function generateSceneCode(
         if (normalizedShape) {
           areaOptions.push(`shape: '${normalizedShape}'`);
         }
+        if (isPolygon) {
+          const points = areaComp.points.map((point) => {
+            const xExpr = formatDimensionExpr(point.x / scaleFactorX, 'width', point.x, scaleFactorX);
+            const yExpr = formatDimensionExpr(point.y / scaleFactorY, 'width', point.y, scaleFactorY);
+            return `{ x: ${xExpr}, y: ${yExpr} }`;
+          });
+          areaOptions.push(`points: [${points.join(', ')}]`);
+        }
         if (areaComp.width != null) {
           const widthExpr = formatDimensionExpr(
             areaComp.width / scaleFactorX,
@@ -398,6 +568,19 @@ export function generateSceneCode(
           const tags = areaComp.collisionIgnore.map(tag => `'${tag}'`).join(', ');
           areaOptions.push(`collisionIgnore: [${tags}]`);
         }
+        if (areaComp.sensor) {
+          areaOptions.push(`sensor: true`);
+        }
+        if (areaComp.oneWay) {
+          areaOptions.push(`oneWay: { x: ${formatLiteral(areaComp.oneWay.x)}, y: ${formatLiteral(areaComp.oneWay.y)} }`);
+        }
+        if (areaComp.layer && areaComp.layer !== 'default') {
+          areaOptions.push(`layer: ${JSON.stringify(areaComp.layer)}`);
+        }
+        if (Array.isArray(areaComp.mask)) {
+          const layers = areaComp.mask.map(layer => JSON.stringify(layer)).join(', ');
+          areaOptions.push(`mask: [${layers}]`);
+        }
         if (areaComp.restitution != null && areaComp.restitution !== 0) {
           areaOptions.push(`restitution: ${formatLiteral(areaComp.restitution)}`);
         }
@@ -434,9 +617,20 @@ export function generateSceneCode(
       }
       if (physicsComp.gravity === false) {
         physicsProps.push(`gravity: false`);
+      } else if (Number.isFinite(physicsComp.gravityScale) && physicsComp.gravityScale !== 1) {
+        physicsProps.push(`gravityScale: ${formatLiteral(physicsComp.gravityScale)}`);
       }
       if (physicsComp.isStatic) {
         physicsProps.push(`isStatic: true`);
+      } else if (physicsComp.isKinematic) {
+        physicsProps.push(`isKinematic: true`);
+      } else {
+        if (physicsComp.bullet) {
+          physicsProps.push(`bullet: true`);
+        }
+        if (physicsComp.fixedRotation) {
+          physicsProps.push(`fixedRotation: true`);
+        }
       }
       if (
         physicsComp.velocity &&
@@ -471,12 +665,12 @@ export function generateSceneCode(
     return componentsList;
   };
 
-  const generateObjectBlock = (obj, parentVar, depth = 1) => {
+  const generateObjectBlock = (obj, parentVar, depth = 1, parent = null) => {
     const indent = '  '.repeat(depth);
     const innerIndent = `${indent}  `;
     const varName = identifierMap.get(obj) || 'node';
     const tag = tagMap.get(obj) || 'node';
-    const componentsList = buildComponentsForObject(obj);
+    const componentsList = buildComponentsForObject(obj, parent);
     const componentsStr = componentsList.map(c => `${innerIndent}${c}`).join(',\n');
     const addCall = parentVar
       ? `${parentVar}.addChild([\n${componentsStr}\n${indent}])`
@@ -500,7 +694,12 @@ export function generateSceneCode(
         /function\s+update\s*\(([^)]*)\)\s*\{([\s\S]*?)\n\}/,
       );
 
-      // Extract setup code (everything outside ready/update functions)
+      // Extract fixedUpdate() function (runs at the fixed physics rate)
+      const fixedUpdateMatch = normalizedCode.match(
+        /function\s+fixedUpdate\s*\(([^)]*)\)\s*\{([\s\S]*?)\n\}/,
+      );
+
+      // Extract setup code (everything outside ready/update/fixedUpdate functions)
       let setupCode = normalizedCode;
       if (readyMatch) {
         setupCode = setupCode.replace(readyMatch[0], '');
@@ -508,6 +707,9 @@ export function generateSceneCode(
       if (updateMatch) {
         setupCode = setupCode.replace(updateMatch[0], '');
       }
+      if (fixedUpdateMatch) {
+        setupCode = setupCode.replace(fixedUpdateMatch[0], '');
+      }
       
       const setupLines = setupCode
         .split('\n')
@@ -540,6 +742,10 @@ export function generateSceneCode(
       const readyBody = readyMatch && readyMatch[1].trim() ? addCallbackTypes(readyMatch[1].trim()) : '';
       const updateParams = updateMatch && updateMatch[1] ? updateMatch[1].trim() : '';
       const updateBody = updateMatch && updateMatch[2].trim() ? addCallbackTypes(updateMatch[2].trim()) : '';
+      const fixedUpdateParams = fixedUpdateMatch && fixedUpdateMatch[1] ? fixedUpdateMatch[1].trim() : '';
+      const fixedUpdateBody = fixedUpdateMatch && fixedUpdateMatch[2].trim()
+        ? addCallbackTypes(fixedUpdateMatch[2].trim())
+        : '';
 
       // Build component with ready() and update() methods
       const componentMethods = [];
@@ -568,6 +774,19 @@ export function generateSceneCode(
         componentMethods.push(updateMethod);
       }
 
+      if (fixedUpdateBody) {
+        const fixedUpdateBlock = indentBlock(fixedUpdateBody, `${indent}      `);
+        const typedParams = fixedUpdateParams && !fixedUpdateParams.includes(':')
+          ? `${fixedUpdateParams}: number`
+          : fixedUpdateParams || 'dt: number';
+        const fixedUpdateMethod = [
+          `${indent}    fixedUpdate(${typedParams}) {`,
+          `${fixedUpdateBlock}`,
+          `${indent}    }`
+        ].join('\n');
+        componentMethods.push(fixedUpdateMethod);
+      }
+
       if (componentMethods.length > 0 || setupBlock) {
         const methodsStr = componentMethods.join(',\n');
         const bindStatements = [];
@@ -577,6 +796,9 @@ export function generateSceneCode(
         if (updateBody) {
           bindStatements.push(`${indent}  comp.update = comp.update.bind(this);`);
         }
+        if (fixedUpdateBody) {
+          bindStatements.push(`${indent}  comp.fixedUpdate = comp.fixedUpdate.bind(this);`);
+        }
         const bindBlock = bindStatements.length > 0 ? `\n${bindStatements.join('\n')}\n` : '';
         
         lines.push(
@@ -610,7 +832,7 @@ export function generateSceneCode(
     }
 
     for (const child of obj.children || []) {
-      const childBlock = generateObjectBlock(child, varName, depth);
+      const childBlock = generateObjectBlock(child, varName, depth, obj);
       if (childBlock) {
         lines.push('');
         lines.push(childBlock);
@@ -656,7 +878,12 @@ export function generateSceneCode(
   const spriteImportLines = Array.from(spriteAssetMap.values()).map(
     ({ identifier, importPath }) => `import ${identifier} from '${importPath}';`
   );
-  const autoImportsBlock = [importStatement, ...spriteImportLines].filter(Boolean).join('\n') || '';
+  const soundImportLines = soundAssets.map(
+    ({ identifier, importPath }) => `import ${identifier} from '${importPath}';`
+  );
+  const autoImportsBlock = [importStatement, ...spriteImportLines, ...soundImportLines]
+    .filter(Boolean)
+    .join('\n') || '';
   
   // Build complete scene function
   const viewportLine = '  const viewport = ctx.getViewport();';
@@ -664,9 +891,53 @@ export function generateSceneCode(
     ? '\n  const readyComponents: any[] = [];'
     : '';
 
+  // Editor camera start; positions scale with the viewport width like objects do
+  const cameraStart = viewport.camera;
+  const cameraLines = [];
+  if (cameraStart) {
+    const camXExpr = formatDimensionExpr(cameraStart.x / viewportWidth, 'width', cameraStart.x, viewportWidth);
+    const camYExpr = formatDimensionExpr(cameraStart.y / viewportWidth, 'width', cameraStart.y, viewportWidth);
+    cameraLines.push(`  ctx.camPos(${camXExpr}, ${camYExpr});`);
+    if (cameraStart.scale != null && cameraStart.scale !== 1) {
+      cameraLines.push(`  ctx.camScale(${formatLiteral(cameraStart.scale)});`);
+    }
+  }
+  const cameraBlock = cameraLines.length > 0
+    ? `\n\n  // Camera starting view\n${cameraLines.join('\n')}`
+    : '';
+
+  const soundLines = soundAssets.map(
+    ({ name, identifier }) => `  loadSound(${JSON.stringify(name)}, ${identifier});`
+  );
+  const soundBlock = soundLines.length > 0
+    ? `  // Sounds\n${soundLines.join('\n')}\n\n`
+    : '';
+
+  const renderLayers = (sceneSettings.layers || []).filter(Boolean);
+  let layerBlock = '';
+  if (renderLayers.length > 0) {
+    const layerArgs = [JSON.stringify(renderLayers)];
+    if (sceneSettings.defaultLayer && sceneSettings.defaultLayer !== renderLayers[0]) {
+      layerArgs.push(JSON.stringify(sceneSettings.defaultLayer));
+    }
+    layerBlock = `  // Render layers, back to front\n  ctx.setLayers(${layerArgs.join(', ')});\n\n`;
+  }
+
+  const matrixRows = Object.entries(sceneSettings.collisionMatrix || {});
+  const collisionMatrixBlock = matrixRows.length > 0
+    ? `  // Which collision layers collide with each other\n  ctx.setCollisionMatrix({\n${matrixRows
+      .map(([layer, others]) => `    ${JSON.stringify(layer)}: [${others.map(other => JSON.stringify(other)).join(', ')}],`)
+      .join('\n')}\n  });\n\n`
+    : '';
+
+  const setupBlock = `${soundBlock}${layerBlock}${collisionMatrixBlock}`;
   const autoSceneBlock = flattenedObjects.length > 0
-    ? `${viewportLine}${readyArrayDeclaration}\n\n  // ===== PHASE 1: Create all scene objects =====\n${gameObjectsCode}${phase2InitCode}`
-    : '  // Add GameObjects using the editor!';
+    ? `${setupBlock}${viewportLine}${readyArrayDeclaration}${cameraBlock}\n\n  // ===== PHASE 1: Create all scene objects =====\n${gameObjectsCode}${phase2InitCode}`
+    : cameraBlock
+      ? `${setupBlock}${viewportLine}${cameraBlock}`
+      : setupBlock
+        ? setupBlock.trimEnd()
+        : '  // Add GameObjects using the editor!';
 
   const userImportsBlock =
     userImportsRaw || '// Add your own imports below. These will NOT be overwritten.';
@@ -687,7 +958,7 @@ ${autoImportsBlock}
 ${userImportsBlock}
 /* <<<USER-IMPORTS:END>>> */
 
-export function ${sceneName}(ctx: GameContext): void {
+export function ${sceneName}(ctx: GameContext, args?: any): void {
   /* <<<AUTO-GENERATED:SCENE:START>>> */
 ${autoSceneBlock}
   /* <<<AUTO-GENERATED:SCENE:END>>> */